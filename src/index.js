@@ -9,16 +9,46 @@
  * Основная точка входа макроса для построения отчетов по работе интернет-магазина.
  * Выполняется сразу при запуске и реализует следующую последовательность действий:
  *
- * 1. Загружает пользовательские настройки (путь к CSV-файлу и период анализа)
- * 2. Преобразует путь к файлу в корректный URL формат
- * 3. Загружает данные из CSV-файла
- * 4. Разбирает CSV в структуру данных для дальнейшего анализа
- * 5. Создает фильтр по периоду на основе пользовательских настроек
- * 6. Анализирует данные для получения статистики по категориям и брендам
- * 7. Создает два отчета с графиками, используя универсальный инструмент:
+ * 1. Загружает пользовательские настройки (пути к CSV-файлам и период анализа)
+ * 2. Преобразует пути к файлам в корректный URL формат
+ * 3. Создает фильтр по периоду, брендам, категориям, цене, типам событий и пользователям
+ *    на основе пользовательских настроек
+ * 4. Загружает данные из CSV-файлов по очереди и по частям и сразу разбирает каждую часть
+ *    (или читает строки данных с листов текущего документа)
+ * 5. Проверяет каждую разобранную строку, отбрасывает строки, повторяющие строки предыдущих
+ *    файлов, и анализирует корректные строки по мере
+ *    поступления для получения статистики по категориям и брендам (сами строки
+ *    в памяти не накапливаются). В строгом режиме при некорректных строках
+ *    выводит лист "Качество данных" и прерывает работу
+ * 6. Создает лист "Сводка" с ключевыми показателями, их изменением относительно предыдущего
+ *    периода и графиками динамики выручки и покупок,
+ *    два отчета с графиками, используя универсальный инструмент:
  *    - Отчет по категориям товаров
  *    - Отчет по брендам
- * 8. Уведомляет пользователя о завершении работы
+ *    (или отчеты, описанные на листе "Настройки отчетов", если он есть),
+ *    отчет "Воронка продаж" с конверсией просмотров в корзину и покупки,
+ *    отчет "Категории по уровням" с детализацией по иерархии категорий,
+ *    отчет "Динамика продаж" по дням, неделям или месяцам
+ *    отчет "Активность по времени" по дням недели и часам (и по типам событий, если включено)
+ *    отчет "Сессии" с показателями сессий и брошенных корзин
+ *    отчет "RFM-анализ" с сегментацией покупателей
+ *    отчет "Когорты" с удержанием покупателей по периоду первой покупки
+ *    отчет "Товары" с самыми продаваемыми товарами
+ *    отчет "Совместные покупки" с товарами, брендами или категориями, которые покупают вместе
+ *    и лист "Качество данных" с результатами проверки строк
+ * 7. Если включен экспорт, выводит все группы со всеми показателями в формате CSV и JSON
+ *    на лист "Экспорт" и, если указан путь, сохраняет их в файлы
+ * 8. Уведомляет пользователя о завершении работы, числе строк и периоде данных каждого файла
+ *    и числе пропущенных некорректных строк
+ *
+ * Если включено хранение истории, предыдущие версии листов отчетов не удаляются,
+ * а переименовываются с номером версии (см. archiveSheet). Каждый запуск
+ * (в том числе отмененный или завершившийся ошибкой) записывается на лист "Журнал запусков".
+ *
+ * Ход выполнения (загрузка и разбор файлов, подсчет статистики, построение отчетов)
+ * выводится в ячейке статуса C9 листа "Анализ данных". Чтобы отменить выполнение,
+ * нужно очистить эту ячейку или ввести в нее "отмена": отмена проверяется во время загрузки
+ * и перед построением каждого отчета, а уже созданные в этом запуске листы отчетов удаляются.
  *
  * В случае возникновения ошибок на любом этапе выводит сообщение пользователю.
  *
@@ -27,45 +57,347 @@
  * @returns {void}
  */
 (async function () {
+  // Время запуска для вывода длительности выполнения
+  const startTime = Date.now();
+  // Индикатор выполнения в ячейке статуса, создается после чтения настроек
+  let progress = null;
+  // Листы, созданные в этом запуске: при отмене они удаляются, чтобы не оставлять неполный набор отчетов
+  const createdSheets = [];
+  // Сведения о запуске для листа "Журнал запусков", заполняются по ходу выполнения
+  /** @type {RunLogEntry} */
+  const run = {
+    startTime: new Date(startTime),
+    duration: 0,
+    result: '',
+    sources: [],
+    period: '',
+    filters: '',
+    rows: 0,
+    invalidRows: 0,
+    duplicates: 0,
+    sheets: createdSheets,
+    archivedSheets: [],
+  };
+  // Число хранимых предыдущих версий отчетов, известно после чтения настроек
+  let historyVersions = 0;
+
+  /**
+   * Удаляет лишние предыдущие версии отчетов и записывает итог запуска на лист "Журнал запусков"
+   *
+   * Версии удаляются при любом итоге, в том числе при ошибке и в строгом режиме проверки данных,
+   * чтобы переименованные листы не копились сверх заданного числа. При отмене список версий
+   * уже очищен: им возвращены исходные названия.
+   *
+   * Ошибки удаления версий и записи журнала не должны скрывать итог выполнения, поэтому они только логируются.
+   *
+   * @private
+   * @param {string} result - Итог запуска
+   */
+  const finishRun = (result) => {
+    try {
+      run.archivedSheets.forEach(({ title }) => pruneSheetVersions(title, historyVersions));
+      run.archivedSheets = run.archivedSheets.filter(({ archivedTitle }) => Api.GetSheet(archivedTitle));
+    } catch (error) {
+      console.error('Не удалось удалить предыдущие версии отчетов:', error);
+    }
+
+    run.duration = Date.now() - startTime;
+    run.result = result;
+    try {
+      appendRunLog(run, 'Журнал запусков', 3, 1);
+    } catch (error) {
+      console.error('Не удалось записать журнал запусков:', error);
+    }
+  };
+
   try {
     // Этап 1: Получение пользовательских настроек из листа "Анализ данных"
     /** @type {UserSettings} */
     const settings = readUserSettings();
-
-    // Конвертируем путь к файлу в формат URL для корректной загрузки
-    settings.url = convertPath(settings.url);
     console.info('settings', settings);
+    historyVersions = settings.historyVersions;
+    progress = createProgressReporter(Api.GetSheet('Анализ данных').GetRange('C9'));
+    progress.report('Загрузка данных', true);
 
-    // Этап 2: Загрузка данных из CSV по указанному пути
-    console.info('Получение данных');
-    const xhr = await loadData(settings.url);
-    const csvString = xhr.responseText;
-
-    // Этап 3: Парсинг CSV-данных в структурированный формат
-    /** @type {ShopEventEntry[]} */
-    const data = parseCsv(csvString, ';');
-
-    console.info('Полученные данные', data);
-
-    // Этап 4: Создание фильтра для анализа по указанному периоду
+    // Этап 2: Создание фильтра для анализа по указанному периоду и условиям из блока фильтров
     /**@type {AnalitycsFilter} */
     const filter = {
+      ...settings.filter,
       period: {
         start: settings.startDate,
         end: settings.endDate,
       },
     };
+    run.sources = settings.sources.map((source) => source.title);
+    run.period = `${formatPeriodRange(filter.period)} (${formatTimezone(settings.timezoneOffset)})`;
+    run.filters = describeAnalitycsFilter({ ...filter, period: null });
+
+    // Отчеты с листа "Настройки отчетов" (null, если листа нет) и группировки для них
+    const reportDefinitions = readReportDefinitions();
+    /** @type {AnalyzerOptions} */
+    const analyzerOptions = {
+      timeStep: settings.timeStep,
+      timezoneOffset: settings.timezoneOffset,
+      rfmReferenceDate: settings.rfmReferenceDate,
+      cohortStep: settings.cohortStep,
+      coPurchase: settings.coPurchase,
+      productSearch: settings.productSearch,
+      groupings: getReportGroupings(reportDefinitions || []),
+    };
+
+    // Этап 3: Потоковая загрузка, парсинг и анализ данных из CSV по указанным путям
+    // Строки разбираются и учитываются в статистике по мере загрузки файла,
+    // в памяти хранятся только накопленные показатели по категориям и брендам
+    console.info('Получение данных');
+    const analyzer = createDataAnalyzer(filter, analyzerOptions);
+    // Если задан период сравнения, те же строки анализируются вторым анализатором с фильтром по этому периоду
+    // Остальные условия фильтра для периода сравнения те же, что и для текущего периода
+    const comparisonAnalyzer = settings.comparisonPeriod
+      ? createDataAnalyzer({ ...filter, period: settings.comparisonPeriod }, analyzerOptions)
+      : null;
+    // Для сводки нужен предыдущий период, даже если сравнение в остальных отчетах не включено
+    const previousAnalyzer = settings.comparisonPeriod
+      ? comparisonAnalyzer
+      : settings.previousPeriod && createDataAnalyzer({ ...filter, period: settings.previousPeriod }, analyzerOptions);
+    // Каждая строка проверяется до анализа, некорректные строки и повторы строк других файлов в анализ не попадают
+    const dataQuality = createDataQualityChecker();
+    const sourceStats = await loadSources(
+      settings.sources,
+      {
+        dataQuality,
+        timezoneOffset: settings.timezoneOffset,
+        timeout: settings.loadTimeout * 1000,
+        duplicateWindowDays: settings.duplicateWindowDays,
+        onProgress: (message) => progress.report(message),
+      },
+      (entry) => {
+        analyzer.add(entry);
+        comparisonAnalyzer?.add(entry);
+        if (previousAnalyzer && previousAnalyzer !== comparisonAnalyzer) {
+          previousAnalyzer.add(entry);
+        }
+      }
+    );
+
+    console.info('Обработано строк', sourceStats);
+    sourceStats.forEach((stats) => {
+      run.rows += stats.rows;
+      run.invalidRows += stats.invalidRows;
+      run.duplicates += stats.duplicates;
+    });
+
+    /**
+     * Переименовывает предыдущую версию листа отчета перед построением нового
+     *
+     * Предыдущая версия сохраняется и без хранения истории: при отмене ей возвращается исходное
+     * название, а лишние версии удаляются по итогу запуска (см. finishRun).
+     *
+     * @private
+     * @param {string} title - Название листа отчета
+     */
+    const archiveReportSheet = (title) => {
+      const archivedTitle = archiveSheet(title);
+      if (archivedTitle) {
+        run.archivedSheets.push({ title, archivedTitle });
+      }
+    };
+
+    // В строгом режиме некорректные строки и строки, не проверенные на повтор из-за окна поиска
+    // повторов, прерывают построение отчетов: иначе итоги могут быть завышены повторами
+    const quality = dataQuality.getResult();
+    const uncheckedRows = sourceStats.reduce((sum, stats) => sum + stats.uncheckedRows, 0);
+    if (settings.dataQualityMode === 'strict' && (quality.invalidRows > 0 || uncheckedRows > 0)) {
+      archiveReportSheet('Качество данных');
+      createDataQualityReport(quality, sourceStats, settings.dataQualityMode, 'Качество данных', 3, 1);
+      const issues = [];
+      if (quality.invalidRows > 0) {
+        issues.push(describeDataQualityIssues(quality));
+      }
+      if (uncheckedRows > 0) {
+        issues.push(
+          `Не проверено на повторы строк: ${uncheckedRows} (окно поиска повторов ${settings.duplicateWindowDays} дн.), ` +
+            'укажите 0 в ячейке G28, чтобы искать повторы во всем периоде'
+        );
+      }
+      throw new Error(`${issues.join('. ')}. Подробности на листе "Качество данных"`);
+    }
+
+    // Описание действующих фильтров и файлов, из которых в анализ попали строки, выводится в заголовке каждого отчета
+    const sourceTitles = sourceStats
+      .filter((stats) => stats.rows > stats.invalidRows + stats.duplicates)
+      .map((stats) => stats.title);
+    const scope = describeAnalitycsFilter(filter, settings.timezoneOffset, sourceTitles);
 
-    // Этап 5: Анализ данных и формирование статистики по категориям и брендам
-    const analitics = checkAndAnalyzeData(data, filter);
+    // Этап 4: Получение статистики по категориям и брендам (и за период сравнения, если он задан)
+    progress.report('Подсчет статистики', true);
+    const analitics = analyzer.getResult();
+    const comparisonAnalitics = comparisonAnalyzer?.getResult();
+    const previousAnalitics =
+      previousAnalyzer === comparisonAnalyzer ? comparisonAnalitics : previousAnalyzer?.getResult();
+
+    /**
+     * Формирует данные для сравнения периодов в отчете о покупках
+     *
+     * @param {string} groupName - Название группировки для сравнения (например, 'purchasePerCategories')
+     * @returns {PurchaseComparison | undefined} undefined, если период сравнения не задан
+     */
+    const getComparison = (groupName) =>
+      comparisonAnalitics && {
+        data: comparisonAnalitics.groups[groupName],
+        period: filter.period,
+        comparisonPeriod: settings.comparisonPeriod,
+      };
 
-    // Этап 6: Создание отчетов с графиками по категориям и брендам
+    // Этап 5: Создание отчетов с графиками по категориям, брендам, воронке продаж
+    // детализации по уровням иерархии категорий и динамике продаж
+    // Каждый отчет строится отдельным шагом: название листа и функция построения отчета на нем
     // Параметры 3, 1 задают отступ от левого верхнего угла листа
-    createPurchaseReport(analitics.purchasePerCategories, 'Покупки по категориям', 3, 1);
-    createPurchaseReport(analitics.purchasePerBrands, 'Покупки по брендам', 3, 1);
+    // Сводка строится первой, чтобы ее лист был первым среди листов отчетов
+    const reportSteps = [
+      [
+        'Сводка',
+        (title) =>
+          createDashboardReport(
+            analitics,
+            previousAnalitics && {
+              analitics: previousAnalitics,
+              period: filter.period,
+              previousPeriod: settings.previousPeriod,
+            },
+            title,
+            3,
+            1,
+            scope
+          ),
+      ],
+    ];
+    if (reportDefinitions) {
+      // Отчеты по группам строятся по описаниям с листа "Настройки отчетов"
+      reportDefinitions.forEach((definition) =>
+        reportSteps.push([
+          definition.title,
+          () =>
+            createGroupingReport(
+              analitics.groups[definition.title],
+              definition,
+              3,
+              1,
+              getComparison(definition.title),
+              scope
+            ),
+        ])
+      );
+    } else {
+      reportSteps.push(
+        [
+          'Покупки по категориям',
+          (title) =>
+            createPurchaseReport(
+              analitics.purchasePerCategories,
+              title,
+              3,
+              1,
+              getComparison('purchasePerCategories'),
+              scope
+            ),
+        ],
+        [
+          'Покупки по брендам',
+          (title) =>
+            createPurchaseReport(analitics.purchasePerBrands, title, 3, 1, getComparison('purchasePerBrands'), scope),
+        ]
+      );
+    }
+    reportSteps.push(
+      ['Воронка продаж', (title) => createFunnelReport(analitics, title, 3, 1, scope)],
+      [
+        'Категории по уровням',
+        (title) =>
+          createCategoryTreeReport(analitics.purchasePerCategoryTree, settings.categoryDepth, title, 3, 1, scope),
+      ],
+      [
+        'Динамика продаж',
+        (title) =>
+          createTimeSeriesReport(
+            analitics.timeSeries,
+            settings.timeSeriesBreakdown,
+            settings.timeSeriesTopCount,
+            title,
+            3,
+            1,
+            scope
+          ),
+      ],
+      [
+        'Активность по времени',
+        (title) => createActivityReport(analitics.activity, settings.activityMetric, null, title, 3, 1, scope),
+      ],
+      // Отдельные листы с числом событий каждого типа (в порядке шагов воронки), если они включены в настройках
+      ...(settings.activityPerEventType ? ['view', 'cart', 'purchase'] : [])
+        .filter((eventType) => analitics.activity[eventType])
+        .map((eventType) => [
+          `Активность - ${eventType}`,
+          (title) => createActivityReport(analitics.activity, 'events', eventType, title, 3, 1, scope),
+        ]),
+      ['Сессии', (title) => createSessionReport(analitics.sessions, title, 3, 1, scope)],
+      ['RFM-анализ', (title) => createRfmReport(analitics.rfm, settings.rfmDetails, title, 3, 1, scope)],
+      ['Когорты', (title) => createCohortReport(analitics.cohorts, title, 3, 1, scope)],
+      ['Товары', (title) => createProductReport(analitics.products, settings.productSearch, title, 3, 1, scope)],
+      ['Совместные покупки', (title) => createCoPurchaseReport(analitics.coPurchase, title, 3, 1, scope)],
+      [
+        'Качество данных',
+        (title) => createDataQualityReport(quality, sourceStats, settings.dataQualityMode, title, 3, 1),
+      ]
+    );
+
+    // Этап 6: Экспорт результатов анализа для других программ (BI, скрипты)
+    const exportData =
+      settings.exportResults &&
+      buildExportData(analitics, {
+        period: filter.period,
+        timezoneOffset: settings.timezoneOffset,
+        filters: run.filters,
+        sources: sourceTitles,
+      });
+    if (exportData) {
+      reportSteps.push(['Экспорт', (title) => createExportReport(exportData, title, 3, 1, scope)]);
+    }
+
+    for (const [index, [title, createReport]] of reportSteps.entries()) {
+      progress.report(`Построение отчетов: ${title} (${index + 1} из ${reportSteps.length})`, true);
+      // Даем редактору обработать действия пользователя (например, отмену) перед построением отчета
+      await delay(0);
+      progress.checkCancelled();
+      archiveReportSheet(title);
+      createdSheets.push(title);
+      createReport(title);
+    }
+
+    // Сохранение в файлы возможно не везде (например, запись локальных файлов обычно запрещена),
+    // поэтому ошибка сохранения не прерывает работу: данные в формате JSON остаются на листе "Экспорт"
+    const summary = ['Отчет готов!', ...sourceStats.map(describeSourceStats)];
+    if (exportData && settings.exportPath) {
+      const csvPath = settings.exportPath;
+      const jsonPath = csvPath.replace(/\.csv$/i, '') + '.json';
+      progress.report('Сохранение экспорта', true);
+      try {
+        await saveData(convertPath(csvPath), formatExportCsv(exportData));
+        await saveData(convertPath(jsonPath), JSON.stringify(exportData, null, 2));
+        summary.push(`Результаты сохранены в файлы ${csvPath} и ${jsonPath}`);
+      } catch (error) {
+        summary.push(
+          `Не удалось сохранить результаты в файл (${error.message}), в формате JSON они выведены на лист "Экспорт"`
+        );
+      }
+    }
 
-    // Этап 7: Уведомление пользователя о завершении работы
-    uiAlert('Сообщение', 'Отчет готов!');
+    // Этап 7: Уведомление пользователя о завершении работы, загруженных файлах и пропущенных строках
+    if (quality.invalidRows > 0) {
+      summary.push(`Пропущено некорректных строк: ${quality.invalidRows}, подробности на листе "Качество данных"`);
+    }
+    progress.finish(`Готово за ${Math.round((Date.now() - startTime) / 1000)} с`);
+    finishRun('Готово');
+    uiAlert('Сообщение', summary.join('\n'));
 
     // Этап 8: Обновляем представление для корректного отображения созданных графиков и данных
     /**
@@ -80,10 +412,26 @@
      */
     Asc.editor.controller.view.resize();
   } catch (error) {
+    // Отмена пользователем - не ошибка: удаляем листы, созданные до отмены, и возвращаем
+    // предыдущие версии отчетов, чтобы документ остался таким же, как до запуска
+    if (error.cancelled) {
+      createdSheets.forEach((title) => Api.GetSheet(title)?.Delete());
+      // Возвращаем предыдущим версиям отчетов исходные названия
+      run.archivedSheets.forEach(({ title, archivedTitle }) => Api.GetSheet(archivedTitle)?.SetName(title));
+      run.sheets = [];
+      run.archivedSheets = [];
+      progress?.finish('Отменено');
+      finishRun('Отменено');
+      uiAlert('Сообщение', 'Выполнение отменено, отчеты не созданы');
+      return;
+    }
+
     // Логируем ошибку в консоль для отладки
     console.error('Ошибка макроса:', error);
 
     // Выводим пользователю понятное сообщение об ошибке
+    progress?.finish(`Ошибка: ${error.message}`);
+    finishRun(`Ошибка: ${error.message}`);
     uiAlert('Ошибка', error.message);
   }
 })();
@@ -98,9 +446,30 @@
  * Пользовательские настройки
  *
  * @typedef {{
- *   url: string,
- *   startDate: Date,
- *   endDate: Date
+ *   sources: DataSource[], // Источники данных, не меньше одного
+ *   startDate: Date, // Начало первого дня периода
+ *   endDate: Date, // Конец последнего дня периода (включается в анализ целиком)
+ *   categoryDepth: number, // Глубина иерархии категорий в отчете (от 1 до 3)
+ *   timeStep: 'day' | 'week' | 'month', // Шаг динамики продаж
+ *   timeSeriesBreakdown: 'none' | 'category' | 'brand', // Разбивка динамики продаж по группам
+ *   timeSeriesTopCount: number, // Число групп в разбивке динамики продаж
+ *   comparisonPeriod: AnalitycsFilterPeriod | null, // Период сравнения, null - без сравнения
+ *   previousPeriod: AnalitycsFilterPeriod | null, // Период для сравнения в сводке, null - не определен
+ *   rfmReferenceDate: Date | null, // Дата отсчета давности покупок для RFM-анализа, null - дата последней покупки
+ *   rfmDetails: boolean, // Выводить ли в отчете "RFM-анализ" список покупателей по сегментам
+ *   cohortStep: 'week' | 'month', // Длительность периода когортного анализа
+ *   coPurchase: CoPurchaseOptions, // Параметры анализа совместных покупок
+ *   dataQualityMode: 'lenient' | 'strict', // Некорректные строки пропускаются или прерывают построение отчетов
+ *   timezoneOffset: number, // Смещение часового пояса отчетов от UTC в минутах
+ *   loadTimeout: number, // Таймаут загрузки файла размером до 10 МБ в секундах (для больших файлов увеличивается)
+ *   historyVersions: number, // Число хранимых предыдущих версий каждого отчета, 0 - не хранить
+ *   activityMetric: 'events' | 'purchases' | 'revenue', // Показатель отчета "Активность по времени"
+ *   activityPerEventType: boolean, // Строить ли отдельный лист активности для каждого типа событий
+ *   productSearch: string[], // Идентификаторы товаров (product_id) для таблицы "Найденные товары" отчета "Товары"
+ *   duplicateWindowDays: number, // Дни у начала и конца периода источника, где ищутся повторы, 0 - весь период
+ *   exportResults: boolean, // Выводить ли результаты анализа в формате CSV и JSON на лист "Экспорт"
+ *   exportPath: string, // Путь к CSV-файлу для сохранения экспорта, пустая строка - не сохранять
+ *   filter: AnalitycsFilter // Фильтры по брендам, категориям, цене, типам событий и пользователям (без периода)
  * }} UserSettings
  */
 
@@ -109,19 +478,54 @@
  *
  * @description
  * Функция получает настройки из листа "Анализ данных":
- * - URL путь к CSV-файлу из ячейки C4
+ * - Тип источников данных из ячейки G20 (файл или лист, по умолчанию файл), пути к CSV-файлам
+ *   или ссылки на листы и разделители полей из ячеек C4, C5 и с листа "Источники данных" (см. readSourceSettings)
  * - Дату начала периода анализа из ячейки C6
  * - Дату окончания периода анализа из ячейки C7
+ * - Глубину иерархии категорий для отчета "Категории по уровням" из ячейки G4 (от 1 до 3, по умолчанию 3)
+ * - Шаг динамики продаж из ячейки G5 (день, неделя или месяц, по умолчанию день)
+ * - Разбивку динамики продаж из ячейки G6 (нет, категории или бренды, по умолчанию нет)
+ * - Число групп в разбивке динамики продаж из ячейки G7 (от 1 до 20, по умолчанию 5)
+ * - Режим сравнения периодов из ячейки G8 (нет, предыдущий период, год назад или даты,
+ *   по умолчанию нет) и даты начала и окончания периода сравнения из ячеек G9 и G10.
+ *   Сводка сравнивается с периодом сравнения, а если он не задан - с предыдущим периодом
+ *   той же длительности (если указаны обе даты текущего периода)
+ * - Дату отсчета для RFM-анализа из ячейки G11 (по умолчанию - дата последней покупки)
+ *   и признак вывода списка покупателей по сегментам из ячейки G12 (да или нет, по умолчанию нет)
+ * - Шаг когортного анализа из ячейки G13 (неделя или месяц, по умолчанию месяц)
+ * - Параметры анализа совместных покупок: уровень из ячейки G14 (товар, бренд или категория,
+ *   по умолчанию категория), корзину из ячейки G15 (сессия или пользователь, по умолчанию сессия),
+ *   окно покупок пользователя в днях из ячейки G16 (от 1 до 365, по умолчанию 7)
+ *   и минимальную поддержку пары в процентах из ячейки G17 (по умолчанию 0)
+ * - Режим обработки некорректных строк из ячейки G18 (пропускать или прерывать, по умолчанию пропускать)
+ * - Часовой пояс отчетов из ячейки G19 (смещение от UTC, например "+3" или "UTC+03:00", по умолчанию UTC)
+ * - Таймаут загрузки файла из ячейки G23 (в секундах для файла до 10 МБ, от 10 до 3600, по умолчанию 60;
+ *   для больших файлов увеличивается пропорционально размеру)
+ * - Число хранимых предыдущих версий каждого отчета из ячейки G24 (от 0 до 50, по умолчанию 0 - не хранить)
+ * - Показатель отчета "Активность по времени" из ячейки G25 (события, покупки или выручка, по умолчанию события)
+ *   и признак построения листов активности по типам событий из ячейки G26 (да или нет, по умолчанию нет)
+ * - Идентификаторы товаров для поиска в отчете "Товары" из ячейки G27 (список через точку с запятой,
+ *   по умолчанию пусто - таблица найденных товаров не выводится). На остальные отчеты поиск не влияет
+ * - Окно поиска повторов между источниками из ячейки G28 (число дней у начала и конца периода
+ *   каждого источника от 0 до 366, по умолчанию 0 - весь период, см. createDuplicateFilter)
+ * - Признак экспорта результатов из ячейки G21 (да или нет, по умолчанию нет) и путь к CSV-файлу
+ *   для сохранения экспорта из ячейки G22 (JSON-файл сохраняется рядом, с расширением .json)
+ * - Фильтры по брендам, категориям, типам событий, пользователям и цене из блока фильтров
+ *   в ячейках I3:K8 (см. readFilterSettings)
  *
  * Даты конвертируются из формата R7 Office в объекты JavaScript Date.
  * При отсутствии дат используются значения по умолчанию.
+ * Даты периодов задаются в часовом поясе отчетов, дата окончания включается
+ * в период целиком - до конца дня.
  *
  * @returns {UserSettings} Объект с настройками пользователя
  * @throws {Error} Если лист "Анализ данных" не найден
+ * @throws {Error} Если значение дополнительной настройки указано некорректно
+ * @throws {Error} Если границы цены в блоке фильтров указаны некорректно
  *
  * @example
  * const settings = readUserSettings();
- * console.log(settings.url); // URL для загрузки данных
+ * console.log(settings.sources); // Источники данных
  * console.log(settings.startDate); // Дата начала периода анализа
  */
 function readUserSettings() {
@@ -135,28 +539,605 @@ function readUserSettings() {
     throw new Error(`Не найден лист "${sheetName}"!`);
   }
 
-  // Получаем путь к CSV-файлу из ячейки C4
-  const urlRange = sheet.GetRange('C4');
-  const url = urlRange.GetValue();
+  // Получаем источники данных: тип из ячейки G20, пути или ссылки на листы из ячеек C4, C5 и списка источников
+  const sources = readSourceSettings(sheet);
 
   // Получаем дату начала периода из ячейки C6
   const startDateRange = sheet.GetRange('C6');
   let startDate = startDateRange.GetValue();
+  // Запоминаем, указан ли период явно: от этого зависит расчет периода сравнения
+  const hasStartDate = !(startDate === null || startDate === '' || !Number(startDate));
   // Если дата не указана или некорректна, используем значение по умолчанию (1 января 2000 года)
-  startDate =
-    startDate === null || startDate === '' || !Number(startDate) ? new Date(2000, 0, 1) : r7SerialToJsDate(startDate);
+  // Границы по умолчанию задаются в UTC, как и даты из ячеек, чтобы период в отчетах выводился без сдвига
+  startDate = hasStartDate ? r7SerialToJsDate(startDate) : new Date(Date.UTC(2000, 0, 1));
 
   // Получаем дату окончания периода из ячейки C7
   const endDateRange = sheet.GetRange('C7');
   let endDate = endDateRange.GetValue();
-  // Если дата не указана или некорректна, используем значение по умолчанию (31 декабря 2100 года)
-  endDate =
-    endDate === null || endDate === '' || !Number(endDate)
-      ? new Date(2100, 0, 0, 23, 59, 59, 99)
-      : r7SerialToJsDate(endDate);
+  const hasEndDate = !(endDate === null || endDate === '' || !Number(endDate));
+  // Если дата не указана или некорректна, используем значение по умолчанию (31 декабря 2099 года)
+  // Дата окончания включается в период до конца дня
+  endDate = getEndOfDay(hasEndDate ? r7SerialToJsDate(endDate) : new Date(Date.UTC(2099, 11, 31)));
+
+  // Получаем глубину иерархии категорий из ячейки G4
+  // Если глубина не указана, выводим все три уровня иерархии
+  const categoryDepth = parseIntegerSetting(sheet.GetRange('G4').GetValue(), 3, 1, 3, 'Глубина иерархии категорий');
+
+  // Получаем шаг динамики продаж из ячейки G5
+  const timeStep = parseChoiceSetting(
+    sheet.GetRange('G5').GetValue(),
+    { day: ['день', 'day'], week: ['неделя', 'week'], month: ['месяц', 'month'] },
+    'day',
+    'Шаг динамики'
+  );
+
+  // Получаем разбивку динамики продаж по группам из ячейки G6
+  const timeSeriesBreakdown = parseChoiceSetting(
+    sheet.GetRange('G6').GetValue(),
+    { none: ['нет', 'none'], category: ['категории', 'category'], brand: ['бренды', 'brand'] },
+    'none',
+    'Разбивка динамики'
+  );
+
+  // Получаем число групп в разбивке динамики продаж из ячейки G7
+  const timeSeriesTopCount = parseIntegerSetting(sheet.GetRange('G7').GetValue(), 5, 1, 20, 'Число групп в динамике');
+
+  // Получаем режим сравнения периодов из ячейки G8
+  const comparisonMode = parseChoiceSetting(
+    sheet.GetRange('G8').GetValue(),
+    {
+      none: ['нет', 'none'],
+      previous: ['предыдущий период', 'предыдущий', 'previous'],
+      year: ['год назад', 'прошлый год', 'year'],
+      dates: ['даты', 'dates'],
+    },
+    'none',
+    'Период сравнения'
+  );
+
+  // Рассчитываем период сравнения
+  let comparisonPeriod = null;
+  if (comparisonMode === 'dates') {
+    // Даты периода сравнения берем из ячеек G9 и G10
+    const comparisonStart = sheet.GetRange('G9').GetValue();
+    const comparisonEnd = sheet.GetRange('G10').GetValue();
+    if (!Number(comparisonStart) || !Number(comparisonEnd)) {
+      throw new Error(
+        'Для сравнения с периодом по датам укажите даты начала и окончания периода сравнения в ячейках G9 и G10'
+      );
+    }
+    comparisonPeriod = {
+      start: r7SerialToJsDate(comparisonStart),
+      end: getEndOfDay(r7SerialToJsDate(comparisonEnd)),
+    };
+  } else if (comparisonMode !== 'none') {
+    // Автоматический период сравнения строится от текущего, поэтому текущий период должен быть задан
+    if (!hasStartDate || !hasEndDate) {
+      throw new Error(
+        'Для автоматического выбора периода сравнения укажите даты начала и окончания периода в ячейках C6 и C7'
+      );
+    }
+    comparisonPeriod = calculateComparisonPeriod(comparisonMode, startDate, endDate);
+  }
+
+  // Период для сравнения в сводке: период сравнения или предыдущий период той же длительности
+  // Без дат текущего периода предыдущий период не определен
+  const previousPeriod =
+    comparisonPeriod || (hasStartDate && hasEndDate ? calculateComparisonPeriod('previous', startDate, endDate) : null);
+
+  // Получаем дату отсчета для RFM-анализа из ячейки G11
+  const rfmReferenceDateValue = sheet.GetRange('G11').GetValue();
+  const rfmReferenceDate = Number(rfmReferenceDateValue) ? r7SerialToJsDate(rfmReferenceDateValue) : null;
+
+  // Получаем признак вывода списка покупателей в RFM-анализе из ячейки G12
+  const rfmDetails =
+    parseChoiceSetting(
+      sheet.GetRange('G12').GetValue(),
+      { yes: ['да', 'yes'], no: ['нет', 'no'] },
+      'no',
+      'Список покупателей RFM'
+    ) === 'yes';
+
+  // Получаем шаг когортного анализа из ячейки G13
+  const cohortStep = parseChoiceSetting(
+    sheet.GetRange('G13').GetValue(),
+    { week: ['неделя', 'week'], month: ['месяц', 'month'] },
+    'month',
+    'Шаг когорт'
+  );
+
+  // Получаем параметры анализа совместных покупок из ячеек G14:G17
+  // Минимальная поддержка указывается в процентах, знак "%" допускается
+  const minSupportValue = sheet.GetRange('G17').GetValue();
+  const minSupport = parseNumberSetting(
+    minSupportValue === null || minSupportValue === undefined ? null : String(minSupportValue).replace('%', ''),
+    'Минимальная поддержка'
+  );
+  if (minSupport !== null && (minSupport < 0 || minSupport > 100)) {
+    throw new Error(`Настройка "Минимальная поддержка" должна быть от 0 до 100%, указано "${minSupportValue}"`);
+  }
+
+  const coPurchase = {
+    level: parseChoiceSetting(
+      sheet.GetRange('G14').GetValue(),
+      {
+        product_id: ['товар', 'товары', 'product_id'],
+        brand: ['бренд', 'бренды', 'brand'],
+        category: ['категория', 'категории', 'category'],
+      },
+      'category',
+      'Уровень совместных покупок'
+    ),
+    basket: parseChoiceSetting(
+      sheet.GetRange('G15').GetValue(),
+      { session: ['сессия', 'session'], user: ['пользователь', 'user'] },
+      'session',
+      'Корзина совместных покупок'
+    ),
+    windowDays: parseIntegerSetting(sheet.GetRange('G16').GetValue(), 7, 1, 365, 'Окно покупок пользователя'),
+    minSupport: minSupport === null ? 0 : minSupport / 100,
+  };
+
+  // Получаем режим обработки некорректных строк из ячейки G18
+  const dataQualityMode = parseChoiceSetting(
+    sheet.GetRange('G18').GetValue(),
+    { lenient: ['пропускать', 'lenient'], strict: ['прерывать', 'strict'] },
+    'lenient',
+    'Некорректные строки'
+  );
+
+  // Получаем часовой пояс отчетов из ячейки G19
+  const timezoneOffset = parseTimezoneSetting(sheet.GetRange('G19').GetValue());
+
+  // Получаем таймаут загрузки файла из ячейки G23
+  const loadTimeout = parseIntegerSetting(sheet.GetRange('G23').GetValue(), 60, 10, 3600, 'Таймаут загрузки');
+
+  // Получаем число хранимых предыдущих версий отчетов из ячейки G24
+  const historyVersions = parseIntegerSetting(sheet.GetRange('G24').GetValue(), 0, 0, 50, 'Хранить версий отчетов');
+
+  // Получаем показатель отчета "Активность по времени" из ячейки G25
+  const activityMetric = parseChoiceSetting(
+    sheet.GetRange('G25').GetValue(),
+    { events: ['события', 'events'], purchases: ['покупки', 'purchases'], revenue: ['выручка', 'revenue'] },
+    'events',
+    'Показатель активности'
+  );
+
+  // Получаем признак построения листов активности по типам событий из ячейки G26
+  const activityPerEventType =
+    parseChoiceSetting(
+      sheet.GetRange('G26').GetValue(),
+      { yes: ['да', 'yes'], no: ['нет', 'no'] },
+      'no',
+      'Активность по типам событий'
+    ) === 'yes';
+
+  // Получаем идентификаторы товаров для поиска в отчете "Товары" из ячейки G27
+  const productSearch = [...new Set(parseListSetting(sheet.GetRange('G27').GetValue()))];
+
+  // Получаем окно поиска повторов между источниками из ячейки G28
+  const duplicateWindowDays = parseIntegerSetting(sheet.GetRange('G28').GetValue(), 0, 0, 366, 'Окно поиска повторов');
+
+  // Получаем признак экспорта результатов из ячейки G21 и путь для сохранения экспорта из ячейки G22
+  const exportResults =
+    parseChoiceSetting(
+      sheet.GetRange('G21').GetValue(),
+      { yes: ['да', 'yes'], no: ['нет', 'no'] },
+      'no',
+      'Экспорт результатов'
+    ) === 'yes';
+  const exportPathValue = sheet.GetRange('G22').GetValue();
+  const exportPath = exportPathValue === null || exportPathValue === undefined ? '' : String(exportPathValue).trim();
 
   // Возвращаем объект с настройками
-  return { url, startDate, endDate };
+  return {
+    sources,
+    startDate,
+    endDate,
+    categoryDepth,
+    timeStep,
+    timeSeriesBreakdown,
+    timeSeriesTopCount,
+    comparisonPeriod,
+    previousPeriod,
+    rfmReferenceDate,
+    rfmDetails,
+    cohortStep,
+    coPurchase,
+    dataQualityMode,
+    timezoneOffset,
+    loadTimeout,
+    historyVersions,
+    activityMetric,
+    activityPerEventType,
+    productSearch,
+    duplicateWindowDays,
+    exportResults,
+    exportPath,
+    filter: readFilterSettings(sheet),
+  };
+}
+
+/**
+ * Источник данных - CSV-файл или диапазон текущего документа
+ *
+ * @typedef {{
+ *   type: 'file' | 'sheet', // Тип источника: CSV-файл или лист (диапазон) документа
+ *   title: string, // Название источника для отчетов - имя файла или ссылка на лист
+ *   path: string, // Путь к файлу или URL, для листа - название листа, адрес или имя диапазона
+ *   delimiter: string // Разделитель полей CSV, пустая строка - определить автоматически (для листа не используется)
+ * }} DataSource
+ */
+
+/**
+ * Читает список источников данных
+ *
+ * @description
+ * Тип источников задается в ячейке G20 листа "Анализ данных": "файл" (по умолчанию) - CSV-файлы,
+ * "лист" - данные, вставленные в текущий документ (см. readSheetRows).
+ *
+ * Первый источник - путь к файлу (или ссылка на лист) из ячейки C4 и разделитель полей
+ * из ячейки C5. Дополнительные источники (например, выгрузки за разные месяцы) перечисляются
+ * на необязательном листе "Источники данных" начиная с 4-й строки (строка 3 - заголовки колонок):
+ * в колонке B путь к файлу, в колонке C разделитель полей (пусто или "авто" - определить
+ * автоматически). Для листов разделители не используются.
+ *
+ * Строки списка с пустой колонкой B или с текстом, который не похож на источник (например,
+ * с пояснением к таблице), пропускаются, а не прерывают выполнение (см. isSourceReference).
+ *
+ * @param {Object} sheet - Лист "Анализ данных"
+ * @returns {DataSource[]} Источники данных в порядке загрузки
+ * @throws {Error} Если не указан ни один путь к файлу
+ * @throws {Error} Если тип источников или разделитель полей указан некорректно
+ *
+ * @example
+ * // C4 = "C:\\data\\2019-Oct.csv", "Источники данных"!B4 = "C:\\data\\2019-Nov.csv", "Источники данных"!C4 = ","
+ * readSourceSettings(sheet);
+ * // [{ type: 'file', title: '2019-Oct.csv', path: 'C:\\data\\2019-Oct.csv', delimiter: '' },
+ * //  { type: 'file', title: '2019-Nov.csv', path: 'C:\\data\\2019-Nov.csv', delimiter: ',' }]
+ *
+ * @example
+ * // G20 = "лист", C4 = "Данные!A1:H5000"
+ * readSourceSettings(sheet);
+ * // [{ type: 'sheet', title: 'Данные!A1:H5000', path: 'Данные!A1:H5000', delimiter: '' }]
+ */
+function readSourceSettings(sheet) {
+  const type = parseChoiceSetting(
+    sheet.GetRange('G20').GetValue(),
+    { file: ['файл', 'file'], sheet: ['лист', 'sheet', 'диапазон', 'range'] },
+    'file',
+    'Тип источника данных'
+  );
+
+  // Ячейки с путем и разделителем: C4 и C5 листа настроек, затем строки листа "Источники данных"
+  const cells = [{ pathRange: sheet.GetRange('C4'), delimiterRange: sheet.GetRange('C5'), isListRow: false }];
+  const listSheetName = 'Источники данных';
+  const listSheet = Api.GetSheet(listSheetName);
+  if (listSheet !== null) {
+    // Ограничиваем просмотр листа, чтобы не перебирать пустые строки до конца листа
+    for (let row = 4; row < 104; row += 1) {
+      cells.push({
+        pathRange: listSheet.GetRange(`B${row}`),
+        delimiterRange: listSheet.GetRange(`C${row}`),
+        isListRow: true,
+      });
+    }
+  }
+
+  const sources = [];
+  cells.forEach(({ pathRange, delimiterRange, isListRow }) => {
+    const pathValue = pathRange.GetValue();
+    const path = pathValue === null || pathValue === undefined ? '' : String(pathValue).trim();
+    if (!path || (isListRow && !isSourceReference(path, type))) {
+      return;
+    }
+    sources.push({
+      type,
+      title: type === 'sheet' ? path : path.split(/[\\/]/).pop(),
+      path,
+      delimiter: type === 'sheet' ? '' : parseDelimiterSetting(delimiterRange.GetValue()),
+    });
+  });
+
+  if (sources.length === 0) {
+    throw new Error(type === 'sheet' ? 'Не указан лист с данными!' : 'Не указан путь к файлу!');
+  }
+  return sources;
+}
+
+/**
+ * Проверяет, похож ли текст из списка источников на путь к файлу или ссылку на данные в документе
+ *
+ * @description
+ * Путь к файлу - URL (http://, file:// и т.д.), путь с разделителем каталогов "/" или "\"
+ * либо имя файла с расширением .csv. Источник в документе - ссылка на диапазон с листом ("Данные!A1:H100"),
+ * название существующего листа или имя именованного диапазона.
+ *
+ * @private
+ * @param {string} text - Текст ячейки
+ * @param {'file' | 'sheet'} type - Тип источников данных
+ * @returns {boolean}
+ *
+ * @example
+ * isSourceReference('C:\\data\\2019-Nov.csv', 'file'); // true
+ * isSourceReference('Укажите путь к файлу с данными', 'file'); // false
+ */
+function isSourceReference(text, type) {
+  if (type === 'sheet') {
+    return text.lastIndexOf('!') > 0 || Api.GetSheet(text) !== null || Boolean(Api.GetDefName(text));
+  }
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(text) || /[\\/]/.test(text) || /\.csv$/i.test(text);
+}
+
+/**
+ * Читает блок фильтров с листа "Анализ данных"
+ *
+ * @description
+ * Блок фильтров занимает ячейки I3:K8: в колонке I - названия фильтров,
+ * в колонке J - значения, которые нужно включить в анализ, в колонке K - исключить:
+ * - строка 4 - бренды
+ * - строка 5 - категории (код категории целиком, например "electronics.smartphone")
+ * - строка 6 - типы событий (view, cart, purchase)
+ * - строка 7 - идентификаторы пользователей
+ * - строка 8 - цена: в J8 минимальная, в K8 максимальная (границы включаются)
+ *
+ * Значения в списке разделяются точкой с запятой или переводом строки (запятая
+ * встречается в названиях брендов). Символ "*" заменяет любую последовательность
+ * символов: "electronics.*" - сама категория electronics и все ее подкатегории. Пустая ячейка включения
+ * означает отсутствие ограничения. Регистр букв не учитывается.
+ *
+ * @param {Object} sheet - Лист "Анализ данных"
+ * @returns {AnalitycsFilter} Фильтр без периода
+ * @throws {Error} Если границы цены не являются числами или минимальная цена больше максимальной
+ *
+ * @example
+ * // J4 = "apple; samsung", K5 = "electronics.audio.*", J8 = 500
+ * readFilterSettings(sheet);
+ * // { brands: { include: ['apple', 'samsung'], exclude: [] },
+ * //   categories: { include: [], exclude: ['electronics.audio.*'] }, ..., price: { min: 500, max: null } }
+ */
+function readFilterSettings(sheet) {
+  // Читает списки включения и исключения из строки блока фильтров
+  const readList = (row) => ({
+    include: parseListSetting(sheet.GetRange(`J${row}`).GetValue()),
+    exclude: parseListSetting(sheet.GetRange(`K${row}`).GetValue()),
+  });
+
+  // Получаем границы цены из ячеек J8 и K8
+  const price = {
+    min: parseNumberSetting(sheet.GetRange('J8').GetValue(), 'Минимальная цена'),
+    max: parseNumberSetting(sheet.GetRange('K8').GetValue(), 'Максимальная цена'),
+  };
+  if (price.min !== null && price.max !== null && price.min > price.max) {
+    throw new Error(`Минимальная цена (${price.min}) больше максимальной (${price.max}) в блоке фильтров`);
+  }
+
+  return {
+    brands: readList(4),
+    categories: readList(5),
+    eventTypes: readList(6),
+    users: readList(7),
+    price,
+  };
+}
+
+/**
+ * Описание отчета по группам с листа "Настройки отчетов"
+ *
+ * @typedef {{
+ *   title: string, // Название листа отчета
+ *   dimensions: string[], // Измерения группировки (см. getGroupingDimension)
+ *   metrics: string[], // Показатели (идентификаторы из getReportMetricCatalog)
+ *   topCount: number, // Число выводимых групп
+ *   sort: 'value' | 'alphabet', // Порядок строк: по убыванию первого показателя или по алфавиту
+ *   chartType: 'bar' | 'column' | 'pie' | 'line', // Тип диаграммы
+ *   hasChart: boolean // Строить ли диаграмму
+ * }} ReportDefinition
+ */
+
+/**
+ * Читает описания отчетов по группам с листа "Настройки отчетов"
+ *
+ * @description
+ * Каждый отчет описывается одной строкой, начиная с 4-й (строка 3 - заголовки колонок):
+ * - B - название листа отчета (пустая ячейка завершает список)
+ * - C - измерение: brand, category_lv0, weekday и т.д. или русское название
+ *   ("бренд", "категория", "день недели"); сочетание измерений указывается через "+"
+ * - D - показатели через точку с запятой: "количество; выручка; средняя цена" (см. getReportMetricCatalog)
+ * - E - число выводимых групп (от 1 до 100, по умолчанию 15)
+ * - F - сортировка: "по значению" (по умолчанию) или "по алфавиту"
+ * - G - тип диаграммы: "столбцы" (по умолчанию), "полосы", "круговая" или "линия"
+ * - H - строить ли диаграмму: "да" (по умолчанию) или "нет"
+ *
+ * Название отчета проверяется сразу при чтении настроек (см. checkReportTitle), чтобы ошибка
+ * в названии не прерывала построение отчетов на середине.
+ *
+ * @returns {ReportDefinition[] | null} Описания отчетов или null, если листа нет или в нем не описано ни одного отчета
+ * @throws {Error} Если значение в строке описания отчета указано некорректно
+ *
+ * @example
+ * // B4 = "Покупки по часам", C4 = "день недели + час", D4 = "количество; покупатели"
+ * readReportDefinitions(); // [{ title: 'Покупки по часам', dimensions: ['weekday', 'hour'], ... }]
+ */
+function readReportDefinitions() {
+  const sheetName = 'Настройки отчетов';
+  const sheet = Api.GetSheet(sheetName);
+  if (sheet === null) {
+    return null;
+  }
+
+  const metricCatalog = getReportMetricCatalog();
+  const metricChoices = {};
+  metricCatalog.forEach((metric, id) => {
+    metricChoices[id] = metric.aliases;
+  });
+
+  const definitions = [];
+  // Ограничиваем просмотр листа, чтобы не перебирать пустые строки до конца листа
+  for (let row = 4; row < 104; row += 1) {
+    const title = String(sheet.GetRange(`B${row}`).GetValue() ?? '').trim();
+    if (title === '') {
+      break;
+    }
+
+    // Название настройки с номером строки для сообщения об ошибке
+    const settingName = (name) => `${name} (лист "${sheetName}", строка ${row})`;
+
+    checkReportTitle(
+      title,
+      definitions.map((item) => item.title),
+      `лист "${sheetName}", строка ${row}`
+    );
+
+    const dimensions = parseListSetting(String(sheet.GetRange(`C${row}`).GetValue() ?? '').replace(/\+/g, ';')).map(
+      (value) => parseChoiceSetting(value, getReportDimensionChoices(), null, settingName('Измерение'))
+    );
+    if (dimensions.length === 0) {
+      throw new Error(`Не указано измерение отчета "${title}" (лист "${sheetName}", строка ${row})`);
+    }
+
+    const metrics = parseListSetting(sheet.GetRange(`D${row}`).GetValue()).map((value) =>
+      parseChoiceSetting(value, metricChoices, null, settingName('Показатель'))
+    );
+
+    definitions.push({
+      title,
+      dimensions,
+      // Без явно указанных показателей выводится количество покупок
+      metrics: metrics.length > 0 ? [...new Set(metrics)] : ['count'],
+      topCount: parseIntegerSetting(sheet.GetRange(`E${row}`).GetValue(), 15, 1, 100, settingName('Число групп')),
+      sort: parseChoiceSetting(
+        sheet.GetRange(`F${row}`).GetValue(),
+        { value: ['по значению', 'value'], alphabet: ['по алфавиту', 'alphabet'] },
+        'value',
+        settingName('Сортировка')
+      ),
+      chartType: parseChoiceSetting(
+        sheet.GetRange(`G${row}`).GetValue(),
+        {
+          column: ['столбцы', 'гистограмма', 'column'],
+          bar: ['полосы', 'линейчатая', 'bar'],
+          pie: ['круговая', 'pie'],
+          line: ['линия', 'график', 'line'],
+        },
+        'column',
+        settingName('Тип диаграммы')
+      ),
+      hasChart:
+        parseChoiceSetting(
+          sheet.GetRange(`H${row}`).GetValue(),
+          { yes: ['да', 'yes'], no: ['нет', 'no'] },
+          'yes',
+          settingName('Диаграмма')
+        ) === 'yes',
+    });
+  }
+
+  return definitions.length > 0 ? definitions : null;
+}
+
+/**
+ * Проверяет название листа отчета, заданное пользователем
+ *
+ * @description
+ * Название должно быть допустимым названием листа: не длиннее 31 символа, без символов
+ * : \ / ? * [ ] и без апострофа в начале и в конце. Оно не должно совпадать
+ * (без учета регистра, как и названия листов в редакторе) с названием листа, который
+ * макрос строит или читает сам (см. getReservedSheetTitles), и с названиями других отчетов.
+ *
+ * @private
+ * @param {string} title - Название отчета
+ * @param {string[]} otherTitles - Названия отчетов, прочитанные ранее
+ * @param {string} location - Место настройки для сообщения об ошибке: 'лист "Настройки отчетов", строка 4'
+ * @returns {void}
+ * @throws {Error} Если название недопустимо или уже занято
+ */
+function checkReportTitle(title, otherTitles, location) {
+  if (title.length > 31) {
+    throw new Error(`Название отчета "${title}" длиннее 31 символа (${location})`);
+  }
+  if (/[:\\/?*[\]]/.test(title) || title.startsWith("'") || title.endsWith("'")) {
+    throw new Error(
+      `Название отчета "${title}" содержит недопустимые символы: : \\ / ? * [ ] или апостроф в начале или конце (${location})`
+    );
+  }
+
+  const normalized = title.toLowerCase();
+  if (getReservedSheetTitles().some((reserved) => reserved.toLowerCase() === normalized)) {
+    throw new Error(`Название отчета "${title}" совпадает с названием листа, который использует макрос (${location})`);
+  }
+  if (otherTitles.some((other) => other.toLowerCase() === normalized)) {
+    throw new Error(`Повторяющееся название отчета "${title}" (${location})`);
+  }
+}
+
+/**
+ * Возвращает названия листов, которые макрос читает или строит сам
+ *
+ * @description
+ * Отчеты "Покупки по категориям" и "Покупки по брендам" в список не входят: они не строятся,
+ * если на листе "Настройки отчетов" описаны собственные отчеты, и их названия можно использовать.
+ * Список должен совпадать с названиями листов в точке входа.
+ *
+ * @private
+ * @returns {string[]}
+ */
+function getReservedSheetTitles() {
+  return [
+    'Анализ данных',
+    'Настройки отчетов',
+    'Источники данных',
+    'Сводка',
+    'Воронка продаж',
+    'Категории по уровням',
+    'Динамика продаж',
+    'Активность по времени',
+    'Активность - view',
+    'Активность - cart',
+    'Активность - purchase',
+    'Сессии',
+    'RFM-анализ',
+    'Когорты',
+    'Товары',
+    'Совместные покупки',
+    'Качество данных',
+    'Экспорт',
+    'Журнал запусков',
+  ];
+}
+
+/**
+ * Рассчитывает период сравнения относительно текущего периода анализа
+ *
+ * @description
+ * - previous: период той же длительности в днях, заканчивающийся накануне начала текущего
+ * - year: тот же период годом ранее
+ *
+ * @param {'previous' | 'year'} mode - Режим сравнения
+ * @param {Date} startDate - Начало первого дня текущего периода
+ * @param {Date} endDate - Конец последнего дня текущего периода
+ * @returns {AnalitycsFilterPeriod} Период сравнения
+ *
+ * @example
+ * // Октябрь 2019 -> тот же период 2018 года
+ * calculateComparisonPeriod('year', new Date(Date.UTC(2019, 9, 1)), getEndOfDay(new Date(Date.UTC(2019, 9, 31))));
+ */
+function calculateComparisonPeriod(mode, startDate, endDate) {
+  if (mode === 'year') {
+    const start = new Date(startDate.getTime());
+    start.setUTCFullYear(start.getUTCFullYear() - 1);
+    const end = new Date(endDate.getTime());
+    end.setUTCFullYear(end.getUTCFullYear() - 1);
+    return { start, end };
+  }
+
+  // Сдвигаем обе границы назад на длительность периода в днях (обе даты периода включаются в анализ)
+  const dayLength = 24 * 60 * 60 * 1000;
+  const shift = (Math.floor((endDate.getTime() - startDate.getTime()) / dayLength) + 1) * dayLength;
+  return {
+    start: new Date(startDate.getTime() - shift),
+    end: new Date(endDate.getTime() - shift),
+  };
 }
 
 /**
@@ -179,7 +1160,7 @@ function readUserSettings() {
  *  category_code_lv0: string,
  *  category_code_lv1: string,
  *  category_code_lv2: string,
- *  event_time: Date,
+ *  event_time: Date, // Время в часовом поясе отчетов: поля UTC объекта Date содержат местное время этого пояса
  *  event_type: 'view' | 'cart' | 'purchase',
  *  price: number,
  *  product_id: string,
@@ -189,15 +1170,41 @@ function readUserSettings() {
  */
 
 /**
+ * Период анализа в часовом поясе отчетов, обе границы включаются
+ *
  * @typedef {{
  *   start?: Date,
  *   end?: Date
  * }} AnalitycsFilterPeriod
  */
 
+/**
+ * Списки значений для включения в анализ и исключения из него.
+ * Значения могут содержать символ "*", заменяющий любую последовательность символов
+ *
+ * @typedef {{
+ *   include: string[], // Значения для включения, пустой список - без ограничения
+ *   exclude: string[] // Значения для исключения
+ * }} AnalitycsFilterList
+ */
+
+/**
+ * Диапазон цены, границы включаются
+ *
+ * @typedef {{
+ *   min: number | null, // null - без ограничения
+ *   max: number | null // null - без ограничения
+ * }} AnalitycsFilterPrice
+ */
+
 /**
  * @typedef {{
- *   period?: AnalitycsFilterPeriod
+ *   period?: AnalitycsFilterPeriod,
+ *   brands?: AnalitycsFilterList,
+ *   categories?: AnalitycsFilterList, // По полному коду категории, '_none' - без категории
+ *   eventTypes?: AnalitycsFilterList,
+ *   users?: AnalitycsFilterList,
+ *   price?: AnalitycsFilterPrice
  * }} AnalitycsFilter
  */
 
@@ -226,36 +1233,409 @@ function readUserSettings() {
  */
 
 /**
+ * Статистика покупок за период сравнения для отчета о покупках
+ *
  * @typedef {{
- *  purchasePerCategories: PurchasePerCategories,
- *  purchasePerBrands: PurchasePerBrands
- * }} Analitycs
+ *   data: PurchasePerCategories | PurchasePerBrands, // Статистика за период сравнения
+ *   period: AnalitycsFilterPeriod, // Текущий период анализа
+ *   comparisonPeriod: AnalitycsFilterPeriod // Период сравнения
+ * }} PurchaseComparison
  */
 
 /**
- * Проверяет и анализирует данные магазина для формирования статистики покупок
- *
- * @description
- * Функция принимает данные о событиях в магазине (просмотры, добавления в корзину, покупки)
- * и анализирует их для получения статистики по категориям товаров и брендам.
+ * Узел иерархии категорий со статистикой покупок
  *
- * Вычисляются следующие метрики:
- * - Количество покупок по категориям и брендам
- * - Сумма покупок по категориям и брендам
- * - Средний чек покупок по категориям и брендам
+ * @typedef {{
+ *   count: number, // Число покупок
+ *   price: number, // Сумма покупок
+ *   avgPrice: number, // Средняя цена одной покупки
+ *   children: Object.<string, PurchaseCategoryNode> // Подкатегории следующего уровня
+ * }} PurchaseCategoryNode
+ */
+
+/**
+ * Статистика покупок по иерархии категорий: category_code_lv0 -> lv1 -> lv2
  *
- * Функция также поддерживает фильтрацию данных по периоду времени.
+ * @typedef {Object.<string, PurchaseCategoryNode>} PurchasePerCategoryTree
+ */
+
+/**
+ * @typedef {{
+ *   views: number, // Число просмотров
+ *   carts: number, // Число добавлений в корзину
+ *   purchases: number, // Число покупок
+ *   viewToCart: number, // Конверсия просмотр -> корзина (доля от 0 до 1)
+ *   cartToPurchase: number, // Конверсия корзина -> покупка
+ *   viewToPurchase: number // Конверсия просмотр -> покупка
+ * }} FunnelStats
+ */
+
+/**
+ * @typedef {Object.<string, FunnelStats>} FunnelPerGroups
+ */
+
+/**
+ * Показатели покупок за один период динамики продаж
  *
- * @param {ShopEventEntry[]} data - Массив объектов с данными о событиях магазина
- * @param {AnalitycsFilter} [filter] - Фильтр для анализа данных (например, по периоду времени)
- * @returns {Analitycs} - Результат анализа данных с метриками по категориям и брендам
- * @throws {Error} Если переданный аргумент data не является массивом
- * @throws {Error} Если данные не соответствуют ожидаемому формату ShopEventEntry
+ * @typedef {{
+ *   start: Date, // Начало периода
+ *   label: string, // Подпись периода
+ *   count: number, // Число покупок
+ *   price: number, // Выручка (сумма покупок)
+ *   avgPrice: number, // Средний чек
+ *   buyers: number // Число уникальных покупателей
+ * }} TimeSeriesPoint
+ */
+
+/**
+ * Выручка группы (категории или бренда) по периодам динамики продаж
  *
- * @example
- * // Базовый пример использования
- * const result = checkAndAnalyzeData(shopData);
- * console.log(result.purchasePerCategories); // Статистика по категориям
+ * @typedef {{
+ *   price: number, // Выручка за весь период анализа
+ *   values: number[] // Выручка по периодам, в порядке TimeSeries.points
+ * }} TimeSeriesGroup
+ */
+
+/**
+ * Динамика продаж по периодам
+ *
+ * @typedef {{
+ *   step: 'day' | 'week' | 'month', // Длительность периода
+ *   points: TimeSeriesPoint[], // Периоды в хронологическом порядке, включая периоды без покупок
+ *   perCategories: Object.<string, TimeSeriesGroup>, // Выручка по категориям верхнего уровня
+ *   perBrands: Object.<string, TimeSeriesGroup> // Выручка по брендам
+ * }} TimeSeries
+ */
+
+/**
+ * Активность одного типа событий по дням недели и часам
+ *
+ * @typedef {{
+ *   count: number[][], // Число событий: 7 строк (понедельник - воскресенье) по 24 часа
+ *   price: number[][] // Сумма цен событий в тех же ячейках
+ * }} ActivityGrid
+ */
+
+/**
+ * Активность по дням недели и часам в часовом поясе отчетов: тип события -> сетка 7×24
+ *
+ * @typedef {Object.<string, ActivityGrid>} ActivityStats
+ */
+
+/**
+ * Брошенные корзины одной группы (категории или бренда)
+ *
+ * @typedef {{
+ *   sessions: number, // Число сессий с брошенной корзиной, в которых есть товары группы
+ *   items: number, // Число добавлений в корзину товаров группы
+ *   price: number // Сумма добавленных в корзину товаров группы
+ * }} AbandonedCartStats
+ */
+
+/**
+ * Число сессий в интервале распределения
+ *
+ * @typedef {{
+ *   label: string, // Подпись интервала
+ *   sessions: number // Число сессий
+ * }} SessionDistributionItem
+ */
+
+/**
+ * Число сессий за один день
+ *
+ * @typedef {{
+ *   start: Date, // Начало дня
+ *   label: string, // Подпись дня
+ *   sessions: number, // Число сессий, начавшихся в этот день
+ *   withPurchase: number // Из них с покупкой
+ * }} SessionDayStats
+ */
+
+/**
+ * Показатели сессий пользователей (по полю user_session)
+ *
+ * @description
+ * Брошенная корзина - сессия, в которой товар добавлялся в корзину, но не было ни одной покупки.
+ * Длительность сессии - время от первого до последнего события сессии.
+ *
+ * @typedef {{
+ *   count: number, // Число сессий
+ *   withPurchase: number, // Число сессий с покупкой
+ *   withCart: number, // Число сессий с добавлением в корзину
+ *   abandoned: number, // Число сессий с брошенной корзиной
+ *   purchaseShare: number, // Доля сессий с покупкой (от 0 до 1)
+ *   abandonedShare: number, // Доля брошенных корзин среди сессий с добавлением в корзину
+ *   abandonedPrice: number, // Сумма брошенных корзин
+ *   avgEvents: number, // Среднее число событий в сессии
+ *   medianEvents: number, // Медианное число событий в сессии
+ *   avgDuration: number, // Средняя длительность сессии, секунд
+ *   medianDuration: number, // Медианная длительность сессии, секунд
+ *   lateEvents: number, // События не по порядку времени, сессии которых могли быть учтены дважды (см. addSessionEvent)
+ *   perDay: SessionDayStats[], // Сессии по дням в хронологическом порядке, включая дни без сессий
+ *   eventsDistribution: SessionDistributionItem[], // Распределение сессий по числу событий
+ *   durationDistribution: SessionDistributionItem[], // Распределение сессий по длительности
+ *   abandonedPerCategories: Object.<string, AbandonedCartStats>, // Брошенные корзины по категориям верхнего уровня
+ *   abandonedPerBrands: Object.<string, AbandonedCartStats> // Брошенные корзины по брендам
+ * }} SessionStats
+ */
+
+/**
+ * Оценки покупателя в RFM-анализе
+ *
+ * @typedef {{
+ *   userId: string, // Идентификатор покупателя
+ *   recency: number, // Давность: дней от последней покупки до даты отсчета
+ *   frequency: number, // Частота: число покупок
+ *   monetary: number, // Деньги: сумма покупок
+ *   r: number, // Оценка давности от 1 до 5 (5 - покупал недавно)
+ *   f: number, // Оценка частоты от 1 до 5 (5 - покупает чаще всех)
+ *   m: number, // Оценка суммы от 1 до 5 (5 - тратит больше всех)
+ *   segment: string // Название сегмента
+ * }} RfmCustomer
+ */
+
+/**
+ * Показатели сегмента покупателей RFM-анализа
+ *
+ * @typedef {{
+ *   name: string, // Название сегмента
+ *   description: string, // Правило отнесения к сегменту
+ *   customers: number, // Число покупателей
+ *   customersShare: number, // Доля покупателей (от 0 до 1)
+ *   price: number, // Выручка от покупателей сегмента
+ *   priceShare: number, // Доля в общей выручке
+ *   avgRecency: number, // Средняя давность, дней
+ *   avgFrequency: number, // Среднее число покупок
+ *   avgMonetary: number // Средняя сумма покупок
+ * }} RfmSegment
+ */
+
+/**
+ * Результат RFM-анализа покупателей
+ *
+ * @typedef {{
+ *   referenceDate: Date | null, // Дата отсчета давности, null - покупок нет
+ *   customers: RfmCustomer[], // Покупатели в порядке сегментов, внутри сегмента - по убыванию суммы
+ *   segments: RfmSegment[] // Сегменты в порядке от лучших покупателей к потерянным
+ * }} RfmStats
+ */
+
+/**
+ * Когорта покупателей: покупатели, впервые купившие в одном периоде
+ *
+ * @typedef {{
+ *   start: Date, // Начало периода первой покупки
+ *   label: string, // Подпись периода
+ *   size: number, // Число покупателей когорты
+ *   values: number[] // Число покупателей когорты, покупавших через 0, 1, 2... периодов после первой покупки
+ * }} Cohort
+ */
+
+/**
+ * Когортный анализ удержания покупателей
+ *
+ * @typedef {{
+ *   step: 'week' | 'month', // Длительность периода
+ *   periods: number, // Число периодов от первого до последнего периода с покупками
+ *   cohorts: Cohort[] // Когорты в хронологическом порядке, включая периоды без новых покупателей
+ * }} CohortStats
+ */
+
+/**
+ * Нарушение правила проверки строк данных
+ *
+ * @typedef {{
+ *   id: 'columns' | 'eventTime' | 'price' | 'eventType', // Идентификатор правила
+ *   title: string, // Описание правила для отчета
+ *   count: number, // Число строк с нарушением
+ *   lines: Array<number | string>, // Места первых строк с нарушением (до 10): номер строки или "файл:номер строки"
+ *   values: string[] // Некорректные значения из этих строк
+ * }} DataQualityRule
+ */
+
+/**
+ * Результат проверки строк данных
+ *
+ * @typedef {{
+ *   rows: number, // Число проверенных строк
+ *   invalidRows: number, // Число строк хотя бы с одним нарушением
+ *   rules: DataQualityRule[] // Нарушения по правилам, включая правила без нарушений
+ * }} DataQualityStats
+ */
+
+/**
+ * Параметры анализа совместных покупок
+ *
+ * @typedef {{
+ *   level: 'product_id' | 'brand' | 'category', // Что считается элементом корзины: товар, бренд или категория
+ *   basket: 'session' | 'user', // Корзина: покупки одной сессии или покупки пользователя в пределах окна
+ *   windowDays: number, // Окно покупок пользователя в днях (для корзины 'user')
+ *   minSupport: number // Минимальная поддержка пары (доля корзин от 0 до 1)
+ * }} CoPurchaseOptions
+ */
+
+/**
+ * Пара элементов, которые покупают вместе
+ *
+ * @typedef {{
+ *   first: string, // Первый элемент пары
+ *   second: string, // Второй элемент пары
+ *   count: number, // Число корзин с обоими элементами
+ *   support: number, // Поддержка: доля корзин с обоими элементами
+ *   confidence: number, // Достоверность first -> second: доля корзин с first, в которых есть second
+ *   reverseConfidence: number, // Достоверность second -> first
+ *   lift: number // Лифт: во сколько раз пару покупают чаще, чем при независимых покупках
+ * }} CoPurchasePair
+ */
+
+/**
+ * Анализ совместных покупок
+ *
+ * @typedef {{
+ *   options: CoPurchaseOptions, // Параметры анализа
+ *   baskets: number, // Число корзин с покупками
+ *   multiItemBaskets: number, // Число корзин с несколькими разными элементами
+ *   truncatedBaskets: number, // Число корзин, в которые не вошли элементы сверх ограничения в 50 разных элементов
+ *   pairs: CoPurchasePair[], // Пары с поддержкой не ниже минимальной по убыванию числа корзин и лифта
+ *   categories: string[], // Категории верхнего уровня для матрицы по убыванию числа корзин (до 15)
+ *   categoryMatrix: number[][] // Число корзин с обеими категориями, на диагонали - с категорией
+ * }} CoPurchaseStats
+ */
+
+/**
+ * Показатели товара
+ *
+ * @typedef {{
+ *   productId: string, // Идентификатор товара
+ *   brand: string, // Бренд товара, '_none' - не указан
+ *   category: string, // Полный код категории товара, '_none' - не указана
+ *   purchases: number, // Число покупок
+ *   revenue: number, // Сумма покупок
+ *   minPrice: number, // Минимальная цена покупки
+ *   maxPrice: number, // Максимальная цена покупки
+ *   avgPrice: number, // Средняя цена покупки
+ *   buyers: number, // Число уникальных покупателей
+ *   views: number, // Число просмотров
+ *   viewToPurchase: number // Конверсия просмотров в покупки
+ * }} ProductStats
+ */
+
+/**
+ * Показатель группировки: агрегатная функция над событиями группы
+ *
+ * @typedef {{
+ *   name: string, // Название показателя в результате группировки
+ *   aggregation: 'count' | 'sum' | 'avg' | 'min' | 'max' | 'median' | 'distinct', // Агрегатная функция
+ *   field?: string, // Поле события: 'price' для sum/avg/min/max/median, любое поле или измерение для distinct
+ *   eventTypes?: string[] // Учитываемые типы событий, по умолчанию все
+ * }} GroupingMetric
+ */
+
+/**
+ * Описание группировки событий
+ *
+ * @description
+ * Группа создается для каждого сочетания значений измерений, встретившегося
+ * в отфильтрованных событиях, даже если в нее не попало ни одного события,
+ * подходящего по eventTypes показателя (показатели такой группы будут нулевыми).
+ *
+ * @typedef {{
+ *   dimensions: string[], // Измерения (см. getGroupingDimension), несколько - группировка по сочетанию
+ *   metrics: GroupingMetric[], // Вычисляемые показатели
+ *   priceBuckets?: number[] // Границы ценовых диапазонов для измерения price_bucket
+ * }} GroupingDefinition
+ */
+
+/**
+ * Результат группировки: название группы -> значения показателей.
+ * Название группы из нескольких измерений составляется из их значений через " / "
+ *
+ * @typedef {Object.<string, Object.<string, number>>} GroupedData
+ */
+
+/**
+ * Параметры анализа данных
+ *
+ * @typedef {{
+ *   timeStep?: 'day' | 'week' | 'month', // Длительность периода динамики продаж (по умолчанию день)
+ *   timezoneOffset?: number, // Смещение часового пояса отчетов от UTC в минутах (по умолчанию 0)
+ *   rfmReferenceDate?: Date | null, // Дата отсчета для RFM-анализа (по умолчанию дата последней покупки)
+ *   cohortStep?: 'week' | 'month', // Длительность периода когортного анализа (по умолчанию месяц)
+ *   coPurchase?: CoPurchaseOptions, // Параметры анализа совместных покупок (по умолчанию категории в сессиях)
+ *   productSearch?: string[], // Товары (product_id), показатели которых нужны, даже если их не покупали
+ *   groupings?: Object.<string, GroupingDefinition> // Дополнительные группировки: название -> описание
+ * }} AnalyzerOptions
+ */
+
+/**
+ * @typedef {{
+ *  purchasePerCategories: PurchasePerCategories,
+ *  purchasePerBrands: PurchasePerBrands,
+ *  purchasePerCategoryTree: PurchasePerCategoryTree,
+ *  funnelTotal: FunnelStats,
+ *  funnelPerCategories: FunnelPerGroups,
+ *  funnelPerBrands: FunnelPerGroups,
+ *  timeSeries: TimeSeries,
+ *  activity: ActivityStats,
+ *  sessions: SessionStats,
+ *  rfm: RfmStats,
+ *  cohorts: CohortStats,
+ *  products: ProductStats[], // Купленные товары и товары из options.productSearch, в порядке первого появления
+ *  coPurchase: CoPurchaseStats,
+ *  groups: Object.<string, GroupedData> // Результаты всех группировок, включая purchasePerCategories и purchasePerBrands
+ * }} Analitycs
+ */
+
+/**
+ * Проверяет и анализирует данные магазина для формирования статистики покупок
+ *
+ * @description
+ * Функция принимает данные о событиях в магазине (просмотры, добавления в корзину, покупки)
+ * и анализирует их для получения статистики по категориям товаров и брендам.
+ *
+ * Вычисляются следующие метрики:
+ * - Количество покупок по категориям и брендам
+ * - Сумма покупок по категориям и брендам
+ * - Средний чек покупок по категориям и брендам
+ * - Те же показатели по всем трем уровням иерархии категорий (category_code_lv0/lv1/lv2)
+ * - Воронка продаж (просмотры, добавления в корзину, покупки и конверсии между ними)
+ *   в целом, по категориям и брендам
+ * - Динамика продаж: покупки, выручка, средний чек и число покупателей по дням, неделям или месяцам
+ * - Показатели сессий: число сессий по дням, событий в сессии, длительность, доля сессий
+ *   с покупкой и брошенные корзины по категориям и брендам
+ * - RFM-анализ покупателей: оценки давности, частоты и суммы покупок и сегменты
+ * - Когортный анализ: удержание покупателей по неделе или месяцу первой покупки
+ * - Показатели товаров: покупки, выручка, цены покупки, покупатели и конверсия просмотров в покупки
+ * - Совместные покупки: пары товаров, брендов или категорий, купленных в одной сессии
+ *   или одним пользователем в пределах окна, с поддержкой, достоверностью и лифтом
+ * - Дополнительные группировки из options.groupings (см. createGroupAggregator)
+ *
+ * Функция также поддерживает фильтрацию данных по периоду времени.
+ *
+ * Для уже загруженного массива событий. При потоковой обработке файла используйте
+ * {@link createDataAnalyzer} напрямую - результат будет таким же.
+ *
+ * Значения каждого события проверяются (см. createDataQualityChecker). Как и при запуске макроса,
+ * по умолчанию (режим 'lenient') некорректные события пропускаются и учитываются в статистике
+ * качества данных, которая возвращается в свойстве dataQuality результата. В режиме 'strict'
+ * некорректное событие прерывает анализ с ошибкой.
+ *
+ * @param {ShopEventEntry[]} data - Массив объектов с данными о событиях магазина
+ * @param {AnalitycsFilter} [filter] - Фильтр для анализа данных (например, по периоду времени)
+ * @param {AnalyzerOptions} [options] - Параметры анализа (например, шаг динамики продаж)
+ * @param {'lenient' | 'strict'} [dataQualityMode='lenient'] - Пропускать некорректные события или прерывать анализ
+ * @returns {Analitycs & { dataQuality: DataQualityStats }} - Результат анализа данных с метриками по категориям
+ *          и брендам и статистика качества данных
+ * @throws {Error} Если переданный аргумент data не является массивом
+ * @throws {Error} Если данные не соответствуют ожидаемому формату ShopEventEntry
+ * @throws {Error} В режиме 'strict' - если в событиях есть некорректные значения,
+ *                 номера событий в сообщении начинаются с 1
+ *
+ * @example
+ * // Базовый пример использования
+ * const result = checkAndAnalyzeData(shopData);
+ * console.log(result.purchasePerCategories); // Статистика по категориям
  *
  * @example
  * // С фильтрацией по периоду
@@ -266,69 +1646,158 @@ function readUserSettings() {
  *   }
  * };
  * const result = checkAndAnalyzeData(shopData, filter);
+ *
+ * @example
+ * // Прервать анализ, если есть некорректные события
+ * checkAndAnalyzeData(shopData, null, {}, 'strict');
  */
-function checkAndAnalyzeData(data, filter) {
+function checkAndAnalyzeData(data, filter, options, dataQualityMode = 'lenient') {
   // Проверка, что data является массивом
   if (!Array.isArray(data)) {
     throw new Error('Аргумент data должен быть массивом объектов типа ShopEventEntry');
   }
 
-  // Проверка элементов массива на соответствие типу ShopEventEntry
-  // Проверяем только наличие обязательных полей, дополнительные поля игнорируются
-  if (data.length > 0) {
-    // Список обязательных свойств для типа ShopEventEntry
-    const requiredProps = [
-      'brand',
-      'category_code',
-      'event_time',
-      'event_type',
-      'price',
-      'product_id',
-      'user_id',
-      'user_session',
-    ];
-    const missingProps = [];
-
-    // Проверяем до 3-х первых элементов для надежности валидации
-    for (const item of data.slice(0, 3)) {
-      for (const prop of requiredProps) {
-        if (!(prop in item) && !missingProps.includes(prop)) {
-          missingProps.push(prop);
-        }
-      }
+  // Проверяем до 3-х первых элементов для надежности валидации
+  checkShopEventEntries(data.slice(0, 3));
 
-      // Если нашли все свойства, выходим из цикла
-      if (missingProps.length === 0) {
-        break;
-      }
-    }
+  // Проверяем значения всех событий: время, цену, тип события и наличие полей
+  const dataQuality = createDataQualityChecker();
+  const validData = data.filter((item, index) => dataQuality.check(item, index + 1));
+  const quality = dataQuality.getResult();
+  if (dataQualityMode === 'strict' && quality.invalidRows > 0) {
+    throw new Error(describeDataQualityIssues(quality));
+  }
 
-    // Выдаем ошибку только если есть отсутствующие обязательные свойства
-    if (missingProps.length > 0) {
-      throw new Error(`Данные не соответствуют типу ShopEventEntry: отсутствуют свойства ${missingProps.join(', ')}`);
-    }
+  // Передаем корректные события анализатору по одному, как при потоковой загрузке
+  const analyzer = createDataAnalyzer(filter, options);
+  for (const item of validData) {
+    analyzer.add(item);
   }
 
-  // Инициализация объектов для сбора статистики по категориям и брендам
-  const purchasePerCategories = {};
-  const purchasePerBrands = {};
+  // Возвращаем объект с результатами анализа и статистикой качества данных
+  return { ...analyzer.getResult(), dataQuality: quality };
+}
+
+/**
+ * Накопительный анализатор событий магазина
+ *
+ * @typedef {{
+ *   add: (item: ShopEventEntry) => void, // Учитывает очередное событие
+ *   getResult: () => Analitycs, // Возвращает накопленную статистику
+ *   getCount: () => number // Число переданных событий
+ * }} DataAnalyzer
+ */
+
+/**
+ * Создает анализатор, который накапливает статистику покупок по мере поступления событий
+ *
+ * @description
+ * Анализатор хранит только агрегаты по категориям и брендам, а не сами события,
+ * поэтому подходит для потоковой обработки файлов с миллионами строк: события
+ * передаются в метод add() сразу после разбора очередной строки CSV.
+ *
+ * Статистика покупок по категориям и брендам строится универсальным механизмом группировок
+ * (см. getDefaultGroupings); дополнительные группировки по любым измерениям и с любыми
+ * показателями передаются в options.groupings и возвращаются в свойстве groups результата.
+ *
+ * Для показателей сессий анализатор хранит краткие сведения о каждой сессии (время первого
+ * и последнего события, число событий и товары в корзине, пока в сессии нет покупки),
+ * поэтому объем памяти зависит от числа сессий в файле. Для RFM-анализа и когорт так же
+ * хранятся дата последней покупки, число и сумма покупок и периоды покупок каждого покупателя,
+ * а для показателей товаров - сумма, число и границы цен покупок и покупатели каждого купленного товара
+ * (для товаров, которые только просматривали, - число просмотров). Для анализа совместных
+ * покупок хранятся разные элементы и категории корзин (не больше 50 в корзине) и счетчики пар.
+ *
+ * Первое переданное событие проверяется на наличие обязательных свойств ShopEventEntry.
+ * Строки CSV имеют одинаковый набор свойств (по заголовку файла), поэтому
+ * проверки первой строки достаточно.
+ *
+ * @param {AnalitycsFilter} [filter] - Фильтр для анализа данных (по периоду, брендам, категориям, цене и т.д.)
+ * @param {AnalyzerOptions} [options] - Параметры анализа (например, шаг динамики продаж)
+ * @returns {DataAnalyzer} Анализатор событий
+ * @throws {Error} Из метода add(), если первое событие не соответствует формату ShopEventEntry
+ *
+ * @example
+ * const analyzer = createDataAnalyzer({ period: { start: settings.startDate, end: settings.endDate } });
+ * const parser = createCsvParser((entry) => analyzer.add(entry));
+ * parser.write(csvString);
+ * parser.end();
+ * console.log(analyzer.getResult().purchasePerBrands);
+ */
+function createDataAnalyzer(filter, options) {
+  // Группировки событий: статистика покупок по категориям и брендам и дополнительные группировки из параметров
+  const groupings = { ...getDefaultGroupings(), ...options?.groupings };
+  const groupAggregators = Object.keys(groupings).map((name) => [name, createGroupAggregator(groupings[name])]);
+
+  // Статистика покупок по иерархии категорий, строится только по событиям покупки
+  const purchasePerCategoryTree = {};
+
+  // Счетчики воронки продаж: в целом по магазину, по категориям и брендам
+  // Соответствие типов событий шагам воронки (свойствам FunnelStats)
+  const funnelSteps = new Map([
+    ['view', 'views'],
+    ['cart', 'carts'],
+    ['purchase', 'purchases'],
+  ]);
+  const funnelTotal = createFunnelStats();
+  const funnelPerCategories = {};
+  const funnelPerBrands = {};
+
+  // Покупки по периодам динамики продаж: начало периода (мс) -> накопленные показатели
+  const timeStep = options?.timeStep || 'day';
+  const timeSeriesBuckets = new Map();
+
+  // События по дням недели и часам для каждого типа событий
+  const activity = {};
+
+  // Показатели сессий: открытые сессии и накопленные показатели завершенных
+  const sessions = createSessionCounts();
+
+  // Покупки каждого покупателя для RFM-анализа и когорт: идентификатор пользователя -> накопленные показатели
+  const buyers = new Map();
+  const cohortStep = options?.cohortStep || 'month';
+
+  // Просмотры и покупки каждого товара: идентификатор товара -> накопленные показатели
+  const products = new Map();
+  const productSearch = new Set(options?.productSearch);
 
-  // Обрабатываем каждый элемент из входных данных
-  for (const item of data) {
-    // Преобразуем строковое представление времени в объект Date
-    const eventTime = new Date(item.event_time);
+  // Корзины и счетчики пар для анализа совместных покупок
+  const coPurchase = { level: 'category', basket: 'session', windowDays: 7, minSupport: 0, ...options?.coPurchase };
+  const getBasketItem = getGroupingDimension(coPurchase.level, {});
+  const coPurchaseCounts = createCoPurchaseCounts();
+
+  // Проверка событий по условиям фильтра, кроме периода
+  const matchesFilter = createEventMatcher(filter);
+
+  // Количество переданных событий (включая отфильтрованные)
+  let count = 0;
+
+  /**
+   * Учитывает очередное событие в статистике
+   *
+   * @param {ShopEventEntry} item - Событие магазина в виде строки CSV
+   */
+  function add(item) {
+    // Проверяем формат данных по первому событию
+    if (count === 0) {
+      checkShopEventEntries([item]);
+    }
+    count += 1;
+
+    // Преобразуем строковое представление времени в объект Date в часовом поясе отчетов
+    const eventTime = parseEventTime(item.event_time, options?.timezoneOffset);
 
     // Фильтрация по начальной дате, если указана
     if (filter?.period?.start && filter.period.start.getTime) {
       if (filter.period.start.getTime() > eventTime.getTime()) {
-        continue; // Пропускаем события до начальной даты
+        return; // Пропускаем события до начальной даты
       }
     }
 
     // Фильтрация по конечной дате, если указана
     if (filter?.period?.end && filter.period.end.getTime) {
       if (filter.period.end.getTime() < eventTime.getTime()) {
-        continue; // Пропускаем события после конечной даты
+        return; // Пропускаем события после конечной даты
       }
     }
 
@@ -337,8 +1806,8 @@ function checkAndAnalyzeData(data, filter) {
       ? item.category_code.split('.')
       : [];
 
-    // Преобразуем строковое представление цены в число, удаляя пробелы и заменяя запятую на точку
-    const price = Number(String(item.price).replace(/\s/g, '').replace(',', '.'));
+    // Преобразуем строковое представление цены в число
+    const price = parsePrice(item.price);
 
     // Создаем объект события с нормализованными данными
     const event = {
@@ -355,472 +1824,5993 @@ function checkAndAnalyzeData(data, filter) {
       user_session: item.user_session,
     };
 
-    // Инициализация статистики для категории, если она встречается впервые
-    if (!purchasePerCategories[category_code_lv0]) {
-      purchasePerCategories[category_code_lv0] = {
-        count: 0, // Количество покупок
-        price: 0, // Общая сумма покупок
-        avgPrice: 0, // Средняя стоимость покупки
-      };
+    // Пропускаем события, не подходящие под фильтры по брендам, категориям, цене, типам событий и пользователям
+    if (!matchesFilter(event)) {
+      return;
     }
 
-    // Инициализация статистики для бренда, если он встречается впервые
-    if (!purchasePerBrands[event.brand]) {
-      purchasePerBrands[event.brand] = {
-        count: 0,
-        price: 0,
-        avgPrice: 0,
-      };
-    }
+    // Учитываем событие во всех группировках
+    groupAggregators.forEach(([, aggregator]) => aggregator.add(event));
 
     // Учитываем только события с типом 'purchase'
     if (event.event_type === 'purchase') {
-      // Обновляем статистику по категории
-      purchasePerCategories[category_code_lv0].count += 1;
-      purchasePerCategories[category_code_lv0].price += event.price;
-      // Пересчитываем среднюю цену после каждой новой покупки
-      purchasePerCategories[category_code_lv0].avgPrice =
-        purchasePerCategories[category_code_lv0].price / purchasePerCategories[category_code_lv0].count;
+      // Обновляем статистику на каждом уровне иерархии категорий
+      const categoryNode = getCategoryNode(purchasePerCategoryTree, category_code_lv0);
+      const subcategoryNode = getCategoryNode(categoryNode.children, category_code_lv1);
+      const groupNode = getCategoryNode(subcategoryNode.children, category_code_lv2);
+      for (const node of [categoryNode, subcategoryNode, groupNode]) {
+        node.count += 1;
+        node.price += event.price;
+        node.avgPrice = node.price / node.count;
+      }
+
+      // Учитываем покупку в динамике продаж, если время события удалось разобрать
+      if (!Number.isNaN(eventTime.getTime())) {
+        addTimeSeriesPurchase(timeSeriesBuckets, getPeriodStart(eventTime, timeStep).getTime(), event);
+      }
+
+      // Учитываем покупку в показателях покупателя
+      if (event.user_id) {
+        addBuyerPurchase(buyers, event, cohortStep);
+      }
+
+      // Учитываем покупку в корзине сессии или пользователя
+      addBasketPurchase(coPurchaseCounts, event, coPurchase, getBasketItem(event));
+    }
+
+    // Учитываем событие в активности по дням недели и часам, если время события удалось разобрать
+    if (!Number.isNaN(eventTime.getTime())) {
+      addActivityEvent(activity, event);
+    }
+
+    // Учитываем событие в воронке продаж: просмотры, добавления в корзину и покупки
+    const funnelStep = funnelSteps.get(event.event_type);
+    if (funnelStep) {
+      if (!funnelPerCategories[category_code_lv0]) {
+        funnelPerCategories[category_code_lv0] = createFunnelStats();
+      }
+      if (!funnelPerBrands[event.brand]) {
+        funnelPerBrands[event.brand] = createFunnelStats();
+      }
+
+      funnelTotal[funnelStep] += 1;
+      funnelPerCategories[category_code_lv0][funnelStep] += 1;
+      funnelPerBrands[event.brand][funnelStep] += 1;
+    }
+
+    // Учитываем событие в показателях сессии, если она указана
+    if (event.user_session) {
+      addSessionEvent(sessions, event);
+    }
 
-      // Обновляем статистику по бренду
-      purchasePerBrands[event.brand].count += 1;
-      purchasePerBrands[event.brand].price += event.price;
-      purchasePerBrands[event.brand].avgPrice =
-        purchasePerBrands[event.brand].price / purchasePerBrands[event.brand].count;
+    // Учитываем просмотры и покупки в показателях товара
+    if (event.product_id && (event.event_type === 'view' || event.event_type === 'purchase')) {
+      addProductEvent(products, event, productSearch.has(event.product_id));
     }
   }
 
-  // Возвращаем объект с результатами анализа
-  return { purchasePerCategories, purchasePerBrands };
+  /**
+   * Возвращает накопленную статистику, рассчитывая конверсии воронки продаж
+   *
+   * @returns {Analitycs}
+   */
+  function getResult() {
+    [funnelTotal, ...Object.values(funnelPerCategories), ...Object.values(funnelPerBrands)].forEach(
+      calculateFunnelConversions
+    );
+
+    const groups = {};
+    groupAggregators.forEach(([name, aggregator]) => {
+      groups[name] = aggregator.getResult();
+    });
+
+    return {
+      purchasePerCategories: groups.purchasePerCategories,
+      purchasePerBrands: groups.purchasePerBrands,
+      purchasePerCategoryTree,
+      funnelTotal,
+      funnelPerCategories,
+      funnelPerBrands,
+      timeSeries: buildTimeSeries(timeSeriesBuckets, timeStep),
+      activity,
+      sessions: buildSessionStats(sessions),
+      rfm: buildRfmStats(buyers, options?.rfmReferenceDate),
+      cohorts: buildCohortStats(buyers, cohortStep),
+      products: buildProductStats(products),
+      coPurchase: buildCoPurchaseStats(coPurchaseCounts, coPurchase),
+      groups,
+    };
+  }
+
+  return {
+    add,
+    getResult,
+    getCount: () => count,
+  };
 }
 
 /**
- * Создает отчет о покупках по категориям или брендам с визуализацией в виде графиков и таблиц
- *
- * @param {PurchasePerCategories|PurchasePerBrands} data - Объект со статистикой покупок
- *                                                        (по категориям или по брендам)
- * @param {string} title - Название листа для отчета
- * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
- * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * Возвращает узел иерархии категорий по названию, создавая его при первом обращении
  *
- * @description
- * Функция выполняет следующие действия:
- * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
- * 2. Формирует заголовок отчета
- * 3. Создает секцию "Самые популярные" (топ-3 по количеству покупок)
- * 4. Создает секцию "Самые дорогие чеки" (топ-3 с наибольшей средней ценой покупки)
- * 5. Формирует таблицу со статистикой:
- *    - Количество покупок (до 15 записей, отсортированных по алфавиту)
- *    - Средняя цена покупки (до 15 записей, отсортированных по алфавиту)
- * 6. Создает два столбчатых графика на основе таблиц статистики
+ * @private
+ * @param {Object.<string, PurchaseCategoryNode>} nodes - Узлы одного уровня иерархии
+ * @param {string} name - Название категории
+ * @returns {PurchaseCategoryNode}
+ */
+function getCategoryNode(nodes, name) {
+  if (!nodes[name]) {
+    nodes[name] = {
+      count: 0, // Количество покупок
+      price: 0, // Общая сумма покупок
+      avgPrice: 0, // Средняя стоимость покупки
+      children: {},
+    };
+  }
+  return nodes[name];
+}
+
+/**
+ * Учитывает покупку в показателях периода динамики продаж
  *
- * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @private
+ * @param {Map<number, Object>} buckets - Накопленные показатели по началу периода (мс)
+ * @param {number} periodStart - Начало периода покупки (мс)
+ * @param {ShopEvent} event - Событие покупки
  * @returns {void}
+ */
+function addTimeSeriesPurchase(buckets, periodStart, event) {
+  if (!buckets.has(periodStart)) {
+    buckets.set(periodStart, {
+      count: 0, // Количество покупок
+      price: 0, // Выручка
+      buyers: new Set(), // Уникальные покупатели
+      categories: {}, // Выручка по категориям верхнего уровня
+      brands: {}, // Выручка по брендам
+    });
+  }
+
+  const bucket = buckets.get(periodStart);
+  bucket.count += 1;
+  bucket.price += event.price;
+  bucket.buyers.add(event.user_id);
+  bucket.categories[event.category_code_lv0] = (bucket.categories[event.category_code_lv0] || 0) + event.price;
+  bucket.brands[event.brand] = (bucket.brands[event.brand] || 0) + event.price;
+}
+
+/**
+ * Формирует динамику продаж из накопленных показателей по периодам
  *
- * @example
- * // Создать отчет по категориям на новом листе
- * createPurchaseReport(analitics.purchasePerCategories, "Покупки по категориям");
+ * @description
+ * Периоды между первой и последней покупкой, в которых покупок не было,
+ * добавляются с нулевыми показателями. Выручка каждой группы раскладывается
+ * по всем периодам в том же порядке.
  *
- * // Создать отчет по брендам со смещением от верхнего левого угла
- * createPurchaseReport(analitics.purchasePerBrands, "Покупки по брендам", 3, 1);
+ * @private
+ * @param {Map<number, Object>} buckets - Накопленные показатели по началу периода (мс)
+ * @param {'day' | 'week' | 'month'} step - Длительность периода
+ * @returns {TimeSeries}
  */
-function createPurchaseReport(data, title, firstRowIndex = 0, firstColumnIndex = 0) {
-  // Удаляем существующий лист с таким названием, если он есть
-  let sheet = Api.GetSheet(title);
-  if (sheet) {
-    sheet.Delete();
+function buildTimeSeries(buckets, step) {
+  const points = [];
+  const perCategories = {};
+  const perBrands = {};
+
+  if (buckets.size === 0) {
+    return { step, points, perCategories, perBrands };
   }
 
-  // Создаем новый лист и делаем его активным
-  Api.AddSheet(title);
-  sheet = Api.GetActiveSheet();
+  // Перебираем периоды подряд от первого до последнего, включая периоды без покупок
+  const starts = [...buckets.keys()];
+  const last = Math.max(...starts);
+  const pointBuckets = [];
+  for (let start = new Date(Math.min(...starts)); start.getTime() <= last; start = getNextPeriodStart(start, step)) {
+    const bucket = buckets.get(start.getTime());
+    pointBuckets.push(bucket);
+    points.push({
+      start,
+      label: formatPeriodLabel(start, step),
+      count: bucket ? bucket.count : 0,
+      price: bucket ? bucket.price : 0,
+      avgPrice: bucket ? bucket.price / bucket.count : 0,
+      buyers: bucket ? bucket.buyers.size : 0,
+    });
+  }
 
-  // Используем firstRow для совместимости с 1-based индексацией ячеек в R7 Office
-  const firstRow = firstRowIndex + 1;
+  /**
+   * Раскладывает выручку групп по всем периодам
+   *
+   * @param {Object.<string, TimeSeriesGroup>} groups - Результат по группам
+   * @param {'categories' | 'brands'} property - Свойство показателей периода с выручкой по группам
+   */
+  const collectGroups = (groups, property) => {
+    pointBuckets.forEach((bucket, i) => {
+      if (!bucket) {
+        return;
+      }
+      for (const [key, price] of Object.entries(bucket[property])) {
+        if (!groups[key]) {
+          groups[key] = { price: 0, values: points.map(() => 0) };
+        }
+        groups[key].price += price;
+        groups[key].values[i] = price;
+      }
+    });
+  };
+  collectGroups(perCategories, 'categories');
+  collectGroups(perBrands, 'brands');
 
-  // Создаем и форматируем заголовок отчета
-  const titleRange = sheet.GetRangeByNumber(firstRowIndex, firstColumnIndex + 2);
-  titleRange.SetFontSize(16);
-  titleRange.SetBold(true);
-  titleRange.SetValue(title);
+  return { step, points, perCategories, perBrands };
+}
 
-  // Устанавливаем оптимальную ширину основных колонок для улучшения читаемости
-  sheet.SetColumnWidth(firstColumnIndex, 20); // Колонка с заголовками секций
-  sheet.SetColumnWidth(firstColumnIndex + 1, 20); // Колонка с названиями категорий (левая таблица)
-  sheet.SetColumnWidth(firstColumnIndex + 9, 20); // Колонка с названиями категорий (правая таблица)
-  sheet.SetColumnWidth(firstColumnIndex + 10, 20); // Колонка с числовыми значениями (правая таблица)
+/**
+ * Учитывает событие в активности по дням недели и часам
+ *
+ * @description
+ * Время события уже переведено в часовой пояс отчетов (см. parseEventTime),
+ * поэтому день недели и час берутся из полей UTC. Понедельник - строка 0, воскресенье - строка 6.
+ *
+ * @private
+ * @param {ActivityStats} activity - Накопленная активность по типам событий
+ * @param {Object} event - Нормализованное событие
+ * @returns {void}
+ */
+function addActivityEvent(activity, event) {
+  if (!activity[event.event_type]) {
+    const createGrid = () => Array.from({ length: 7 }, () => new Array(24).fill(0));
+    activity[event.event_type] = { count: createGrid(), price: createGrid() };
+  }
 
-  // Получаем список всех категорий из объекта данных
-  const keys = Object.keys(data);
+  const grid = activity[event.event_type];
+  const weekday = (event.event_time.getUTCDay() + 6) % 7;
+  const hour = event.event_time.getUTCHours();
+  grid.count[weekday][hour] += 1;
+  grid.price[weekday][hour] += event.price;
+}
 
-  // Создаем заголовок первой секции "Самые популярные группы" (категории или бренды)
-  const bestSellsTitleRange = sheet.GetRangeByNumber(firstRowIndex + 2, firstColumnIndex);
-  bestSellsTitleRange.SetFontSize(12);
-  bestSellsTitleRange.SetBold(true);
-  bestSellsTitleRange.SetValue('Самые популярные');
+/**
+ * Создает накопленные показатели сессий
+ *
+ * @private
+ * @param {number} [idleTimeout=86400000] - Время без событий в миллисекундах, после которого сессия считается
+ *        завершенной и учитывается в показателях (см. addSessionEvent)
+ * @returns {Object} Открытые сессии и показатели завершенных сессий
+ */
+function createSessionCounts(idleTimeout = 24 * 60 * 60 * 1000) {
+  return {
+    idleTimeout,
+    live: new Map(), // Открытые сессии: идентификатор сессии -> накопленные сведения
+    lastTime: -Infinity, // Время самого позднего события (мс)
+    lastSweepTime: -Infinity, // Время самого позднего события при последнем завершении сессий (мс)
+    lateEvents: 0, // События, пришедшие позже завершения сессий своего времени
+    count: 0, // Число завершенных сессий
+    withPurchase: 0,
+    withCart: 0,
+    abandoned: 0,
+    abandonedPrice: 0,
+    eventCounts: new Map(), // Число событий в сессии -> число сессий
+    durations: new Map(), // Длительность сессии в секундах -> число сессий
+    days: new Map(), // Начало дня (мс) -> { sessions, withPurchase }
+    abandonedPerCategories: {},
+    abandonedPerBrands: {},
+  };
+}
 
-  // Выводим топ-3 группы по количеству покупок (сортировка по убыванию count)
-  keys
-    .sort((a, b) => data[b].count - data[a].count) // Сортировка по убыванию количества покупок
-    .slice(0, 3) // Берем только первые 3 записи
-    .forEach((key, i) => {
-      // Добавляем название категории и количество покупок в соответствующие ячейки
-      sheet.GetCells(i + firstRow + 3, firstColumnIndex + 1).SetValue(key);
-      sheet.GetCells(i + firstRow + 3, firstColumnIndex + 2).SetValue(data[key].count);
+/**
+ * Учитывает событие в сведениях о сессии
+ *
+ * @description
+ * Товары, добавленные в корзину, запоминаются только до первой покупки в сессии:
+ * после нее корзина сессии уже не может оказаться брошенной.
+ *
+ * Чтобы память не росла с числом сессий за весь период, в памяти хранятся только открытые
+ * сессии. Сессия, в которой не было событий дольше idleTimeout до самого позднего события,
+ * завершается: ее показатели добавляются в накопленные, а сведения о ней удаляются. Выгрузки
+ * магазина упорядочены по времени, поэтому событие завершенной сессии обычно уже не встретится.
+ * Если строки идут не по порядку и событие старше самого позднего больше чем на idleTimeout
+ * не относится к открытой сессии, оно считается в lateEvents: его сессия могла быть учтена дважды.
+ *
+ * @private
+ * @param {Object} counts - Накопленные показатели сессий (см. createSessionCounts)
+ * @param {ShopEvent} event - Событие магазина
+ * @returns {void}
+ */
+function addSessionEvent(counts, event) {
+  const time = event.event_time.getTime();
+  let session = counts.live.get(event.user_session);
+  if (!session) {
+    if (time < counts.lastTime - counts.idleTimeout) {
+      counts.lateEvents += 1;
+    }
+    session = {
+      start: null, // Время первого события (мс)
+      end: null, // Время последнего события (мс)
+      events: 0, // Число событий
+      hasCart: false, // Было ли добавление в корзину
+      hasPurchase: false, // Была ли покупка
+      cartItems: [], // Товары в корзине до первой покупки
+    };
+    counts.live.set(event.user_session, session);
+  }
+
+  session.events += 1;
+
+  // События с неразобранным временем не влияют на длительность сессии
+  if (!Number.isNaN(time)) {
+    session.start = session.start === null ? time : Math.min(session.start, time);
+    session.end = session.end === null ? time : Math.max(session.end, time);
+  }
+
+  if (event.event_type === 'purchase') {
+    session.hasPurchase = true;
+    session.cartItems = [];
+  } else if (event.event_type === 'cart') {
+    session.hasCart = true;
+    if (!session.hasPurchase) {
+      session.cartItems.push({ category: event.category_code_lv0, brand: event.brand, price: event.price });
+    }
+  }
+
+  // Завершаем простаивающие сессии не на каждом событии, а когда время продвинулось на четверть таймаута
+  if (time > counts.lastTime) {
+    counts.lastTime = time;
+    if (time - counts.lastSweepTime >= counts.idleTimeout / 4) {
+      counts.lastSweepTime = time;
+      counts.live.forEach((liveSession, id) => {
+        if (liveSession.end !== null && liveSession.end < time - counts.idleTimeout) {
+          finishSession(counts, liveSession);
+          counts.live.delete(id);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Добавляет показатели завершенной сессии в накопленные
+ *
+ * @private
+ * @param {Object} counts - Накопленные показатели сессий (см. createSessionCounts)
+ * @param {Object} session - Сведения о сессии
+ * @returns {void}
+ */
+function finishSession(counts, session) {
+  // Увеличивает число сессий с данным значением
+  const addValue = (values, value) => values.set(value, (values.get(value) || 0) + 1);
+  // Учитывает товары брошенной корзины в статистике группы, сессия учитывается в группе один раз
+  const addAbandonedItems = (groups, items, getKey) => {
+    new Set(items.map(getKey)).forEach((key) => {
+      groups[key] = groups[key] || { sessions: 0, items: 0, price: 0 };
+      groups[key].sessions += 1;
+    });
+    items.forEach((item) => {
+      groups[getKey(item)].items += 1;
+      groups[getKey(item)].price += item.price;
     });
+  };
 
-  // Создаем заголовок для раздела "Самые дорогие чеки"
-  const bestCheckTitleRange = sheet.GetRangeByNumber(firstRowIndex + 7, firstColumnIndex);
-  bestCheckTitleRange.SetFontSize(12);
-  bestCheckTitleRange.SetBold(true);
-  bestCheckTitleRange.SetValue('Самые дорогие чеки');
+  counts.count += 1;
+  addValue(counts.eventCounts, session.events);
+  counts.withPurchase += session.hasPurchase ? 1 : 0;
+  counts.withCart += session.hasCart ? 1 : 0;
 
-  // Выводим топ-3 группы по средней стоимости покупки (сортировка по убыванию avgPrice)
-  keys
-    .sort((a, b) => data[b].avgPrice - data[a].avgPrice) // Сортировка по убыванию средней цены
-    .slice(0, 3) // Берем только первые 3 записи
-    .forEach((key, i) => {
-      // Добавляем название категории
-      sheet.GetCells(i + firstRow + 8, firstColumnIndex + 1).SetValue(key);
+  if (session.start !== null) {
+    addValue(counts.durations, (session.end - session.start) / 1000);
 
-      // Форматируем значение средней цены (замена точки на запятую для отображения в российском формате)
-      const avgPriceStr = String(data[key].avgPrice).replace('.', ',');
-      sheet.GetCells(i + firstRow + 8, firstColumnIndex + 2).SetValue(avgPriceStr);
+    // Сессия относится к дню своего первого события
+    const day = getPeriodStart(new Date(session.start), 'day').getTime();
+    const dayStats = counts.days.get(day) || { sessions: 0, withPurchase: 0 };
+    dayStats.sessions += 1;
+    dayStats.withPurchase += session.hasPurchase ? 1 : 0;
+    counts.days.set(day, dayStats);
+  }
 
-      // Устанавливаем денежный формат с двумя знаками после запятой
-      sheet.GetCells(i + firstRow + 8, firstColumnIndex + 2).SetNumberFormat('#,##0.00');
+  if (session.hasCart && !session.hasPurchase) {
+    counts.abandoned += 1;
+    counts.abandonedPrice += session.cartItems.reduce((sum, item) => sum + item.price, 0);
+    addAbandonedItems(counts.abandonedPerCategories, session.cartItems, (item) => item.category);
+    addAbandonedItems(counts.abandonedPerBrands, session.cartItems, (item) => item.brand);
+  }
+}
+
+/**
+ * Формирует показатели сессий из накопленных сведений о сессиях
+ *
+ * @description
+ * Открытые сессии завершаются и добавляются в накопленные показатели, поэтому повторный
+ * вызов возвращает тот же результат.
+ *
+ * @private
+ * @param {Object} counts - Накопленные показатели сессий (см. createSessionCounts)
+ * @returns {SessionStats}
+ */
+function buildSessionStats(counts) {
+  counts.live.forEach((session) => finishSession(counts, session));
+  counts.live.clear();
+
+  // Дни между первым и последним днем с сессиями добавляются с нулевыми значениями
+  const perDay = [];
+  const dayStarts = [...counts.days.keys()];
+  if (dayStarts.length > 0) {
+    const last = Math.max(...dayStarts);
+    for (let day = Math.min(...dayStarts); day <= last; day = getNextPeriodStart(new Date(day), 'day').getTime()) {
+      const dayStats = counts.days.get(day) || { sessions: 0, withPurchase: 0 };
+      perDay.push({ start: new Date(day), label: formatPeriodLabel(new Date(day), 'day'), ...dayStats });
+    }
+  }
+
+  // Распределяет сессии по интервалам значения: нижняя граница включается, верхняя - нет
+  const distribute = (values, intervals) =>
+    intervals.map(({ label, min, max }) => {
+      let sessions = 0;
+      values.forEach((count, value) => {
+        sessions += value >= min && value < max ? count : 0;
+      });
+      return { label, sessions };
     });
 
-  // Определяем начальную строку для размещения основных таблиц
-  // Оставляем 12 строк от начала для предыдущих разделов отчета
-  const firstRowValues = firstRow + 12;
+  // Среднее значение по числу сессий с каждым значением
+  const average = (values) => {
+    let total = 0;
+    let sum = 0;
+    values.forEach((count, value) => {
+      total += count;
+      sum += value * count;
+    });
+    return total ? sum / total : 0;
+  };
 
-  // Создаем и оформляем заголовок таблицы с количеством покупок (левая таблица)
-  const countPurchaseRange = getRangeBySize(sheet, firstRowValues, firstColumnIndex, 1, 2);
-  countPurchaseRange.SetAlignHorizontal('center');
-  countPurchaseRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
-  countPurchaseRange.SetValue(['Группа', 'Количество покупок']);
+  // Медиана по числу сессий с каждым значением, как getMedian для списка всех значений
+  const median = (values) => {
+    const sorted = [...values.entries()].sort((a, b) => a[0] - b[0]);
+    const total = sorted.reduce((sum, [, count]) => sum + count, 0);
+    // Значение с порядковым номером index (с 0) в упорядоченном списке всех значений
+    const valueAt = (index) => {
+      let passed = 0;
+      for (const [value, count] of sorted) {
+        passed += count;
+        if (index < passed) {
+          return value;
+        }
+      }
+      return 0;
+    };
+    if (total === 0) {
+      return 0;
+    }
+    const middle = Math.floor(total / 2);
+    return total % 2 === 1 ? valueAt(middle) : (valueAt(middle - 1) + valueAt(middle)) / 2;
+  };
 
-  // Создаем и оформляем заголовок таблицы со средней ценой покупки (правая таблица)
-  const avgPurchaseRange = getRangeBySize(sheet, firstRowValues, firstColumnIndex + 9, 1, 2);
-  avgPurchaseRange.SetAlignHorizontal('center');
-  avgPurchaseRange.SetFillColor(Api.CreateColorFromRGB(244, 101, 36)); // Оранжевый цвет для заголовка
-  avgPurchaseRange.SetValue(['Группа', 'Средняя цена покупки']);
-  // Заполняем таблицу с количеством покупок (левая таблица)
-  keys
-    .sort((a, b) => data[b].count - data[a].count) // Сначала сортируем по убыванию количества
-    .slice(0, 15) // Ограничиваем список 15-ю записями
-    .sort((a, b) => String(a).localeCompare(String(b))) // Сортируем по алфавиту для лучшей навигации
-    .forEach((key, i) => {
-      const { count } = data[key];
+  return {
+    count: counts.count,
+    withPurchase: counts.withPurchase,
+    withCart: counts.withCart,
+    abandoned: counts.abandoned,
+    purchaseShare: counts.count ? counts.withPurchase / counts.count : 0,
+    abandonedShare: counts.withCart ? counts.abandoned / counts.withCart : 0,
+    abandonedPrice: counts.abandonedPrice,
+    avgEvents: average(counts.eventCounts),
+    medianEvents: median(counts.eventCounts),
+    avgDuration: average(counts.durations),
+    medianDuration: median(counts.durations),
+    lateEvents: counts.lateEvents,
+    perDay,
+    eventsDistribution: distribute(counts.eventCounts, [
+      { label: '1', min: 1, max: 2 },
+      { label: '2-3', min: 2, max: 4 },
+      { label: '4-5', min: 4, max: 6 },
+      { label: '6-10', min: 6, max: 11 },
+      { label: 'более 10', min: 11, max: Infinity },
+    ]),
+    durationDistribution: distribute(counts.durations, [
+      { label: 'до 1 мин', min: 0, max: 60 },
+      { label: '1-5 мин', min: 60, max: 5 * 60 },
+      { label: '5-15 мин', min: 5 * 60, max: 15 * 60 },
+      { label: '15-30 мин', min: 15 * 60, max: 30 * 60 },
+      { label: '30-60 мин', min: 30 * 60, max: 60 * 60 },
+      { label: 'более 1 часа', min: 60 * 60, max: Infinity },
+    ]),
+    abandonedPerCategories: counts.abandonedPerCategories,
+    abandonedPerBrands: counts.abandonedPerBrands,
+  };
+}
+
+/**
+ * Учитывает покупку в показателях покупателя
+ *
+ * @private
+ * @param {Map<string, Object>} buyers - Показатели покупателей по идентификатору пользователя
+ * @param {ShopEvent} event - Событие покупки
+ * @param {'week' | 'month'} cohortStep - Длительность периода когортного анализа
+ * @returns {void}
+ */
+function addBuyerPurchase(buyers, event, cohortStep) {
+  let buyer = buyers.get(event.user_id);
+  if (!buyer) {
+    buyer = {
+      last: null, // Время последней покупки (мс)
+      count: 0, // Число покупок
+      price: 0, // Сумма покупок
+      periods: new Set(), // Начала периодов когортного анализа с покупками (мс)
+    };
+    buyers.set(event.user_id, buyer);
+  }
+
+  buyer.count += 1;
+  buyer.price += event.price;
+
+  const time = event.event_time.getTime();
+  if (!Number.isNaN(time)) {
+    buyer.last = buyer.last === null ? time : Math.max(buyer.last, time);
+    buyer.periods.add(getPeriodStart(event.event_time, cohortStep).getTime());
+  }
+}
+
+/**
+ * Выполняет RFM-анализ покупателей
+ *
+ * @description
+ * Для каждого покупателя рассчитываются давность последней покупки (в днях до даты отсчета),
+ * число покупок и их сумма. Каждый показатель переводится в оценку от 1 до 5 по квинтилям:
+ * покупатели упорядочиваются по показателю и делятся на пять равных по численности групп.
+ * Покупатели с одинаковым значением показателя получают одинаковую оценку.
+ *
+ * Сегменты определяются по оценкам давности (R) и частоты (F), для сегмента
+ * "Нельзя потерять" также учитывается оценка суммы (M). Правила проверяются по порядку,
+ * покупатель относится к первому подходящему сегменту.
+ *
+ * @private
+ * @param {Map<string, Object>} buyers - Показатели покупателей по идентификатору пользователя
+ * @param {Date | null} [referenceDate] - Дата отсчета давности, по умолчанию дата последней покупки
+ * @returns {RfmStats}
+ */
+function buildRfmStats(buyers, referenceDate) {
+  const dayLength = 24 * 60 * 60 * 1000;
 
-      // Добавляем название категории и количество покупок
-      sheet.GetCells(i + firstRowValues + 2, firstColumnIndex + 1).SetValue(key);
-      sheet.GetCells(i + firstRowValues + 2, firstColumnIndex + 2).SetValue(count);
+  // Дата отсчета по умолчанию - день последней покупки среди всех покупателей
+  // Максимум ищется циклом: покупателей может быть больше, чем допустимо аргументов для Math.max
+  let lastTime = null;
+  buyers.forEach((buyer) => {
+    if (buyer.last !== null && (lastTime === null || buyer.last > lastTime)) {
+      lastTime = buyer.last;
+    }
+  });
+  const reference = referenceDate || (lastTime !== null ? new Date(lastTime) : null);
+  const referenceDay = reference ? getPeriodStart(reference, 'day').getTime() : 0;
+
+  const customers = [...buyers.entries()].map(([userId, buyer]) => ({
+    userId,
+    // Давность считается в целых днях; покупки после даты отсчета имеют нулевую давность
+    recency:
+      buyer.last === null || !reference
+        ? 0
+        : Math.max(0, Math.round((referenceDay - getPeriodStart(new Date(buyer.last), 'day').getTime()) / dayLength)),
+    frequency: buyer.count,
+    monetary: buyer.price,
+    r: 0,
+    f: 0,
+    m: 0,
+    segment: '',
+  }));
+
+  // Оценка по квинтилям: номер первого покупателя с тем же значением в упорядоченном списке
+  const score = (property, isLowerBetter) => {
+    const sorted = customers.map((customer) => customer[property]).sort((a, b) => (isLowerBetter ? b - a : a - b));
+    const firstIndexes = new Map();
+    sorted.forEach((value, i) => {
+      if (!firstIndexes.has(value)) {
+        firstIndexes.set(value, i);
+      }
     });
+    return (value) => Math.floor((firstIndexes.get(value) * 5) / sorted.length) + 1;
+  };
+  const scoreRecency = score('recency', true);
+  const scoreFrequency = score('frequency', false);
+  const scoreMonetary = score('monetary', false);
 
-  // Заполняем таблицу со средней ценой покупки (правая таблица)
-  keys
-    .sort((a, b) => data[b].avgPrice - data[a].avgPrice) // Сначала сортируем по убыванию средней цены
-    .slice(0, 15) // Ограничиваем список 15-ю записями
-    .sort((a, b) => String(a).localeCompare(String(b))) // Сортируем по алфавиту для лучшей навигации
-    .forEach((key, i) => {
-      const { avgPrice } = data[key];
-      // Форматируем значение средней цены (замена точки на запятую для отображения в российском формате)
-      const avgPriceStr = String(avgPrice).replace('.', ',');
+  // Правила сегментов в порядке проверки
+  const segmentRules = [
+    ['Чемпионы', 'R 4-5, F 4-5', ({ r, f }) => r >= 4 && f >= 4],
+    ['Лояльные', 'R 3, F 4-5', ({ r, f }) => r >= 3 && f >= 4],
+    ['Нельзя потерять', 'R 1-2, F 4-5, M 4-5', ({ r, f, m }) => r <= 2 && f >= 4 && m >= 4],
+    ['В зоне риска', 'R 1-2, F 3-5', ({ r, f }) => r <= 2 && f >= 3],
+    ['Потенциально лояльные', 'R 4-5, F 2-3', ({ r, f }) => r >= 4 && f >= 2],
+    ['Новые', 'R 4-5, F 1', ({ r }) => r >= 4],
+    ['Требуют внимания', 'R 3, F 1-3', ({ r }) => r === 3],
+    ['Спящие', 'R 2, F 1-2', ({ r }) => r === 2],
+    ['Потерянные', 'R 1, F 1-2', () => true],
+  ];
 
-      // Добавляем название категории и среднюю цену покупки
-      sheet.GetCells(i + firstRowValues + 2, firstColumnIndex + 10).SetValue(key);
-      sheet.GetCells(i + firstRowValues + 2, firstColumnIndex + 11).SetValue(avgPriceStr);
-      // Устанавливаем денежный формат с двумя знаками после запятой
-      sheet.GetCells(i + firstRowValues + 2, firstColumnIndex + 11).SetNumberFormat('#,##0.00');
+  customers.forEach((customer) => {
+    customer.r = scoreRecency(customer.recency);
+    customer.f = scoreFrequency(customer.frequency);
+    customer.m = scoreMonetary(customer.monetary);
+    customer.segment = segmentRules.find(([, , matches]) => matches(customer))[0];
+  });
+
+  const totalPrice = customers.reduce((sum, customer) => sum + customer.monetary, 0);
+  const segments = segmentRules.map(([name, description]) => {
+    const members = customers.filter((customer) => customer.segment === name);
+    const sum = (property) => members.reduce((total, customer) => total + customer[property], 0);
+    const price = sum('monetary');
+    return {
+      name,
+      description,
+      customers: members.length,
+      customersShare: customers.length ? members.length / customers.length : 0,
+      price,
+      priceShare: totalPrice ? price / totalPrice : 0,
+      avgRecency: members.length ? sum('recency') / members.length : 0,
+      avgFrequency: members.length ? sum('frequency') / members.length : 0,
+      avgMonetary: members.length ? price / members.length : 0,
+    };
+  });
+
+  // Покупатели упорядочиваются по сегментам, внутри сегмента - по убыванию суммы покупок
+  const segmentOrder = new Map(segmentRules.map(([name], i) => [name, i]));
+  customers.sort((a, b) => segmentOrder.get(a.segment) - segmentOrder.get(b.segment) || b.monetary - a.monetary);
+
+  return { referenceDate: reference, customers, segments };
+}
+
+/**
+ * Формирует когортный анализ удержания покупателей
+ *
+ * @description
+ * Каждый покупатель относится к когорте периода своей первой покупки в анализируемых данных.
+ * Для каждой когорты считается, сколько ее покупателей покупали через 0, 1, 2... периодов
+ * после первой покупки (в периоде 0 покупали все покупатели когорты). Значения рассчитываются
+ * только до последнего периода с покупками, поэтому матрица получается треугольной.
+ *
+ * @private
+ * @param {Map<string, Object>} buyers - Показатели покупателей по идентификатору пользователя
+ * @param {'week' | 'month'} step - Длительность периода
+ * @returns {CohortStats}
+ */
+function buildCohortStats(buyers, step) {
+  // Определяем первый и последний период с покупками
+  let first = null;
+  let last = null;
+  buyers.forEach((buyer) => {
+    buyer.periods.forEach((period) => {
+      first = first === null ? period : Math.min(first, period);
+      last = last === null ? period : Math.max(last, period);
     });
+  });
+  if (first === null) {
+    return { step, periods: 0, cohorts: [] };
+  }
 
-  // Получаем адрес диапазона данных для первого графика (включает заголовок + до 15 строк данных)
-  const countPurchaseValuesAddress = getRangeBySize(sheet, firstRowValues, firstColumnIndex, 15 + 1, 2).Address;
+  // Порядковые номера периодов от первого до последнего
+  const periodIndexes = new Map();
+  for (let period = first; period <= last; period = getNextPeriodStart(new Date(period), step).getTime()) {
+    periodIndexes.set(period, periodIndexes.size);
+  }
+  const periods = periodIndexes.size;
 
-  // Создаем столбчатый график для визуализации количества покупок
-  Api.GetActiveSheet().AddChart(
-    `'${title}'!${countPurchaseValuesAddress}`, // Ссылка на диапазон данных
-    true, // С заголовками
-    'bar', // Тип графика - столбчатый
-    2, // Стиль графика
-    105 * 36000, // Ширина в тваипах (1 тваип = 1/36000 дюйма)
-    105 * 36000, // Высота в тваипах
-    firstColumnIndex + 2, // Отступ от левого края, в тваипах
-    2 * 36000, // Отступ от верхнего края, в тваипах
-    firstRowValues, // Позиция по вертикали в тваипах
-    3 * 36000 // Глубина (для 3D графиков)
+  const cohorts = [...periodIndexes.keys()].map((period, index) => ({
+    start: new Date(period),
+    label: formatPeriodLabel(new Date(period), step),
+    size: 0,
+    values: new Array(periods - index).fill(0),
+  }));
+
+  buyers.forEach((buyer) => {
+    if (buyer.periods.size === 0) {
+      return;
+    }
+    const indexes = [...buyer.periods].map((period) => periodIndexes.get(period));
+    const cohortIndex = Math.min(...indexes);
+    const cohort = cohorts[cohortIndex];
+    cohort.size += 1;
+    indexes.forEach((index) => {
+      cohort.values[index - cohortIndex] += 1;
+    });
+  });
+
+  return { step, periods, cohorts };
+}
+
+/**
+ * Учитывает просмотр или покупку в показателях товара
+ *
+ * @description
+ * Для товара, который пока только просматривали, хранится одно число - число просмотров:
+ * в каталоге магазина таких товаров намного больше, чем купленных. Полные показатели
+ * заводятся при первой покупке (или сразу, если товар нужен в поиске - withDetails) и
+ * накапливаются без хранения отдельных покупок: сумма, число, минимальная и максимальная цена.
+ * Бренд и категория товара берутся из первого такого события, в котором они указаны.
+ *
+ * @private
+ * @param {Map<string, number|Object>} products - Показатели или число просмотров товаров по идентификатору товара
+ * @param {ShopEvent} event - Событие просмотра или покупки
+ * @param {boolean} [withDetails=false] - Хранить ли бренд и категорию товара без покупок
+ * @returns {void}
+ */
+function addProductEvent(products, event, withDetails = false) {
+  let product = products.get(event.product_id);
+  const isViewCount = product === undefined || typeof product === 'number';
+  if (event.event_type === 'view' && isViewCount && !withDetails) {
+    products.set(event.product_id, (product || 0) + 1);
+    return;
+  }
+
+  if (isViewCount) {
+    product = {
+      brand: '_none', // Бренд товара
+      category: '_none', // Полный код категории товара
+      views: product || 0, // Число просмотров
+      purchases: 0, // Число покупок
+      revenue: 0, // Сумма покупок
+      minPrice: Infinity, // Минимальная цена покупки
+      maxPrice: -Infinity, // Максимальная цена покупки
+      buyers: new Set(), // Покупатели
+    };
+    products.set(event.product_id, product);
+  }
+
+  if (product.brand === '_none') {
+    product.brand = event.brand;
+  }
+  if (product.category === '_none' && event.category_code) {
+    product.category = event.category_code;
+  }
+
+  if (event.event_type === 'view') {
+    product.views += 1;
+    return;
+  }
+
+  product.purchases += 1;
+  product.revenue += event.price;
+  product.minPrice = Math.min(product.minPrice, event.price);
+  product.maxPrice = Math.max(product.maxPrice, event.price);
+  if (event.user_id) {
+    product.buyers.add(event.user_id);
+  }
+}
+
+/**
+ * Рассчитывает показатели товаров по накопленным просмотрам и покупкам
+ *
+ * @description
+ * В результат попадают товары с полными показателями (см. addProductEvent): купленные
+ * и товары из поиска. Для товаров без покупок цены покупки равны 0.
+ * Конверсия - отношение числа покупок к числу просмотров, 0 при отсутствии просмотров.
+ *
+ * @private
+ * @param {Map<string, number|Object>} products - Показатели или число просмотров товаров по идентификатору товара
+ * @returns {ProductStats[]}
+ */
+function buildProductStats(products) {
+  return [...products]
+    .filter(([, product]) => typeof product !== 'number')
+    .map(([productId, product]) => ({
+      productId,
+      brand: product.brand,
+      category: product.category,
+      purchases: product.purchases,
+      revenue: product.revenue,
+      minPrice: product.purchases ? product.minPrice : 0,
+      maxPrice: product.purchases ? product.maxPrice : 0,
+      avgPrice: product.purchases ? product.revenue / product.purchases : 0,
+      buyers: product.buyers.size,
+      views: product.views,
+      viewToPurchase: product.views ? product.purchases / product.views : 0,
+    }));
+}
+
+/**
+ * Создает пустые счетчики анализа совместных покупок
+ *
+ * @private
+ * @returns {Object} Открытые корзины по идентификатору сессии или пользователя, число корзин
+ *          и счетчики корзин с каждым элементом и каждой парой элементов (см. addBasketPurchase)
+ */
+function createCoPurchaseCounts() {
+  return {
+    baskets: new Map(), // Открытые корзины: сессия или пользователь -> начало, элементы и категории корзины
+    total: 0, // Число корзин
+    multiItemBaskets: 0, // Число корзин с несколькими разными элементами
+    truncatedBaskets: 0, // Число корзин, в которые не вошли элементы сверх ограничения
+    items: { counts: new Map(), pairCounts: new Map() }, // Корзины с элементом и с парой элементов
+    categories: { counts: new Map(), pairCounts: new Map() }, // То же для категорий верхнего уровня
+  };
+}
+
+/**
+ * Учитывает покупку в корзине для анализа совместных покупок
+ *
+ * @description
+ * Пары считаются сразу при добавлении покупки: новый для корзины элемент образует пару с каждым
+ * элементом, уже лежащим в корзине. Поэтому отдельные покупки не хранятся - только множества
+ * разных элементов и категорий открытых корзин. Повторная покупка элемента в корзине не учитывается.
+ * В корзину попадают не больше maxItems разных элементов: покупки новых элементов сверх ограничения
+ * (например, оптовые заказы) не учитываются, такая корзина отмечается в truncatedBaskets.
+ *
+ * Покупки без сессии (или без пользователя) не учитываются. Для корзин пользователя
+ * не учитываются и покупки без времени: по нему покупки делятся на окна. Покупка дальше окна
+ * от начала текущей корзины пользователя открывает новую корзину, а прежняя больше не хранится,
+ * поэтому покупки пользователя должны идти по времени, как в выгрузках магазина.
+ *
+ * @private
+ * @param {Object} counts - Счетчики анализа совместных покупок (см. createCoPurchaseCounts)
+ * @param {ShopEvent} event - Событие покупки
+ * @param {CoPurchaseOptions} options - Параметры анализа
+ * @param {string} item - Элемент корзины: товар, бренд или категория покупки
+ * @param {number} [maxItems=50] - Наибольшее число разных элементов в корзине
+ * @returns {void}
+ */
+function addBasketPurchase(counts, event, options, item, maxItems = 50) {
+  const key = options.basket === 'session' ? event.user_session : event.user_id;
+  const time = event.event_time.getTime();
+  if (!key || (options.basket === 'user' && Number.isNaN(time))) {
+    return;
+  }
+
+  let basket = counts.baskets.get(key);
+  if (
+    !basket ||
+    (options.basket === 'user' && Math.abs(time - basket.start) > options.windowDays * 24 * 60 * 60 * 1000)
+  ) {
+    basket = { start: time, items: new Set(), categories: new Set(), isTruncated: false };
+    counts.baskets.set(key, basket);
+    counts.total += 1;
+  }
+
+  // Добавляет значение в множество корзины и считает пары с уже лежащими в ней значениями
+  const addValue = (values, stats, value) => {
+    if (values.has(value)) {
+      return true;
+    }
+    if (values.size >= maxItems) {
+      return false;
+    }
+    values.forEach((other) => {
+      const pairKey = getPairKey(value, other);
+      stats.pairCounts.set(pairKey, (stats.pairCounts.get(pairKey) || 0) + 1);
+    });
+    values.add(value);
+    stats.counts.set(value, (stats.counts.get(value) || 0) + 1);
+    return true;
+  };
+
+  const itemCount = basket.items.size;
+  if (!addValue(basket.items, counts.items, item) && !basket.isTruncated) {
+    basket.isTruncated = true;
+    counts.truncatedBaskets += 1;
+  }
+  // Корзина стала корзиной с несколькими элементами
+  if (itemCount === 1 && basket.items.size === 2) {
+    counts.multiItemBaskets += 1;
+  }
+  addValue(basket.categories, counts.categories, event.category_code_lv0);
+}
+
+/**
+ * Возвращает ключ пары значений, не зависящий от их порядка
+ *
+ * @private
+ * @param {string} first - Первое значение
+ * @param {string} second - Второе значение
+ * @returns {string} Значения по алфавиту через символ \u0001, которого нет в данных
+ */
+function getPairKey(first, second) {
+  return first < second ? `${first}\u0001${second}` : `${second}\u0001${first}`;
+}
+
+/**
+ * Выполняет анализ совместных покупок
+ *
+ * @description
+ * Корзина - покупки одной сессии или, для корзин пользователя, покупки одного пользователя,
+ * сделанные в пределах окна от первой покупки корзины: следующая покупка за пределами окна
+ * открывает новую корзину. Число корзин с каждым элементом и каждой парой элементов
+ * накапливается по мере добавления покупок (см. addBasketPurchase).
+ *
+ * Для каждой пары элементов A и B рассчитываются:
+ * - поддержка - доля корзин, в которых есть оба элемента
+ * - достоверность A -> B - доля корзин с A, в которых есть B (и наоборот)
+ * - лифт - отношение поддержки пары к произведению поддержек элементов:
+ *   больше 1 - элементы покупают вместе чаще, чем если бы покупки были независимыми
+ *
+ * Матрица по категориям верхнего уровня строится по тем же корзинам независимо от уровня анализа.
+ *
+ * @private
+ * @param {Object} counts - Счетчики анализа совместных покупок (см. createCoPurchaseCounts)
+ * @param {CoPurchaseOptions} options - Параметры анализа
+ * @returns {CoPurchaseStats}
+ */
+function buildCoPurchaseStats(counts, options) {
+  const { total, items } = counts;
+  const pairs = [];
+  items.pairCounts.forEach((count, pairKey) => {
+    const support = count / total;
+    if (support < options.minSupport) {
+      return;
+    }
+    const [first, second] = pairKey.split('\u0001');
+    const firstCount = items.counts.get(first);
+    const secondCount = items.counts.get(second);
+    pairs.push({
+      first,
+      second,
+      count,
+      support,
+      confidence: count / firstCount,
+      reverseConfidence: count / secondCount,
+      lift: (count * total) / (firstCount * secondCount),
+    });
+  });
+  pairs.sort((a, b) => b.count - a.count || b.lift - a.lift);
+
+  // Матрица совместных покупок по категориям верхнего уровня
+  const categoryStats = counts.categories;
+  const categories = [...categoryStats.counts.keys()]
+    .sort((a, b) => categoryStats.counts.get(b) - categoryStats.counts.get(a))
+    .slice(0, 15);
+  const categoryMatrix = categories.map((rowCategory) =>
+    categories.map((columnCategory) => {
+      if (rowCategory === columnCategory) {
+        return categoryStats.counts.get(rowCategory);
+      }
+      return categoryStats.pairCounts.get(getPairKey(rowCategory, columnCategory)) || 0;
+    })
   );
 
-  // Получаем адрес диапазона данных для второго графика (включает заголовок + до 15 строк данных)
-  const avgPurchaseValuesAddress = getRangeBySize(sheet, firstRowValues, firstColumnIndex + 9, 15 + 1, 2).Address;
+  return {
+    options,
+    baskets: total,
+    multiItemBaskets: counts.multiItemBaskets,
+    truncatedBaskets: counts.truncatedBaskets,
+    pairs,
+    categories,
+    categoryMatrix,
+  };
+}
+
+/**
+ * Возвращает стандартные группировки анализатора: статистику покупок по категориям и брендам
+ *
+ * @description
+ * Для каждой группы вычисляются количество покупок (count), сумма покупок (price)
+ * и средняя цена покупки (avgPrice), что соответствует PurchasePerCategory и PurchasePerBrand.
+ *
+ * @private
+ * @returns {Object.<string, GroupingDefinition>}
+ */
+function getDefaultGroupings() {
+  const purchaseMetrics = [
+    { name: 'count', aggregation: 'count', eventTypes: ['purchase'] },
+    { name: 'price', aggregation: 'sum', field: 'price', eventTypes: ['purchase'] },
+    { name: 'avgPrice', aggregation: 'avg', field: 'price', eventTypes: ['purchase'] },
+  ];
+
+  return {
+    purchasePerCategories: { dimensions: ['category_lv0'], metrics: purchaseMetrics },
+    purchasePerBrands: { dimensions: ['brand'], metrics: purchaseMetrics },
+  };
+}
+
+/**
+ * Показатель, доступный для отчетов с листа "Настройки отчетов"
+ *
+ * @typedef {{
+ *   title: string, // Название колонки в отчете
+ *   aliases: string[], // Допустимые написания на листе настроек в нижнем регистре
+ *   metric: GroupingMetric, // Описание показателя для механизма группировок
+ *   isMoney: boolean // Выводить ли значение в денежном формате
+ * }} ReportMetric
+ */
+
+/**
+ * Возвращает показатели, доступные для отчетов с листа "Настройки отчетов"
+ *
+ * @private
+ * @returns {Map<string, ReportMetric>} Идентификатор показателя -> описание
+ */
+function getReportMetricCatalog() {
+  // Формирует описание показателя, название показателя в группировке совпадает с идентификатором
+  const metric = (id, title, aliases, aggregation, field, eventTypes, isMoney) => [
+    id,
+    { title, aliases: [...aliases, id.toLowerCase()], metric: { name: id, aggregation, field, eventTypes }, isMoney },
+  ];
+
+  return new Map([
+    metric('count', 'Количество покупок', ['количество', 'покупки'], 'count', undefined, ['purchase'], false),
+    metric('revenue', 'Выручка', ['выручка', 'сумма'], 'sum', 'price', ['purchase'], true),
+    metric('avgPrice', 'Средняя цена покупки', ['средняя цена'], 'avg', 'price', ['purchase'], true),
+    metric('minPrice', 'Минимальная цена покупки', ['минимальная цена'], 'min', 'price', ['purchase'], true),
+    metric('maxPrice', 'Максимальная цена покупки', ['максимальная цена'], 'max', 'price', ['purchase'], true),
+    metric('medianPrice', 'Медианная цена покупки', ['медианная цена'], 'median', 'price', ['purchase'], true),
+    metric('buyers', 'Покупателей', ['покупатели'], 'distinct', 'user_id', ['purchase'], false),
+    metric('users', 'Пользователей', ['пользователи'], 'distinct', 'user_id', undefined, false),
+    metric('sessions', 'Сессий', ['сессии'], 'distinct', 'user_session', undefined, false),
+    metric('views', 'Просмотры', ['просмотры'], 'count', undefined, ['view'], false),
+    metric('carts', 'Добавления в корзину', ['корзина', 'добавления в корзину'], 'count', undefined, ['cart'], false),
+    metric('events', 'Событий', ['события'], 'count', undefined, undefined, false),
+  ]);
+}
+
+/**
+ * Возвращает допустимые написания измерений на листе "Настройки отчетов"
+ *
+ * @private
+ * @returns {Object.<string, string[]>} Измерение группировки -> допустимые написания в нижнем регистре
+ */
+function getReportDimensionChoices() {
+  return {
+    brand: ['бренд', 'brand'],
+    category: ['код категории', 'category'],
+    category_lv0: ['категория', 'category_lv0'],
+    category_lv1: ['подкатегория', 'category_lv1'],
+    category_lv2: ['подгруппа', 'category_lv2'],
+    product_id: ['товар', 'product_id'],
+    user_id: ['пользователь', 'user_id'],
+    user_session: ['сессия', 'user_session'],
+    event_type: ['тип события', 'event_type'],
+    weekday: ['день недели', 'weekday'],
+    hour: ['час', 'hour'],
+    price_bucket: ['ценовой диапазон', 'price_bucket'],
+  };
+}
+
+/**
+ * Формирует группировки для отчетов с листа "Настройки отчетов"
+ *
+ * @param {ReportDefinition[]} definitions - Описания отчетов
+ * @returns {Object.<string, GroupingDefinition>} Название отчета -> описание группировки
+ *
+ * @example
+ * const analyzer = createDataAnalyzer(filter, { groupings: getReportGroupings(readReportDefinitions() || []) });
+ */
+function getReportGroupings(definitions) {
+  const metricCatalog = getReportMetricCatalog();
+  const groupings = {};
+  definitions.forEach((definition) => {
+    groupings[definition.title] = {
+      dimensions: definition.dimensions,
+      metrics: definition.metrics.map((id) => metricCatalog.get(id).metric),
+    };
+  });
+  return groupings;
+}
+
+/**
+ * Создает накопитель группировки событий по измерениям с расчетом показателей
+ *
+ * @description
+ * События передаются в метод add() по одному. Для большинства показателей хранится
+ * только накопленное значение; для медианы хранятся все значения поля,
+ * для числа уникальных значений - множество значений.
+ *
+ * @param {GroupingDefinition} definition - Описание группировки
+ * @returns {{ add: (event: ShopEvent) => void, getResult: () => GroupedData }}
+ * @throws {Error} Если указано неизвестное измерение или агрегатная функция
+ *
+ * @example
+ * // Число покупателей и медианная цена покупки по дням недели и часам
+ * const aggregator = createGroupAggregator({
+ *   dimensions: ['weekday', 'hour'],
+ *   metrics: [
+ *     { name: 'buyers', aggregation: 'distinct', field: 'user_id', eventTypes: ['purchase'] },
+ *     { name: 'medianPrice', aggregation: 'median', field: 'price', eventTypes: ['purchase'] },
+ *   ],
+ * });
+ * events.forEach(aggregator.add);
+ * aggregator.getResult(); // { '1 Пн / 00': { buyers: 3, medianPrice: 120.5 }, ... }
+ */
+function createGroupAggregator(definition) {
+  if (!definition.dimensions?.length) {
+    throw new Error('Для группировки должно быть указано хотя бы одно измерение');
+  }
+
+  const dimensions = definition.dimensions.map((name) => getGroupingDimension(name, definition));
+  // Проверяем показатели сразу, чтобы ошибка в описании обнаружилась до загрузки данных
+  definition.metrics.forEach(createMetricAccumulator);
+
+  // Название группы -> накопители показателей в порядке definition.metrics
+  const groups = new Map();
+
+  return {
+    add(event) {
+      const key = dimensions.map((getValue) => getValue(event)).join(' / ');
+      let accumulators = groups.get(key);
+      if (!accumulators) {
+        accumulators = definition.metrics.map(createMetricAccumulator);
+        groups.set(key, accumulators);
+      }
+      accumulators.forEach((accumulator) => accumulator.add(event));
+    },
+    getResult() {
+      const result = {};
+      groups.forEach((accumulators, key) => {
+        result[key] = {};
+        definition.metrics.forEach((metric, i) => {
+          result[key][metric.name] = accumulators[i].getValue();
+        });
+      });
+      return result;
+    },
+  };
+}
+
+/**
+ * Возвращает функцию получения значения измерения группировки для события
+ *
+ * @description
+ * Поддерживаемые измерения:
+ * - brand, product_id, user_id, user_session, event_type - поля события
+ * - category - полный код категории, category_lv0/category_lv1/category_lv2 - уровни иерархии
+ * - weekday - день недели ("1 Пн" ... "7 Вс", номер сохраняет порядок при сортировке)
+ * - hour - час события ("00" ... "23")
+ * - price_bucket - ценовой диапазон по границам definition.priceBuckets
+ *   (по умолчанию 50, 100, 250, 500, 1000)
+ *
+ * День недели и час определяются в часовом поясе отчетов, как и периоды динамики продаж.
+ *
+ * @private
+ * @param {string} name - Название измерения
+ * @param {GroupingDefinition} definition - Описание группировки (для границ ценовых диапазонов)
+ * @returns {(event: ShopEvent) => string}
+ * @throws {Error} Если измерение не поддерживается
+ */
+function getGroupingDimension(name, definition) {
+  const weekdays = ['1 Пн', '2 Вт', '3 Ср', '4 Чт', '5 Пт', '6 Сб', '7 Вс'];
+  const priceBuckets = definition.priceBuckets || [50, 100, 250, 500, 1000];
+
+  const dimensions = new Map([
+    ['brand', (event) => event.brand],
+    ['category', (event) => event.category_code || '_none'],
+    ['category_lv0', (event) => event.category_code_lv0],
+    ['category_lv1', (event) => event.category_code_lv1],
+    ['category_lv2', (event) => event.category_code_lv2],
+    ['product_id', (event) => event.product_id],
+    ['user_id', (event) => event.user_id],
+    ['user_session', (event) => event.user_session],
+    ['event_type', (event) => event.event_type],
+    // Воскресенье в getUTCDay() - 0, переносим его в конец недели
+    ['weekday', (event) => weekdays[(event.event_time.getUTCDay() + 6) % 7] || '_none'],
+    [
+      'hour',
+      (event) =>
+        Number.isNaN(event.event_time.getTime()) ? '_none' : String(event.event_time.getUTCHours()).padStart(2, '0'),
+    ],
+    [
+      'price_bucket',
+      (event) => {
+        const index = priceBuckets.findIndex((bound) => event.price < bound);
+        if (index === 0) {
+          return `до ${priceBuckets[0]}`;
+        }
+        if (index === -1) {
+          return `${priceBuckets[priceBuckets.length - 1]} и более`;
+        }
+        return `${priceBuckets[index - 1]} - ${priceBuckets[index]}`;
+      },
+    ],
+  ]);
+
+  const getValue = dimensions.get(name);
+  if (!getValue) {
+    throw new Error(
+      `Неизвестное измерение группировки "${name}". Допустимые значения: ${[...dimensions.keys()].join(', ')}`
+    );
+  }
+  return (event) => String(getValue(event) ?? '_none');
+}
+
+/**
+ * Создает накопитель значения показателя группировки
+ *
+ * @description
+ * Для группы без подходящих событий count, sum и distinct равны 0,
+ * avg, min, max и median также возвращают 0, чтобы значение можно было вывести в отчет.
+ *
+ * @private
+ * @param {GroupingMetric} metric - Показатель
+ * @returns {{ add: (event: ShopEvent) => void, getValue: () => number }}
+ * @throws {Error} Если агрегатная функция не поддерживается или для нее не указано поле
+ */
+function createMetricAccumulator(metric) {
+  const { aggregation, field, eventTypes } = metric;
+  // Числовое поле у события одно - цена
+  if (!['count', 'distinct'].includes(aggregation) && field !== 'price') {
+    throw new Error(`Для показателя "${metric.name}" (${aggregation}) должно быть указано поле price`);
+  }
+
+  // Уникальные значения считаются по любому измерению группировки (user_id, user_session, weekday и т.д.)
+  const getFieldValue = aggregation === 'distinct' ? getGroupingDimension(field, metric) : (event) => event[field];
+
+  let count = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  const values = [];
+  const distinctValues = new Set();
+
+  const accumulate = {
+    count: () => {},
+    sum: (value) => {
+      sum += value;
+    },
+    avg: (value) => {
+      sum += value;
+    },
+    min: (value) => {
+      min = Math.min(min, value);
+    },
+    max: (value) => {
+      max = Math.max(max, value);
+    },
+    median: (value) => {
+      values.push(value);
+    },
+    distinct: (value) => {
+      distinctValues.add(value);
+    },
+  }[aggregation];
+  if (!accumulate) {
+    throw new Error(
+      `Неизвестная агрегатная функция "${aggregation}" показателя "${metric.name}". ` +
+        'Допустимые значения: count, sum, avg, min, max, median, distinct'
+    );
+  }
+
+  return {
+    add(event) {
+      if (eventTypes && !eventTypes.includes(event.event_type)) {
+        return;
+      }
+      count += 1;
+      accumulate(aggregation === 'count' ? null : getFieldValue(event));
+    },
+    getValue() {
+      if (count === 0) {
+        return 0;
+      }
+      switch (aggregation) {
+        case 'count':
+          return count;
+        case 'sum':
+          return sum;
+        case 'avg':
+          return sum / count;
+        case 'min':
+          return min;
+        case 'max':
+          return max;
+        case 'median':
+          return getMedian(values);
+        default:
+          return distinctValues.size;
+      }
+    },
+  };
+}
+
+/**
+ * Создает пустые счетчики воронки продаж
+ *
+ * @private
+ * @returns {FunnelStats}
+ */
+function createFunnelStats() {
+  return {
+    views: 0,
+    carts: 0,
+    purchases: 0,
+    viewToCart: 0,
+    cartToPurchase: 0,
+    viewToPurchase: 0,
+  };
+}
+
+/**
+ * Рассчитывает конверсии между шагами воронки продаж
+ *
+ * @description
+ * Конверсия - доля событий следующего шага от числа событий предыдущего.
+ * Если событий предыдущего шага нет, конверсия равна 0.
+ * Конверсия может превышать 1, если, например, часть покупок сделана
+ * без просмотра товара в анализируемом периоде.
+ *
+ * @private
+ * @param {FunnelStats} stats - Счетчики воронки, в которые записываются конверсии
+ * @returns {void}
+ */
+function calculateFunnelConversions(stats) {
+  stats.viewToCart = stats.views ? stats.carts / stats.views : 0;
+  stats.cartToPurchase = stats.carts ? stats.purchases / stats.carts : 0;
+  stats.viewToPurchase = stats.views ? stats.purchases / stats.views : 0;
+}
+
+/**
+ * Возвращает обязательные свойства ShopEventEntry (столбцы CSV)
+ *
+ * @private
+ * @returns {string[]}
+ */
+function getShopEventEntryProps() {
+  return ['brand', 'category_code', 'event_time', 'event_type', 'price', 'product_id', 'user_id', 'user_session'];
+}
+
+/**
+ * Проверяет, что события содержат все обязательные свойства ShopEventEntry
+ *
+ * @description
+ * Проверяется только наличие обязательных полей, дополнительные поля игнорируются.
+ * Проверка прекращается на первом событии, в котором есть все свойства.
+ *
+ * @private
+ * @param {Object[]} items - Проверяемые события (обычно несколько первых)
+ * @returns {void}
+ * @throws {Error} Если данные не соответствуют ожидаемому формату ShopEventEntry
+ */
+function checkShopEventEntries(items) {
+  // Список обязательных свойств для типа ShopEventEntry
+  const requiredProps = getShopEventEntryProps();
+  const missingProps = [];
+
+  for (const item of items) {
+    for (const prop of requiredProps) {
+      if (!(prop in item) && !missingProps.includes(prop)) {
+        missingProps.push(prop);
+      }
+    }
+
+    // Если нашли все свойства, выходим из цикла
+    if (missingProps.length === 0) {
+      break;
+    }
+  }
+
+  // Выдаем ошибку только если есть отсутствующие обязательные свойства
+  if (missingProps.length > 0) {
+    throw new Error(`Данные не соответствуют типу ShopEventEntry: отсутствуют свойства ${missingProps.join(', ')}`);
+  }
+}
+
+/**
+ * Сведения о загруженном источнике данных
+ *
+ * @typedef {{
+ *   title: string, // Название источника
+ *   rows: number, // Число строк данных
+ *   invalidRows: number, // Число некорректных строк
+ *   duplicates: number, // Число строк, повторяющих строки предыдущих источников
+ *   uncheckedRows: number, // Число строк в середине периода предыдущего источника, не проверенных на повтор
+ *   start: Date | null, // Время первого события среди корректных строк (в часовом поясе отчетов)
+ *   end: Date | null // Время последнего события среди корректных строк
+ * }} SourceStats
+ */
+
+/**
+ * Загружает строки из всех источников данных и передает корректные строки в onEntry
+ *
+ * @description
+ * Источники загружаются по очереди: CSV-файлы - потоково, каждый со своим разделителем полей,
+ * листы документа - из ячеек (см. readSheetRows). Строки обоих типов проходят одинаковую
+ * проверку и анализ. Каждая строка проверяется в dataQuality; если источников несколько, место некорректной
+ * строки указывается как "источник:номер строки". Строки, полностью совпадающие со строкой
+ * одного из предыдущих источников (например, из пересекающихся выгрузок), отбрасываются.
+ * По умолчанию повторы ищутся во всем пересечении периодов источников; если задано окно
+ * duplicateWindowDays, - только у начала и конца периода каждого источника, а число строк,
+ * не проверенных на повтор, сохраняется в uncheckedRows (см. createDuplicateFilter).
+ *
+ * Ход загрузки передается в onProgress в виде текста для ячейки статуса: источник, доля
+ * загруженных байтов (или их объем, если размер файла неизвестен) и число обработанных строк.
+ *
+ * @async
+ * @param {DataSource[]} sources - Источники данных
+ * @param {{
+ *   dataQuality: { check: (entry: ShopEventEntry, location: number | string) => boolean },
+ *   timezoneOffset: number,
+ *   timeout?: number,
+ *   duplicateWindowDays?: number,
+ *   onProgress?: (message: string) => void
+ * }} options - Проверка строк (см. createDataQualityChecker), смещение часового пояса отчетов от UTC в минутах
+ *              (для периода данных источника), таймаут загрузки файла до 10 МБ в миллисекундах (см. loadData),
+ *              окно поиска повторов в днях (по умолчанию 0 - весь период) и обработчик хода загрузки
+ * @param {(entry: ShopEventEntry) => void} onEntry - Обработчик корректной строки
+ * @returns {Promise<SourceStats[]>} Сведения об источниках в порядке загрузки
+ * @throws {Error} Если источник не удалось загрузить или разобрать
+ * @throws {Error} Если обработчик onProgress выбросил исключение (например, при отмене выполнения)
+ *
+ * @example
+ * const sourceStats = await loadSources(
+ *   settings.sources,
+ *   { dataQuality: createDataQualityChecker(), timezoneOffset: 0 },
+ *   (entry) => analyzer.add(entry)
+ * );
+ */
+async function loadSources(sources, options, onEntry) {
+  const { dataQuality, timezoneOffset, timeout, duplicateWindowDays = 0, onProgress } = options;
+  const duplicateFilter = createDuplicateFilter(sources.length, duplicateWindowDays);
+  const sourceStats = [];
+  // Общее число обработанных строк всех источников для вывода хода загрузки
+  let rowCount = 0;
+
+  for (const [sourceIndex, source] of sources.entries()) {
+    const sourceTitle = sources.length > 1 ? `${source.title} (${sourceIndex + 1} из ${sources.length})` : source.title;
+    const stats = {
+      title: source.title,
+      rows: 0,
+      invalidRows: 0,
+      duplicates: 0,
+      uncheckedRows: 0,
+      start: null,
+      end: null,
+    };
+    sourceStats.push(stats);
+
+    const onRow = (entry, lineNumber) => {
+      stats.rows += 1;
+      rowCount += 1;
+      if (!dataQuality.check(entry, sources.length > 1 ? `${source.title}:${lineNumber}` : lineNumber)) {
+        stats.invalidRows += 1;
+        return;
+      }
+
+      const eventTime = parseEventTime(entry.event_time, timezoneOffset);
+      if (duplicateFilter.isDuplicate(entry, sourceIndex, eventTime)) {
+        stats.duplicates += 1;
+        return;
+      }
+
+      if (!stats.start || eventTime < stats.start) {
+        stats.start = eventTime;
+      }
+      if (!stats.end || eventTime > stats.end) {
+        stats.end = eventTime;
+      }
+      onEntry(entry);
+    };
+
+    if (source.type === 'sheet') {
+      // Данные уже находятся в документе, загрузка не нужна
+      onProgress?.(`Чтение ${sourceTitle}, обработано строк: ${rowCount}`);
+      readSheetRows(source.path, onRow);
+    } else {
+      // Если разделитель в настройках не задан, он определяется по строке заголовков
+      const parser = createCsvParser(onRow, source.delimiter);
+      // Конвертируем путь к файлу в формат URL для корректной загрузки
+      await loadData(convertPath(source.path), (chunk) => parser.write(chunk), {
+        timeout,
+        onProgress: (loaded, total) => {
+          const amount = total > 0 ? `${Math.floor((loaded / total) * 100)}%` : `${(loaded / 1048576).toFixed(1)} МБ`;
+          onProgress?.(`Загрузка ${sourceTitle}: ${amount}, обработано строк: ${rowCount}`);
+        },
+      });
+      parser.end();
+    }
+
+    duplicateFilter.endSource(sourceIndex);
+    stats.uncheckedRows = duplicateFilter.getUncheckedRows(sourceIndex);
+  }
+
+  return sourceStats;
+}
+
+/**
+ * Формирует описание загруженного источника данных для итогового сообщения
+ *
+ * @param {SourceStats} stats - Сведения об источнике
+ * @returns {string} Описание источника
+ *
+ * @example
+ * describeSourceStats(stats); // '2019-Oct.csv: строк 3000, события 01.10.2019 - 31.10.2019, повторов 12'
+ */
+function describeSourceStats(stats) {
+  const parts = [`строк ${stats.rows}`];
+  if (stats.start) {
+    parts.push(`события ${formatPeriodRange(stats)}`);
+  }
+  if (stats.invalidRows > 0) {
+    parts.push(`некорректных ${stats.invalidRows}`);
+  }
+  if (stats.duplicates > 0) {
+    parts.push(`повторов ${stats.duplicates}`);
+  }
+  if (stats.uncheckedRows > 0) {
+    parts.push(`не проверено на повторы ${stats.uncheckedRows}`);
+  }
+  return `${stats.title}: ${parts.join(', ')}`;
+}
+
+/**
+ * Создает проверку строк данных на корректность значений
+ *
+ * @description
+ * Каждая строка проверяется по правилам:
+ * - columns - в строке есть все столбцы ShopEventEntry (у короткой строки недостающие значения undefined)
+ * - eventTime - время события удается разобрать (см. parseEventTime)
+ * - price - цена является неотрицательным числом (пробелы и запятая в качестве разделителя допускаются)
+ * - eventType - тип события view, cart или purchase
+ *
+ * Для каждого правила считается число строк с нарушением и сохраняются номера
+ * и значения первых 10 таких строк. Строка с несколькими нарушениями учитывается
+ * в каждом правиле, но в invalidRows - один раз.
+ *
+ * Отсутствие столбца в заголовке файла проверяется отдельно при анализе первой строки
+ * (см. checkShopEventEntries).
+ *
+ * @returns {{ check: (entry: ShopEventEntry, location: number | string) => boolean, getResult: () => DataQualityStats }}
+ *          check() принимает строку и ее место в данных (номер строки или "файл:номер строки")
+ *          и возвращает false для строки с нарушениями
+ *
+ * @example
+ * const dataQuality = createDataQualityChecker();
+ * const parser = createCsvParser((entry, lineNumber) => {
+ *   if (dataQuality.check(entry, lineNumber)) {
+ *     analyzer.add(entry);
+ *   }
+ * });
+ * // ... загрузка данных
+ * dataQuality.getResult(); // { rows: 3000, invalidRows: 2, rules: [...] }
+ */
+function createDataQualityChecker() {
+  const sampleCount = 10;
+  const eventTypes = ['view', 'cart', 'purchase'];
+  const requiredProps = getShopEventEntryProps();
+
+  // Правила проверки: функция возвращает некорректное значение или null, если нарушения нет
+  const rules = [
+    {
+      id: 'columns',
+      title: 'Не хватает столбцов',
+      validate: (entry) => {
+        const missingProps = requiredProps.filter((prop) => entry[prop] === undefined);
+        return missingProps.length > 0 ? `нет ${missingProps.join(', ')}` : null;
+      },
+    },
+    {
+      id: 'eventTime',
+      title: 'Некорректное время события',
+      validate: (entry) =>
+        entry.event_time !== undefined && Number.isNaN(parseEventTime(entry.event_time).getTime())
+          ? String(entry.event_time)
+          : null,
+    },
+    {
+      id: 'price',
+      title: 'Цена не является неотрицательным числом',
+      validate: (entry) => {
+        if (entry.price === undefined) {
+          return null;
+        }
+        const price = parsePrice(entry.price);
+        return Number.isFinite(price) && price >= 0 && String(entry.price).trim() !== '' ? null : String(entry.price);
+      },
+    },
+    {
+      id: 'eventType',
+      title: 'Неизвестный тип события',
+      validate: (entry) =>
+        entry.event_type !== undefined && !eventTypes.includes(entry.event_type) ? String(entry.event_type) : null,
+    },
+  ].map((rule) => ({ ...rule, count: 0, lines: [], values: [] }));
+
+  let rows = 0;
+  let invalidRows = 0;
+
+  return {
+    check(entry, location) {
+      rows += 1;
+      let isValid = true;
+      rules.forEach((rule) => {
+        const value = rule.validate(entry);
+        if (value === null) {
+          return;
+        }
+        isValid = false;
+        rule.count += 1;
+        if (rule.lines.length < sampleCount) {
+          rule.lines.push(location);
+          rule.values.push(value);
+        }
+      });
+      if (!isValid) {
+        invalidRows += 1;
+      }
+      return isValid;
+    },
+    getResult() {
+      return {
+        rows,
+        invalidRows,
+        rules: rules.map(({ id, title, count, lines, values }) => ({
+          id,
+          title,
+          count,
+          lines: [...lines],
+          values: [...values],
+        })),
+      };
+    },
+  };
+}
+
+/**
+ * Формирует краткое описание нарушений для сообщения об ошибке
+ *
+ * @param {DataQualityStats} stats - Результат проверки строк данных
+ * @returns {string} Описание нарушений с номерами первых строк
+ *
+ * @example
+ * describeDataQualityIssues(stats);
+ * // 'Некорректных строк: 2 (Некорректное время события: 1, строки 15; Неизвестный тип события: 1, строки 27)'
+ */
+function describeDataQualityIssues(stats) {
+  const details = stats.rules
+    .filter((rule) => rule.count > 0)
+    .map((rule) => `${rule.title}: ${rule.count}, строки ${rule.lines.join(', ')}`);
+  return `Некорректных строк: ${stats.invalidRows} (${details.join('; ')})`;
+}
+
+/**
+ * Создает функцию проверки события по условиям фильтра, кроме периода
+ *
+ * @description
+ * Шаблоны списков включения и исключения преобразуются в регулярные выражения
+ * один раз при создании функции, а не для каждого события.
+ * Событие подходит, если для каждого заданного списка оно совпадает хотя бы
+ * с одним значением включения (если они указаны), не совпадает ни с одним
+ * значением исключения и его цена попадает в заданный диапазон.
+ *
+ * Шаблон, оканчивающийся на ".*", совпадает и с самим кодом без подуровней:
+ * "electronics.*" подходит и для "electronics.smartphone", и для "electronics".
+ *
+ * @param {AnalitycsFilter} [filter] - Фильтр для анализа данных
+ * @returns {(event: ShopEvent) => boolean} Функция проверки события
+ *
+ * @example
+ * const matches = createEventMatcher({ categories: { include: ['electronics.*'], exclude: [] } });
+ * matches({ category_code: 'electronics.smartphone', ... }); // true
+ * matches({ category_code: 'electronics', ... }); // true
+ */
+function createEventMatcher(filter) {
+  // Преобразует значение списка в регулярное выражение: "*" - любая последовательность символов,
+  // ".*" в конце - сам код и все его подуровни ("electronics.*" совпадает и с "electronics")
+  const toRegExp = (pattern) => {
+    const isPrefix = pattern.endsWith('.*');
+    // Экранируем специальные символы регулярных выражений в частях шаблона между "*"
+    const source = (isPrefix ? pattern.slice(0, -2) : pattern)
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(isPrefix ? `^${source}(?:\\..*)?$` : `^${source}$`, 'i');
+  };
+
+  // Проверки по спискам: какое свойство события сравнивается с каким списком
+  const listChecks = [
+    [filter?.brands, (event) => event.brand],
+    [filter?.categories, (event) => event.category_code || '_none'],
+    [filter?.eventTypes, (event) => event.event_type],
+    [filter?.users, (event) => event.user_id],
+  ]
+    .filter(([list]) => list && (list.include.length > 0 || list.exclude.length > 0))
+    .map(([list, getValue]) => ({
+      include: list.include.map(toRegExp),
+      exclude: list.exclude.map(toRegExp),
+      getValue,
+    }));
+
+  const minPrice = filter?.price?.min ?? null;
+  const maxPrice = filter?.price?.max ?? null;
+
+  return (event) => {
+    if ((minPrice !== null && event.price < minPrice) || (maxPrice !== null && event.price > maxPrice)) {
+      return false;
+    }
+
+    return listChecks.every(({ include, exclude, getValue }) => {
+      const value = String(getValue(event) ?? '');
+      return (
+        (include.length === 0 || include.some((regExp) => regExp.test(value))) &&
+        !exclude.some((regExp) => regExp.test(value))
+      );
+    });
+  };
+}
+
+/**
+ * Сведения о построении результатов для экспорта
+ *
+ * @typedef {{
+ *   period: { start: string, end: string }, // Период анализа: даты первого и последнего дня (ГГГГ-ММ-ДД)
+ *   timezone: string, // Часовой пояс отчетов, например "UTC+03:00"
+ *   filters: string, // Описание фильтров без периода
+ *   sources: string[], // Источники данных, строки из которых попали в анализ
+ *   generatedAt: string // Время построения (ISO 8601, UTC)
+ * }} ExportMetadata
+ */
+
+/**
+ * Результаты анализа для экспорта
+ *
+ * @description
+ * Каждый раздел - таблица "группа -> показатель -> значение" со всеми группами
+ * (а не только с первыми 15, как в отчетах):
+ * - groups.<группировка> - все группировки, включая purchasePerCategories и purchasePerBrands
+ * - funnel.total, funnel.categories, funnel.brands - воронка продаж
+ * - timeSeries - динамика продаж по периодам
+ * - products - показатели товаров
+ *
+ * @typedef {{
+ *   metadata: ExportMetadata,
+ *   sections: Object.<string, Object.<string, Object.<string, number | string>>>
+ * }} ExportData
+ */
+
+/**
+ * Собирает результаты анализа для экспорта в CSV и JSON
+ *
+ * @param {Analitycs} analitics - Результат анализа данных
+ * @param {{
+ *   period: AnalitycsFilterPeriod,
+ *   timezoneOffset: number,
+ *   filters: string,
+ *   sources: string[]
+ * }} options - Период анализа, часовой пояс отчетов, описание фильтров и источники данных
+ * @returns {ExportData} Результаты для экспорта
+ *
+ * @example
+ * const exportData = buildExportData(analitics, { period, timezoneOffset: 180, filters: 'Без фильтров', sources: ['2019-Oct.csv'] });
+ * exportData.sections['groups.purchasePerBrands'].apple; // { count: 12, price: 10800, avgPrice: 900 }
+ */
+function buildExportData(analitics, options) {
+  // Даты выводятся в формате ГГГГ-ММ-ДД, понятном другим программам
+  const formatIsoDate = (date) => date.toISOString().slice(0, 10);
+
+  const sections = {};
+  Object.entries(analitics.groups).forEach(([name, data]) => {
+    sections[`groups.${name}`] = data;
+  });
+  sections['funnel.total'] = { 'Все события': analitics.funnelTotal };
+  sections['funnel.categories'] = analitics.funnelPerCategories;
+  sections['funnel.brands'] = analitics.funnelPerBrands;
+  sections.timeSeries = Object.fromEntries(
+    analitics.timeSeries.points.map((point) => [
+      formatIsoDate(point.start),
+      { count: point.count, price: point.price, avgPrice: point.avgPrice, buyers: point.buyers },
+    ])
+  );
+  sections.products = Object.fromEntries(analitics.products.map(({ productId, ...metrics }) => [productId, metrics]));
+
+  return {
+    metadata: {
+      period: { start: formatIsoDate(options.period.start), end: formatIsoDate(options.period.end) },
+      timezone: formatTimezone(options.timezoneOffset),
+      filters: options.filters,
+      sources: options.sources,
+      generatedAt: new Date().toISOString(),
+    },
+    sections,
+  };
+}
+
+/**
+ * Формирует CSV с результатами анализа для экспорта
+ *
+ * @description
+ * Результаты выводятся в "длинном" формате - по строке на каждый показатель каждой группы:
+ * раздел;группа;показатель;значение. Такой формат одинаков для всех разделов
+ * и легко загружается в BI-системы. Перед заголовком выводятся сведения о построении
+ * в строках, начинающихся с "#". Дробные числа выводятся с точкой.
+ *
+ * @param {ExportData} exportData - Результаты для экспорта
+ * @returns {string} Текст CSV с разделителем ";"
+ *
+ * @example
+ * formatExportCsv(exportData);
+ * // # period: 2019-10-01 - 2019-10-31
+ * // ...
+ * // section;group;metric;value
+ * // groups.purchasePerBrands;apple;count;12
+ */
+function formatExportCsv(exportData) {
+  const { metadata } = exportData;
+  const lines = [
+    `# period: ${metadata.period.start} - ${metadata.period.end}`,
+    `# timezone: ${metadata.timezone}`,
+    `# filters: ${metadata.filters}`,
+    `# sources: ${metadata.sources.join(', ')}`,
+    `# generatedAt: ${metadata.generatedAt}`,
+    formatCsvLine(['section', 'group', 'metric', 'value'], ';'),
+  ];
+
+  Object.entries(exportData.sections).forEach(([section, groups]) => {
+    Object.entries(groups).forEach(([group, metrics]) => {
+      Object.entries(metrics).forEach(([metric, value]) => {
+        lines.push(formatCsvLine([section, group, metric, value], ';'));
+      });
+    });
+  });
+
+  return lines.join('\r\n');
+}
+
+/**
+ * Формирует описание действующих фильтров для вывода в заголовке отчета
+ *
+ * @description
+ * В описание попадают период, источники данных и только те условия, которые заданы,
+ * чтобы по распечатанному отчету было видно, по каким данным он построен.
+ * Длинные списки (например, пользователей) сокращаются до первых 10 значений.
+ *
+ * @param {AnalitycsFilter} filter - Фильтр для анализа данных
+ * @param {number} [timezoneOffset=0] - Смещение часового пояса отчетов от UTC в минутах
+ * @param {string[]} [sources] - Названия источников, из которых строки попали в анализ
+ * @returns {string} Описание фильтров
+ *
+ * @example
+ * describeAnalitycsFilter({ period, brands: { include: ['apple', 'samsung'], exclude: [] }, price: { min: 500, max: null } }, 180);
+ * // 'Период: 01.10.2019 - 31.10.2019 (UTC+03:00); бренды: apple, samsung; цена: от 500'
+ */
+function describeAnalitycsFilter(filter, timezoneOffset = 0, sources) {
+  // Перечисляет значения списка, сокращая длинные списки
+  const formatList = (values) =>
+    values.length > 10 ? `${values.slice(0, 10).join(', ')} и еще ${values.length - 10}` : values.join(', ');
+
+  const parts = [];
+  if (filter.period?.start && filter.period?.end) {
+    parts.push(`Период: ${formatPeriodRange(filter.period)} (${formatTimezone(timezoneOffset)})`);
+  }
+  if (sources?.length > 0) {
+    parts.push(`${sources.length > 1 ? 'источники' : 'источник'}: ${formatList(sources)}`);
+  }
+
+  // Названия условий для списков включения и исключения
+  [
+    [filter.brands, 'бренды', 'кроме брендов'],
+    [filter.categories, 'категории', 'кроме категорий'],
+    [filter.eventTypes, 'типы событий', 'кроме типов событий'],
+    [filter.users, 'пользователи', 'кроме пользователей'],
+  ].forEach(([list, includeTitle, excludeTitle]) => {
+    if (list?.include.length > 0) {
+      parts.push(`${includeTitle}: ${formatList(list.include)}`);
+    }
+    if (list?.exclude.length > 0) {
+      parts.push(`${excludeTitle}: ${formatList(list.exclude)}`);
+    }
+  });
+
+  const minPrice = filter.price?.min ?? null;
+  const maxPrice = filter.price?.max ?? null;
+  if (minPrice !== null || maxPrice !== null) {
+    // Дробные границы выводятся с запятой, как и остальные числа в отчетах
+    const formatPrice = (price) => String(price).replace('.', ',');
+    const bounds = [
+      minPrice !== null ? `от ${formatPrice(minPrice)}` : '',
+      maxPrice !== null ? `до ${formatPrice(maxPrice)}` : '',
+    ];
+    parts.push(`цена: ${bounds.filter(Boolean).join(' ')}`);
+  }
+
+  return parts.length > 0 ? parts.join('; ') : 'Без фильтров';
+}
+
+/**
+ * Ключевые показатели работы магазина за период для сводки
+ *
+ * @typedef {{
+ *   revenue: number, // Выручка
+ *   orders: number, // Число покупок (заказов)
+ *   buyers: number, // Число уникальных покупателей
+ *   avgCheck: number, // Средний чек: выручка на одну покупку
+ *   conversion: number, // Конверсия просмотров в покупки (доля от 0 до 1)
+ *   topCategory: { name: string, revenue: number } | null, // Категория с наибольшей выручкой, null - покупок нет
+ *   topBrand: { name: string, revenue: number } | null // Бренд с наибольшей выручкой, null - покупок нет
+ * }} DashboardStats
+ */
+
+/**
+ * Результат анализа за предыдущий период для сводки
+ *
+ * @typedef {{
+ *   analitics: Analitycs, // Результат анализа за предыдущий период
+ *   period: AnalitycsFilterPeriod, // Текущий период анализа
+ *   previousPeriod: AnalitycsFilterPeriod // Предыдущий период
+ * }} DashboardComparison
+ */
+
+/**
+ * Рассчитывает ключевые показатели для сводки по результату анализа
+ *
+ * @private
+ * @param {Analitycs} analitics - Результат анализа данных
+ * @returns {DashboardStats}
+ */
+function buildDashboardStats(analitics) {
+  const { points } = analitics.timeSeries;
+  const revenue = points.reduce((sum, point) => sum + point.price, 0);
+  const orders = points.reduce((sum, point) => sum + point.count, 0);
+
+  // Группа с наибольшей выручкой
+  const getTop = (data) =>
+    Object.entries(data).reduce(
+      (top, [name, stats]) => (!top || stats.price > top.revenue ? { name, revenue: stats.price } : top),
+      null
+    );
+
+  return {
+    revenue,
+    orders,
+    buyers: analitics.rfm.customers.length,
+    avgCheck: orders ? revenue / orders : 0,
+    conversion: analitics.funnelTotal.viewToPurchase,
+    topCategory: getTop(analitics.purchasePerCategories),
+    topBrand: getTop(analitics.purchasePerBrands),
+  };
+}
+
+/**
+ * Укрупняет периоды динамики продаж для небольших графиков сводки
+ *
+ * @description
+ * Если периодов больше, чем помещается на графике, дни объединяются в недели, а недели - в месяцы.
+ * Неделя, которая приходится на два месяца, относится к месяцу своего понедельника.
+ * Если и месяцев слишком много, выводятся последние из них.
+ *
+ * @private
+ * @param {TimeSeries} timeSeries - Динамика продаж по периодам
+ * @param {number} maxPoints - Наибольшее число периодов на графике
+ * @returns {{ label: string, price: number, count: number }[]} Периоды в хронологическом порядке
+ */
+function getDashboardTrend(timeSeries, maxPoints) {
+  const steps = ['day', 'week', 'month'];
+  let points = timeSeries.points;
+  for (let i = steps.indexOf(timeSeries.step) + 1; i < steps.length && points.length > maxPoints; i++) {
+    const step = steps[i];
+    const merged = new Map();
+    points.forEach((point) => {
+      const start = getPeriodStart(point.start, step);
+      const item = merged.get(start.getTime()) || { start, label: formatPeriodLabel(start, step), price: 0, count: 0 };
+      item.price += point.price;
+      item.count += point.count;
+      merged.set(start.getTime(), item);
+    });
+    points = [...merged.values()];
+  }
+  return points.slice(-maxPoints).map(({ label, price, count }) => ({ label, price, count }));
+}
+
+/**
+ * Создает лист "Сводка" с ключевыми показателями и небольшими графиками динамики
+ *
+ * @param {Analitycs} analitics - Результат анализа данных за текущий период
+ * @param {DashboardComparison} [comparison] - Результат анализа за предыдущий период (без него изменение не выводится)
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {string} [scope] - Описание действующих фильтров для вывода под заголовком
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета, строку с описанием действующих фильтров и строку с периодами
+ * 3. Создает секцию "Ключевые показатели": выручка, число покупок, уникальные покупатели,
+ *    средний чек, конверсия просмотров в покупки, категория и бренд с наибольшей выручкой -
+ *    значения за текущий и предыдущий период, абсолютное и процентное изменение
+ *    с цветовым выделением роста и снижения
+ * 4. Создает секцию "Динамика" с выручкой и числом покупок по периодам (не больше 12 периодов,
+ *    см. getDashboardTrend) и рядом с показателями - два небольших линейных графика по ней
+ * 5. Настраивает печать: альбомная ориентация и узкие поля, чтобы сводка
+ *    помещалась на одну страницу A4
+ *
+ * Для категории и бренда с наибольшей выручкой в столбцах периодов выводятся названия лидеров,
+ * а изменение - это изменение выручки лидера текущего периода.
+ * Изменение конверсии выводится в процентных пунктах.
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * createDashboardReport(analitics, { analitics: previousAnalitics, period, previousPeriod }, 'Сводка', 3, 1);
+ */
+function createDashboardReport(analitics, comparison, title, firstRowIndex = 0, firstColumnIndex = 0, scope) {
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета с описанием действующих фильтров
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex);
+
+  // Ширина колонок подобрана так, чтобы таблица и графики помещались на страницу A4 в альбомной ориентации
+  sheet.SetColumnWidth(firstColumnIndex, 26);
+  for (let i = 1; i <= 4; i++) {
+    sheet.SetColumnWidth(firstColumnIndex + i, 14);
+  }
+
+  // Строка с текущим и предыдущим периодами
+  const periodRange = sheet.GetRangeByNumber(firstRowIndex + 2, firstColumnIndex);
+  periodRange.SetItalic(true);
+  periodRange.SetValue(
+    comparison
+      ? `Текущий период: ${formatPeriodRange(comparison.period)}; предыдущий период: ${formatPeriodRange(
+          comparison.previousPeriod
+        )}`
+      : 'Предыдущий период не определен: укажите даты периода в ячейках C6 и C7 листа "Анализ данных"'
+  );
+
+  // Создает заголовок секции отчета
+  const createSectionTitle = (rowIndex, sectionTitle) => {
+    const range = sheet.GetRangeByNumber(rowIndex, firstColumnIndex);
+    range.SetFontSize(12);
+    range.SetBold(true);
+    range.SetValue(sectionTitle);
+  };
+
+  // Создает и оформляет строку заголовков таблицы
+  const createHeader = (rowIndex, titles) => {
+    const range = getRangeBySize(sheet, rowIndex, firstColumnIndex, 1, titles.length);
+    range.SetAlignHorizontal('center');
+    range.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+    range.SetValue(titles);
+  };
+
+  // Записывает значение показателя в ячейку в его формате
+  const setValue = (range, value, format) => {
+    if (format === 'money') {
+      setMoneyValue(range, value);
+    } else if (format === 'percent') {
+      setPercentValue(range, value);
+    } else {
+      range.SetValue(value);
+    }
+  };
+
+  // Секция "Ключевые показатели"
+  const summaryRow = firstRowIndex + 4;
+  createSectionTitle(summaryRow, 'Ключевые показатели');
+  createHeader(summaryRow + 1, ['Показатель', 'Текущий период', 'Предыдущий период', 'Изменение', 'Изменение, %']);
+
+  const current = buildDashboardStats(analitics);
+  const previous = comparison && buildDashboardStats(comparison.analitics);
+
+  // Выручка лидера текущего периода в предыдущем периоде
+  const getPreviousRevenue = (top, data) => (top && data[top.name] ? data[top.name].price : 0);
+
+  // Показатель: название, значения за оба периода, формат и (для лидеров) выводимые названия
+  const metrics = [
+    ['Выручка', current.revenue, previous?.revenue, 'money'],
+    ['Покупок', current.orders, previous?.orders, 'number'],
+    ['Уникальных покупателей', current.buyers, previous?.buyers, 'number'],
+    ['Средний чек', current.avgCheck, previous?.avgCheck, 'money'],
+    ['Конверсия просмотр → покупка', current.conversion, previous?.conversion, 'percent'],
+    [
+      'Топ-категория по выручке',
+      current.topCategory ? current.topCategory.revenue : 0,
+      previous && getPreviousRevenue(current.topCategory, comparison.analitics.purchasePerCategories),
+      'money',
+      [current.topCategory?.name, previous?.topCategory?.name],
+    ],
+    [
+      'Топ-бренд по выручке',
+      current.topBrand ? current.topBrand.revenue : 0,
+      previous && getPreviousRevenue(current.topBrand, comparison.analitics.purchasePerBrands),
+      'money',
+      [current.topBrand?.name, previous?.topBrand?.name],
+    ],
+  ];
+
+  metrics.forEach(([name, value, previousValue, format, leaders], i) => {
+    const row = summaryRow + 2 + i;
+    sheet.GetRangeByNumber(row, firstColumnIndex).SetValue(name);
+
+    // Для лидеров выводим названия, а для остальных показателей - значения
+    if (leaders) {
+      sheet.GetRangeByNumber(row, firstColumnIndex + 1).SetValue(leaders[0] || '—');
+      if (previous) {
+        sheet.GetRangeByNumber(row, firstColumnIndex + 2).SetValue(leaders[1] || '—');
+      }
+    } else {
+      setValue(sheet.GetRangeByNumber(row, firstColumnIndex + 1), value, format);
+      if (previous) {
+        setValue(sheet.GetRangeByNumber(row, firstColumnIndex + 2), previousValue, format);
+      }
+    }
+
+    if (!previous) {
+      return;
+    }
+
+    const change = value - previousValue;
+    setValue(sheet.GetRangeByNumber(row, firstColumnIndex + 3), change, format);
+    // Изменение в процентах не определено, если в предыдущем периоде значение нулевое
+    if (previousValue) {
+      setPercentValue(sheet.GetRangeByNumber(row, firstColumnIndex + 4), change / previousValue);
+    }
+
+    // Окрашиваем изменение: рост - зеленым, снижение - красным
+    setChangeColor(getRangeBySize(sheet, row, firstColumnIndex + 3, 1, 2), change);
+  });
+
+  // Секция "Динамика": данные для графиков под таблицей показателей
+  // Выручка и число покупок выводятся в двух таблицах рядом, чтобы данные каждого графика были одним диапазоном
+  const trendRow = summaryRow + 2 + metrics.length + 1;
+  createSectionTitle(trendRow, 'Динамика');
+  const trend = getDashboardTrend(analitics.timeSeries, 12);
+  [
+    ['Выручка', 'price', firstColumnIndex],
+    ['Покупок', 'count', firstColumnIndex + 2],
+  ].forEach(([name, property, columnIndex]) => {
+    const headerRange = getRangeBySize(sheet, trendRow + 1, columnIndex, 1, 2);
+    headerRange.SetAlignHorizontal('center');
+    headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+    headerRange.SetValue(['Период', name]);
+    trend.forEach((point, i) => {
+      const row = trendRow + 2 + i;
+      sheet.GetRangeByNumber(row, columnIndex).SetValue(point.label);
+      setValue(
+        sheet.GetRangeByNumber(row, columnIndex + 1),
+        point[property],
+        property === 'price' ? 'money' : 'number'
+      );
+    });
+  });
+
+  // Настраиваем печать на одну страницу A4 в альбомной ориентации (поля в миллиметрах)
+  sheet.SetPageOrientation('xlLandscape');
+  sheet.SetLeftMargin(10);
+  sheet.SetRightMargin(10);
+  sheet.SetTopMargin(10);
+  sheet.SetBottomMargin(10);
+
+  // Нечего отображать на графиках, если в периоде анализа нет покупок
+  if (trend.length === 0) {
+    return;
+  }
+
+  // Небольшие линейные графики выручки и числа покупок справа от таблицы показателей, друг под другом
+  [firstColumnIndex, firstColumnIndex + 2].forEach((columnIndex, i) => {
+    const valuesAddress = getRangeBySize(sheet, trendRow + 1, columnIndex, trend.length + 1, 2).Address;
+    Api.GetActiveSheet().AddChart(
+      `'${title}'!${valuesAddress}`, // Ссылка на диапазон данных
+      false, // Ряды данных по столбцам: один ряд
+      'lineNormal', // Тип графика - линейный
+      2, // Стиль графика
+      85 * 36000, // Ширина
+      45 * 36000, // Высота
+      firstColumnIndex + 5, // Колонка для размещения графика
+      2 * 36000, // Отступ от левого края колонки
+      summaryRow + i * 9, // Строка для размещения графика
+      0 // Отступ от верхнего края строки
+    );
+  });
+}
+
+/**
+ * Создает отчет о покупках по категориям или брендам с визуализацией в виде графиков и таблиц
+ *
+ * @param {PurchasePerCategories|PurchasePerBrands} data - Объект со статистикой покупок
+ *                                                        (по категориям или по брендам)
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {PurchaseComparison} [comparison] - Статистика за период сравнения (без нее сравнение не выводится)
+ * @param {string} [scope] - Описание действующих фильтров для вывода под заголовком
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета и строку с описанием действующих фильтров
+ * 3. Создает секцию "Самые популярные" (топ-3 по количеству покупок)
+ * 4. Создает секцию "Самые дорогие чеки" (топ-3 с наибольшей средней ценой покупки)
+ * 5. Формирует таблицу со статистикой:
+ *    - Количество покупок (до 15 записей, отсортированных по алфавиту)
+ *    - Средняя цена покупки (до 15 записей, отсортированных по алфавиту)
+ *    - Выручка (до 15 записей, отсортированных по убыванию выручки) с долей в общей выручке
+ *    Группы, не вошедшие в таблицу, объединяются в строку "Прочие", последняя строка
+ *    каждой таблицы "Итого" содержит значение по всем группам
+ * 6. Создает три столбчатых графика на основе таблиц статистики (с учетом строки "Прочие")
+ * 7. Если передана статистика за период сравнения, создает секцию "Сравнение периодов":
+ *    значения за оба периода, абсолютное и процентное изменение количества покупок,
+ *    выручки и средней цены с цветовым выделением роста и снижения и графики с группировкой
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * // Создать отчет по категориям на новом листе
+ * createPurchaseReport(analitics.purchasePerCategories, "Покупки по категориям");
+ *
+ * // Создать отчет по брендам со смещением от верхнего левого угла
+ * createPurchaseReport(analitics.purchasePerBrands, "Покупки по брендам", 3, 1);
+ */
+function createPurchaseReport(data, title, firstRowIndex = 0, firstColumnIndex = 0, comparison, scope) {
+  // Создаем новый лист отчета вместо существующего и делаем его активным
+  const sheet = recreateSheet(title);
+
+  // Используем firstRow для совместимости с 1-based индексацией ячеек в R7 Office
+  const firstRow = firstRowIndex + 1;
+
+  // Создаем и форматируем заголовок отчета с описанием действующих фильтров
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex + 2);
+
+  // Устанавливаем оптимальную ширину основных колонок для улучшения читаемости
+  sheet.SetColumnWidth(firstColumnIndex, 20); // Колонка с заголовками секций
+  sheet.SetColumnWidth(firstColumnIndex + 1, 20); // Колонка с названиями категорий (левая таблица)
+  sheet.SetColumnWidth(firstColumnIndex + 9, 20); // Колонка с названиями категорий (правая таблица)
+  sheet.SetColumnWidth(firstColumnIndex + 10, 20); // Колонка с числовыми значениями (правая таблица)
+
+  // Получаем список всех категорий из объекта данных
+  const keys = Object.keys(data);
+
+  // Создаем заголовок первой секции "Самые популярные группы" (категории или бренды)
+  const bestSellsTitleRange = sheet.GetRangeByNumber(firstRowIndex + 2, firstColumnIndex);
+  bestSellsTitleRange.SetFontSize(12);
+  bestSellsTitleRange.SetBold(true);
+  bestSellsTitleRange.SetValue('Самые популярные');
+
+  // Выводим топ-3 группы по количеству покупок (сортировка по убыванию count)
+  keys
+    .sort((a, b) => data[b].count - data[a].count) // Сортировка по убыванию количества покупок
+    .slice(0, 3) // Берем только первые 3 записи
+    .forEach((key, i) => {
+      // Добавляем название категории и количество покупок в соответствующие ячейки
+      sheet.GetCells(i + firstRow + 3, firstColumnIndex + 1).SetValue(key);
+      sheet.GetCells(i + firstRow + 3, firstColumnIndex + 2).SetValue(data[key].count);
+    });
+
+  // Создаем заголовок для раздела "Самые дорогие чеки"
+  const bestCheckTitleRange = sheet.GetRangeByNumber(firstRowIndex + 7, firstColumnIndex);
+  bestCheckTitleRange.SetFontSize(12);
+  bestCheckTitleRange.SetBold(true);
+  bestCheckTitleRange.SetValue('Самые дорогие чеки');
+
+  // Выводим топ-3 группы по средней стоимости покупки (сортировка по убыванию avgPrice)
+  keys
+    .sort((a, b) => data[b].avgPrice - data[a].avgPrice) // Сортировка по убыванию средней цены
+    .slice(0, 3) // Берем только первые 3 записи
+    .forEach((key, i) => {
+      // Добавляем название категории
+      sheet.GetCells(i + firstRow + 8, firstColumnIndex + 1).SetValue(key);
+
+      // Форматируем значение средней цены (замена точки на запятую для отображения в российском формате)
+      const avgPriceStr = String(data[key].avgPrice).replace('.', ',');
+      sheet.GetCells(i + firstRow + 8, firstColumnIndex + 2).SetValue(avgPriceStr);
+
+      // Устанавливаем денежный формат с двумя знаками после запятой
+      sheet.GetCells(i + firstRow + 8, firstColumnIndex + 2).SetNumberFormat('#,##0.00');
+    });
+
+  // Определяем начальную строку для размещения основных таблиц
+  // Оставляем 12 строк от начала для предыдущих разделов отчета
+  const firstRowValues = firstRow + 12;
+
+  // Создаем и оформляем заголовок таблицы с количеством покупок (левая таблица)
+  const countPurchaseRange = getRangeBySize(sheet, firstRowValues, firstColumnIndex, 1, 2);
+  countPurchaseRange.SetAlignHorizontal('center');
+  countPurchaseRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+  countPurchaseRange.SetValue(['Группа', 'Количество покупок']);
+
+  // Создаем и оформляем заголовок таблицы со средней ценой покупки (правая таблица)
+  const avgPurchaseRange = getRangeBySize(sheet, firstRowValues, firstColumnIndex + 9, 1, 2);
+  avgPurchaseRange.SetAlignHorizontal('center');
+  avgPurchaseRange.SetFillColor(Api.CreateColorFromRGB(244, 101, 36)); // Оранжевый цвет для заголовка
+  avgPurchaseRange.SetValue(['Группа', 'Средняя цена покупки']);
+  // Заполняем таблицу с количеством покупок (левая таблица)
+  const countKeys = keys
+    .sort((a, b) => data[b].count - data[a].count) // Сначала сортируем по убыванию количества
+    .slice(0, 15) // Ограничиваем список 15-ю записями
+    .sort((a, b) => String(a).localeCompare(String(b))); // Сортируем по алфавиту для лучшей навигации
+  countKeys.forEach((key, i) => {
+    const { count } = data[key];
+
+    // Добавляем название категории и количество покупок
+    sheet.GetCells(i + firstRowValues + 2, firstColumnIndex + 1).SetValue(key);
+    sheet.GetCells(i + firstRowValues + 2, firstColumnIndex + 2).SetValue(count);
+  });
+  // Строки "Прочие" и "Итого" под таблицей
+  const countRows = createPurchaseTotalRows(
+    sheet,
+    data,
+    countKeys,
+    firstRowValues + 1 + countKeys.length,
+    firstColumnIndex,
+    'count'
+  );
+
+  // Заполняем таблицу со средней ценой покупки (правая таблица)
+  const avgPriceKeys = keys
+    .sort((a, b) => data[b].avgPrice - data[a].avgPrice) // Сначала сортируем по убыванию средней цены
+    .slice(0, 15) // Ограничиваем список 15-ю записями
+    .sort((a, b) => String(a).localeCompare(String(b))); // Сортируем по алфавиту для лучшей навигации
+  avgPriceKeys.forEach((key, i) => {
+    const { avgPrice } = data[key];
+    // Форматируем значение средней цены (замена точки на запятую для отображения в российском формате)
+    const avgPriceStr = String(avgPrice).replace('.', ',');
+
+    // Добавляем название категории и среднюю цену покупки
+    sheet.GetCells(i + firstRowValues + 2, firstColumnIndex + 10).SetValue(key);
+    sheet.GetCells(i + firstRowValues + 2, firstColumnIndex + 11).SetValue(avgPriceStr);
+    // Устанавливаем денежный формат с двумя знаками после запятой
+    sheet.GetCells(i + firstRowValues + 2, firstColumnIndex + 11).SetNumberFormat('#,##0.00');
+  });
+  const avgPriceRows = createPurchaseTotalRows(
+    sheet,
+    data,
+    avgPriceKeys,
+    firstRowValues + 1 + avgPriceKeys.length,
+    firstColumnIndex + 9,
+    'avgPrice'
+  );
+
+  // Получаем адрес диапазона данных для первого графика (включает заголовок, до 15 строк данных и строку "Прочие")
+  const countPurchaseValuesAddress = getRangeBySize(
+    sheet,
+    firstRowValues,
+    firstColumnIndex,
+    countKeys.length + countRows + 1,
+    2
+  ).Address;
+
+  // Создаем столбчатый график для визуализации количества покупок
+  Api.GetActiveSheet().AddChart(
+    `'${title}'!${countPurchaseValuesAddress}`, // Ссылка на диапазон данных
+    true, // С заголовками
+    'bar', // Тип графика - столбчатый
+    2, // Стиль графика
+    105 * 36000, // Ширина в тваипах (1 тваип = 1/36000 дюйма)
+    105 * 36000, // Высота в тваипах
+    firstColumnIndex + 2, // Отступ от левого края, в тваипах
+    2 * 36000, // Отступ от верхнего края, в тваипах
+    firstRowValues, // Позиция по вертикали в тваипах
+    3 * 36000 // Глубина (для 3D графиков)
+  );
+
+  // Получаем адрес диапазона данных для второго графика (включает заголовок, до 15 строк данных и строку "Прочие")
+  const avgPurchaseValuesAddress = getRangeBySize(
+    sheet,
+    firstRowValues,
+    firstColumnIndex + 9,
+    avgPriceKeys.length + avgPriceRows + 1,
+    2
+  ).Address;
+
+  // Создаем столбчатый график для визуализации средней цены покупки
+  Api.GetActiveSheet().AddChart(
+    `'${title}'!${avgPurchaseValuesAddress}`, // Ссылка на диапазон данных
+    true, // С заголовками
+    'bar', // Тип графика - столбчатый
+    2, // Стиль графика
+    105 * 36000, // Ширина в тваипах
+    105 * 36000, // Высота в тваипах
+    firstColumnIndex + 11, // Отступ от левого края
+    2 * 36000, // Отступ от верхнего края
+    firstRowValues, // Позиция по вертикали
+    3 * 36000 // Глубина (для 3D графиков)
+  );
+
+  // Создаем и оформляем заголовок таблицы с выручкой под таблицами количества и средней цены
+  const revenueRow = firstRowValues + 22;
+  const revenueRange = getRangeBySize(sheet, revenueRow, firstColumnIndex, 1, 3);
+  revenueRange.SetAlignHorizontal('center');
+  revenueRange.SetFillColor(Api.CreateColorFromRGB(112, 173, 71)); // Зеленый цвет для заголовка
+  revenueRange.SetValue(['Группа', 'Выручка', 'Доля выручки']);
+
+  // Заполняем таблицу с выручкой: сортировка по убыванию показывает, насколько продажи сосредоточены в лидерах
+  const totalPrice = keys.reduce((sum, key) => sum + data[key].price, 0);
+  const revenueKeys = keys.sort((a, b) => data[b].price - data[a].price).slice(0, 15);
+  revenueKeys.forEach((key, i) => {
+    const row = revenueRow + 1 + i;
+    sheet.GetRangeByNumber(row, firstColumnIndex).SetValue(key);
+    setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 1), data[key].price);
+    setPercentValue(sheet.GetRangeByNumber(row, firstColumnIndex + 2), totalPrice ? data[key].price / totalPrice : 0);
+  });
+  const revenueRows = createPurchaseTotalRows(
+    sheet,
+    data,
+    revenueKeys,
+    revenueRow + 1 + revenueKeys.length,
+    firstColumnIndex,
+    'price'
+  );
+
+  // Создаем столбчатый график выручки (без колонки доли)
+  const revenueValuesAddress = getRangeBySize(
+    sheet,
+    revenueRow,
+    firstColumnIndex,
+    revenueKeys.length + revenueRows + 1,
+    2
+  ).Address;
+  Api.GetActiveSheet().AddChart(
+    `'${title}'!${revenueValuesAddress}`, // Ссылка на диапазон данных
+    true, // С заголовками
+    'bar', // Тип графика - столбчатый
+    2, // Стиль графика
+    130 * 36000, // Ширина
+    95 * 36000, // Высота
+    firstColumnIndex + 4, // Колонка для размещения графика
+    2 * 36000, // Отступ от левого края колонки
+    revenueRow, // Строка для размещения графика
+    3 * 36000 // Отступ от верхнего края строки
+  );
+
+  // Добавляем сравнение с другим периодом под таблицами и графиками
+  if (comparison) {
+    createPurchaseComparisonSection(sheet, title, data, comparison, revenueRow + 22, firstColumnIndex);
+  }
+}
+
+/**
+ * Добавляет под таблицей отчета о покупках строки "Прочие" и "Итого"
+ *
+ * @description
+ * Строка "Прочие" содержит значение показателя по группам, не вошедшим в таблицу,
+ * и выводится, только если такие группы есть. Строка "Итого" содержит значение по всем группам.
+ * Количество и выручка суммируются, средняя цена рассчитывается как отношение суммы
+ * покупок к их количеству. Для выручки в соседней колонке выводится доля в общей выручке.
+ *
+ * @private
+ * @param {Object} sheet - Лист отчета
+ * @param {PurchasePerCategories|PurchasePerBrands} data - Статистика покупок
+ * @param {string[]} shownKeys - Группы, выведенные в таблицу
+ * @param {number} rowIndex - Индекс строки "Прочие" (нумерация с 0)
+ * @param {number} columnIndex - Индекс столбца с названиями групп (нумерация с 0)
+ * @param {'count' | 'price' | 'avgPrice'} property - Показатель таблицы
+ * @returns {number} Число строк перед строкой "Итого" (1, если выведена строка "Прочие", иначе 0)
+ */
+function createPurchaseTotalRows(sheet, data, shownKeys, rowIndex, columnIndex, property) {
+  // Суммирует показатели по группам и рассчитывает среднюю цену
+  const summarize = (keys) => {
+    const count = keys.reduce((sum, key) => sum + data[key].count, 0);
+    const price = keys.reduce((sum, key) => sum + data[key].price, 0);
+    return { count, price, avgPrice: count ? price / count : 0 };
+  };
+
+  const allKeys = Object.keys(data);
+  const otherKeys = allKeys.filter((key) => !shownKeys.includes(key));
+  const total = summarize(allKeys);
+  const rows = otherKeys.length > 0 ? [['Прочие', summarize(otherKeys)]] : [];
+  rows.push(['Итого', total]);
+
+  rows.forEach(([name, stats], i) => {
+    const row = rowIndex + i;
+    sheet.GetRangeByNumber(row, columnIndex).SetValue(name);
+    const valueRange = sheet.GetRangeByNumber(row, columnIndex + 1);
+    if (property === 'count') {
+      valueRange.SetValue(stats.count);
+    } else {
+      setMoneyValue(valueRange, stats[property]);
+    }
+    if (property === 'price') {
+      setPercentValue(sheet.GetRangeByNumber(row, columnIndex + 2), total.price ? stats.price / total.price : 0);
+    }
+  });
+
+  // Выделяем строку общего итога
+  getRangeBySize(sheet, rowIndex + rows.length - 1, columnIndex, 1, property === 'price' ? 3 : 2).SetBold(true);
+
+  return rows.length - 1;
+}
+
+/**
+ * Создает секцию сравнения периодов в отчете о покупках по категориям или брендам
+ *
+ * @description
+ * Для количества покупок, выручки и средней цены покупки выводится отдельная таблица:
+ * значение за текущий период, за период сравнения, абсолютное изменение и изменение в процентах.
+ * Изменения окрашиваются: рост - зеленым, снижение - красным. Рядом с каждой таблицей
+ * строится столбчатый график с группировкой, сравнивающий два периода.
+ * В каждую таблицу попадает до 15 групп с наибольшим значением показателя в текущем периоде.
+ *
+ * @private
+ * @param {Object} sheet - Лист отчета
+ * @param {string} title - Название листа отчета (для ссылки на данные графиков)
+ * @param {PurchasePerCategories|PurchasePerBrands|GroupedData} data - Статистика покупок за текущий период
+ * @param {PurchaseComparison} comparison - Статистика покупок за период сравнения
+ * @param {number} rowIndex - Индекс строки заголовка секции (нумерация с 0)
+ * @param {number} columnIndex - Индекс столбца заголовка секции (нумерация с 0)
+ * @param {{ name: string, property: string, isMoney: boolean }[]} [metrics] - Сравниваемые показатели:
+ *        название, свойство статистики и признак денежного значения (по умолчанию количество, выручка и средняя цена)
+ * @returns {void}
+ */
+function createPurchaseComparisonSection(sheet, title, data, comparison, rowIndex, columnIndex, metrics) {
+  // Создаем заголовок секции с указанием сравниваемых периодов
+  const sectionTitleRange = sheet.GetRangeByNumber(rowIndex, columnIndex);
+  sectionTitleRange.SetFontSize(12);
+  sectionTitleRange.SetBold(true);
+  sectionTitleRange.SetValue('Сравнение периодов');
+  sheet
+    .GetRangeByNumber(rowIndex + 1, columnIndex)
+    .SetValue(
+      `Текущий период: ${formatPeriodRange(comparison.period)}; период сравнения: ${formatPeriodRange(
+        comparison.comparisonPeriod
+      )}`
+    );
+
+  // Показатели для сравнения: название, свойство статистики и признак денежного значения
+  const comparedMetrics = metrics || [
+    { name: 'Количество покупок', property: 'count', isMoney: false },
+    { name: 'Выручка', property: 'price', isMoney: true },
+    { name: 'Средняя цена покупки', property: 'avgPrice', isMoney: true },
+  ];
+
+  const previousData = comparison.data;
+
+  comparedMetrics.forEach((metric, metricIndex) => {
+    // Каждая таблица занимает блок строк с местом для графика
+    const blockRow = rowIndex + 3 + metricIndex * 22;
+    // Группа, отсутствующая в одном из периодов, имеет в нем нулевое значение
+    const valueOf = (stats) => (stats && stats[metric.property]) || 0;
+
+    const metricTitleRange = sheet.GetRangeByNumber(blockRow, columnIndex);
+    metricTitleRange.SetBold(true);
+    metricTitleRange.SetValue(metric.name);
+
+    // Создаем и оформляем заголовок таблицы
+    const headerRow = blockRow + 1;
+    const headerRange = getRangeBySize(sheet, headerRow, columnIndex, 1, 5);
+    headerRange.SetAlignHorizontal('center');
+    headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+    headerRange.SetValue(['Группа', 'Текущий период', 'Период сравнения', 'Изменение', 'Изменение, %']);
+
+    // Группы из обоих периодов, до 15 с наибольшим значением в текущем периоде
+    const keys = [...new Set([...Object.keys(data), ...Object.keys(previousData)])]
+      .sort((a, b) => valueOf(data[b]) - valueOf(data[a]) || valueOf(previousData[b]) - valueOf(previousData[a]))
+      .slice(0, 15);
+
+    keys.forEach((key, i) => {
+      const row = headerRow + 1 + i;
+      const current = valueOf(data[key]);
+      const previous = valueOf(previousData[key]);
+      const change = current - previous;
+
+      sheet.GetRangeByNumber(row, columnIndex).SetValue(key);
+      [current, previous, change].forEach((value, j) => {
+        const cell = sheet.GetRangeByNumber(row, columnIndex + 1 + j);
+        if (metric.isMoney) {
+          setMoneyValue(cell, value);
+        } else {
+          cell.SetValue(value);
+        }
+      });
+
+      // Изменение в процентах не определено, если в периоде сравнения значение нулевое
+      if (previous) {
+        setPercentValue(sheet.GetRangeByNumber(row, columnIndex + 4), change / previous);
+      }
+
+      // Окрашиваем изменение: рост - зеленым, снижение - красным
+      setChangeColor(getRangeBySize(sheet, row, columnIndex + 3, 1, 2), change);
+    });
+
+    // Столбчатый график с группировкой: группы - категории, два периода - ряды данных
+    const valuesAddress = getRangeBySize(sheet, headerRow, columnIndex, keys.length + 1, 3).Address;
+    Api.GetActiveSheet().AddChart(
+      `'${title}'!${valuesAddress}`, // Ссылка на диапазон данных
+      false, // Ряды данных по столбцам: текущий период и период сравнения
+      'bar', // Тип графика - столбчатый с группировкой
+      2, // Стиль графика
+      130 * 36000, // Ширина
+      95 * 36000, // Высота
+      columnIndex + 6, // Колонка для размещения графика
+      2 * 36000, // Отступ от левого края колонки
+      blockRow, // Строка для размещения графика
+      3 * 36000 // Отступ от верхнего края строки
+    );
+  });
+}
+
+/**
+ * Создает отчет по группам, описанный на листе "Настройки отчетов"
+ *
+ * @param {GroupedData} data - Результат группировки для отчета
+ * @param {ReportDefinition} definition - Описание отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {PurchaseComparison} [comparison] - Та же группировка за период сравнения (без нее сравнение не выводится)
+ * @param {string} [scope] - Описание действующих фильтров для вывода под заголовком
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с названием отчета (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета и строку с описанием действующих фильтров
+ * 3. Выводит таблицу: группа и по колонке на каждый показатель. В таблицу попадают
+ *    topCount групп с наибольшим значением первого показателя, упорядоченные
+ *    по убыванию этого показателя или по алфавиту
+ * 4. Если диаграмма включена, строит ее справа от таблицы (для круговой диаграммы
+ *    используется только первый показатель)
+ * 5. Если передана статистика за период сравнения, создает секцию "Сравнение периодов"
+ *    по всем показателям отчета
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * createGroupingReport(analitics.groups[definition.title], definition, 3, 1);
+ */
+function createGroupingReport(data, definition, firstRowIndex = 0, firstColumnIndex = 0, comparison, scope) {
+  const { title, metrics, topCount } = definition;
+  const metricCatalog = getReportMetricCatalog();
+
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета с описанием действующих фильтров
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex + 2);
+
+  sheet.SetColumnWidth(firstColumnIndex, 25);
+  metrics.forEach((_, i) => sheet.SetColumnWidth(firstColumnIndex + 1 + i, 18));
+
+  // Создаем и оформляем заголовок таблицы
+  const headerRow = firstRowIndex + 2;
+  const headerRange = getRangeBySize(sheet, headerRow, firstColumnIndex, 1, metrics.length + 1);
+  headerRange.SetAlignHorizontal('center');
+  headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+  headerRange.SetValue(['Группа', ...metrics.map((id) => metricCatalog.get(id).title)]);
+
+  // Отбираем группы с наибольшим значением первого показателя
+  const [mainMetric] = metrics;
+  const keys = Object.keys(data)
+    .sort((a, b) => data[b][mainMetric] - data[a][mainMetric])
+    .slice(0, topCount);
+  if (definition.sort === 'alphabet') {
+    // Числа внутри названий (часы, номера дней недели, цены) сравниваются как числа
+    keys.sort((a, b) => a.localeCompare(b, 'ru', { numeric: true }));
+  }
+
+  keys.forEach((key, i) => {
+    const row = headerRow + 1 + i;
+    sheet.GetRangeByNumber(row, firstColumnIndex).SetValue(key);
+    metrics.forEach((id, j) => {
+      const cell = sheet.GetRangeByNumber(row, firstColumnIndex + 1 + j);
+      if (metricCatalog.get(id).isMoney) {
+        setMoneyValue(cell, data[key][id]);
+      } else {
+        cell.SetValue(data[key][id]);
+      }
+    });
+  });
+
+  if (definition.hasChart && keys.length > 0) {
+    // Соответствие типов диаграмм из настроек типам диаграмм R7 Office
+    const chartTypes = { column: 'bar', bar: 'horizontalBar', pie: 'pie', line: 'lineNormal' };
+    // Круговая диаграмма изображает только один ряд данных
+    const seriesCount = definition.chartType === 'pie' ? 1 : metrics.length;
+    const valuesAddress = getRangeBySize(sheet, headerRow, firstColumnIndex, keys.length + 1, seriesCount + 1).Address;
+    Api.GetActiveSheet().AddChart(
+      `'${title}'!${valuesAddress}`, // Ссылка на диапазон данных
+      false, // Ряды данных по столбцам: каждый показатель - отдельный ряд
+      chartTypes[definition.chartType], // Тип графика из настроек отчета
+      2, // Стиль графика
+      130 * 36000, // Ширина
+      95 * 36000, // Высота
+      firstColumnIndex + metrics.length + 2, // Колонка для размещения графика
+      2 * 36000, // Отступ от левого края колонки
+      headerRow, // Строка для размещения графика
+      3 * 36000 // Отступ от верхнего края строки
+    );
+  }
+
+  // Добавляем сравнение с другим периодом под таблицей и графиком
+  if (comparison) {
+    createPurchaseComparisonSection(
+      sheet,
+      title,
+      data,
+      comparison,
+      headerRow + Math.max(keys.length + 3, definition.hasChart ? 22 : 0),
+      firstColumnIndex,
+      metrics.map((id) => ({ name: metricCatalog.get(id).title, property: id, isMoney: metricCatalog.get(id).isMoney }))
+    );
+  }
+}
+
+/**
+ * Создает отчет "Воронка продаж" с таблицами конверсий и графиками
+ *
+ * @param {Analitycs} analitics - Результат анализа данных со счетчиками воронки продаж
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {string} [scope] - Описание действующих фильтров для вывода под заголовком
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета и строку с описанием действующих фильтров
+ * 3. Создает секцию "Общая воронка": число просмотров, добавлений в корзину и покупок
+ *    с конверсией каждого шага, и линейчатый график, изображающий воронку
+ * 4. Создает секции "Воронка по категориям" и "Воронка по брендам": до 15 групп
+ *    с наибольшим числом просмотров, отсортированных по убыванию просмотров,
+ *    с конверсиями просмотр -> корзина, корзина -> покупка и просмотр -> покупка
+ *    и столбчатым графиком с накоплением по шагам воронки
+ *
+ * Группы с большим числом просмотров и низкой конверсией в покупку - товары,
+ * которые смотрят, но не покупают.
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * createFunnelReport(analitics, 'Воронка продаж', 3, 1);
+ */
+function createFunnelReport(analitics, title, firstRowIndex = 0, firstColumnIndex = 0, scope) {
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета с описанием действующих фильтров
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex + 2);
+
+  // Устанавливаем ширину колонок с заголовками секций и названиями групп
+  sheet.SetColumnWidth(firstColumnIndex, 20);
+  sheet.SetColumnWidth(firstColumnIndex + 1, 20);
+
+  // Создаем заголовок секции "Общая воронка"
+  const totalTitleRange = sheet.GetRangeByNumber(firstRowIndex + 2, firstColumnIndex);
+  totalTitleRange.SetFontSize(12);
+  totalTitleRange.SetBold(true);
+  totalTitleRange.SetValue('Общая воронка');
+
+  // Таблица общей воронки: шаг, число событий и конверсия из предыдущего шага
+  const totalRow = firstRowIndex + 3;
+  const totalHeaderRange = getRangeBySize(sheet, totalRow, firstColumnIndex + 1, 1, 3);
+  totalHeaderRange.SetAlignHorizontal('center');
+  totalHeaderRange.SetFillColor(Api.CreateColorFromRGB(112, 173, 71)); // Зеленый цвет для заголовка
+  totalHeaderRange.SetValue(['Шаг', 'Событий', 'Конверсия шага']);
+
+  const { funnelTotal } = analitics;
+  [
+    ['Просмотры', funnelTotal.views, null],
+    ['Добавления в корзину', funnelTotal.carts, funnelTotal.viewToCart],
+    ['Покупки', funnelTotal.purchases, funnelTotal.cartToPurchase],
+  ].forEach(([step, count, conversion], i) => {
+    sheet.GetRangeByNumber(totalRow + 1 + i, firstColumnIndex + 1).SetValue(step);
+    sheet.GetRangeByNumber(totalRow + 1 + i, firstColumnIndex + 2).SetValue(count);
+    if (conversion !== null) {
+      setPercentValue(sheet.GetRangeByNumber(totalRow + 1 + i, firstColumnIndex + 3), conversion);
+    }
+  });
+
+  // Итоговая конверсия из просмотра в покупку
+  sheet.GetRangeByNumber(totalRow + 4, firstColumnIndex + 1).SetValue('Просмотр → покупка');
+  setPercentValue(sheet.GetRangeByNumber(totalRow + 4, firstColumnIndex + 3), funnelTotal.viewToPurchase);
+
+  // Линейчатый график общей воронки: шаги - категории, число событий - значения
+  const totalValuesAddress = getRangeBySize(sheet, totalRow, firstColumnIndex + 1, 4, 2).Address;
+  Api.GetActiveSheet().AddChart(
+    `'${title}'!${totalValuesAddress}`, // Ссылка на диапазон данных
+    false, // Ряды данных по столбцам: один ряд "Событий"
+    'horizontalBar', // Тип графика - линейчатый
+    2, // Стиль графика
+    105 * 36000, // Ширина
+    60 * 36000, // Высота
+    firstColumnIndex + 9, // Колонка для размещения графика
+    2 * 36000, // Отступ от левого края колонки
+    firstRowIndex + 2, // Строка для размещения графика
+    3 * 36000 // Отступ от верхнего края строки
+  );
+
+  // Секции воронки по группам размещаем друг под другом с местом для графиков
+  createFunnelSection(
+    sheet,
+    title,
+    analitics.funnelPerCategories,
+    'Воронка по категориям',
+    firstRowIndex + 16,
+    firstColumnIndex
+  );
+  createFunnelSection(sheet, title, analitics.funnelPerBrands, 'Воронка по брендам', firstRowIndex + 40, firstColumnIndex);
+}
+
+/**
+ * Создает секцию отчета "Воронка продаж" с таблицей и графиком по группам (категориям или брендам)
+ *
+ * @private
+ * @param {Object} sheet - Лист отчета
+ * @param {string} title - Название листа отчета (для ссылки на данные графика)
+ * @param {FunnelPerGroups} data - Счетчики воронки по группам
+ * @param {string} sectionTitle - Заголовок секции
+ * @param {number} rowIndex - Индекс строки заголовка секции (нумерация с 0)
+ * @param {number} columnIndex - Индекс столбца заголовка секции (нумерация с 0)
+ * @returns {void}
+ */
+function createFunnelSection(sheet, title, data, sectionTitle, rowIndex, columnIndex) {
+  // Создаем заголовок секции
+  const sectionTitleRange = sheet.GetRangeByNumber(rowIndex, columnIndex);
+  sectionTitleRange.SetFontSize(12);
+  sectionTitleRange.SetBold(true);
+  sectionTitleRange.SetValue(sectionTitle);
+
+  // Создаем и оформляем заголовок таблицы
+  const headerRow = rowIndex + 1;
+  const headerRange = getRangeBySize(sheet, headerRow, columnIndex + 1, 1, 7);
+  headerRange.SetAlignHorizontal('center');
+  headerRange.SetFillColor(Api.CreateColorFromRGB(112, 173, 71)); // Зеленый цвет для заголовка
+  headerRange.SetValue([
+    'Группа',
+    'Просмотры',
+    'В корзину',
+    'Покупки',
+    'Просмотр → корзина',
+    'Корзина → покупка',
+    'Просмотр → покупка',
+  ]);
+
+  // Заполняем таблицу: до 15 групп с наибольшим числом просмотров
+  const keys = Object.keys(data)
+    .sort((a, b) => data[b].views - data[a].views) // Сортировка по убыванию просмотров
+    .slice(0, 15); // Ограничиваем список 15-ю записями
+
+  keys.forEach((key, i) => {
+    const stats = data[key];
+    const row = headerRow + 1 + i;
+
+    getRangeBySize(sheet, row, columnIndex + 1, 1, 4).SetValue([key, stats.views, stats.carts, stats.purchases]);
+    setPercentValue(sheet.GetRangeByNumber(row, columnIndex + 5), stats.viewToCart);
+    setPercentValue(sheet.GetRangeByNumber(row, columnIndex + 6), stats.cartToPurchase);
+    setPercentValue(sheet.GetRangeByNumber(row, columnIndex + 7), stats.viewToPurchase);
+  });
+
+  // Столбчатый график с накоплением: группы - категории, шаги воронки - ряды данных
+  const valuesAddress = getRangeBySize(sheet, headerRow, columnIndex + 1, keys.length + 1, 4).Address;
+  Api.GetActiveSheet().AddChart(
+    `'${title}'!${valuesAddress}`, // Ссылка на диапазон данных
+    false, // Ряды данных по столбцам: просмотры, корзина, покупки
+    'barStacked', // Тип графика - столбчатый с накоплением
+    2, // Стиль графика
+    130 * 36000, // Ширина
+    105 * 36000, // Высота
+    columnIndex + 9, // Колонка для размещения графика
+    2 * 36000, // Отступ от левого края колонки
+    rowIndex, // Строка для размещения графика
+    3 * 36000 // Отступ от верхнего края строки
+  );
+}
+
+/**
+ * Создает отчет с детализацией покупок по уровням иерархии категорий
+ *
+ * @param {PurchasePerCategoryTree} tree - Статистика покупок по иерархии категорий
+ * @param {number} depth - Глубина иерархии для вывода (1 - только категории верхнего уровня, 3 - все уровни)
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {string} [scope] - Описание действующих фильтров для вывода под заголовком
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета и строку с описанием действующих фильтров
+ * 3. Выводит таблицу, в которой под каждой категорией перечислены ее подкатегории
+ *    до указанной глубины. Строка родительской категории выделена и содержит
+ *    промежуточный итог по всем ее подкатегориям. Для каждой строки выводятся
+ *    количество покупок, сумма, средняя цена и доля в сумме родительской категории
+ * 4. Добавляет строку общего итога
+ *
+ * Категории каждого уровня отсортированы по убыванию количества покупок.
+ * Уровни, отсутствующие в коде категории, обозначены как '_none'.
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * // Категории и подкатегории без третьего уровня
+ * createCategoryTreeReport(analitics.purchasePerCategoryTree, 2, 'Категории по уровням', 3, 1);
+ */
+function createCategoryTreeReport(tree, depth, title, firstRowIndex = 0, firstColumnIndex = 0, scope) {
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета с описанием действующих фильтров
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex + 2);
+
+  // Названия колонок уровней иерархии, выводим только нужное количество уровней
+  const levelTitles = ['Категория', 'Подкатегория', 'Подгруппа'].slice(0, depth);
+  levelTitles.forEach((_, level) => sheet.SetColumnWidth(firstColumnIndex + level, 20));
+
+  // Создаем и оформляем заголовок таблицы
+  const headerRow = firstRowIndex + 2;
+  const headers = [...levelTitles, 'Количество покупок', 'Сумма покупок', 'Средняя цена покупки', 'Доля суммы'];
+  const headerRange = getRangeBySize(sheet, headerRow, firstColumnIndex, 1, headers.length);
+  headerRange.SetAlignHorizontal('center');
+  headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+  headerRange.SetValue(headers);
+
+  // Колонка, с которой начинаются показатели
+  const valuesColumn = firstColumnIndex + depth;
+  let row = headerRow + 1;
+
+  /**
+   * Выводит строки категорий одного уровня и, рекурсивно, их подкатегорий
+   *
+   * @param {Object.<string, PurchaseCategoryNode>} nodes - Категории одного уровня
+   * @param {number} level - Уровень иерархии (0 - верхний)
+   * @param {number} parentPrice - Сумма покупок родительской категории для расчета доли
+   */
+  const writeLevel = (nodes, level, parentPrice) => {
+    Object.keys(nodes)
+      .sort((a, b) => nodes[b].count - nodes[a].count || String(a).localeCompare(String(b)))
+      .forEach((name) => {
+        const node = nodes[name];
+        const hasSubtotal = level < depth - 1;
+
+        sheet.GetRangeByNumber(row, firstColumnIndex + level).SetValue(name);
+        sheet.GetRangeByNumber(row, valuesColumn).SetValue(node.count);
+        setMoneyValue(sheet.GetRangeByNumber(row, valuesColumn + 1), node.price);
+        setMoneyValue(sheet.GetRangeByNumber(row, valuesColumn + 2), node.avgPrice);
+        setPercentValue(sheet.GetRangeByNumber(row, valuesColumn + 3), parentPrice ? node.price / parentPrice : 0);
+
+        // Строки с промежуточными итогами выделяем жирным шрифтом и заливкой
+        if (hasSubtotal) {
+          const subtotalRange = getRangeBySize(sheet, row, firstColumnIndex, 1, headers.length);
+          subtotalRange.SetBold(true);
+          subtotalRange.SetFillColor(Api.CreateColorFromRGB(level === 0 ? 200 : 226, level === 0 ? 218 : 234, 250));
+        }
+        row += 1;
+
+        if (hasSubtotal) {
+          writeLevel(node.children, level + 1, node.price);
+        }
+      });
+  };
+
+  // Общий итог по всем категориям
+  const total = Object.values(tree).reduce(
+    (sum, node) => ({ count: sum.count + node.count, price: sum.price + node.price }),
+    { count: 0, price: 0 }
+  );
+
+  writeLevel(tree, 0, total.price);
+
+  // Добавляем строку общего итога
+  const totalRange = getRangeBySize(sheet, row, firstColumnIndex, 1, headers.length);
+  totalRange.SetBold(true);
+  sheet.GetRangeByNumber(row, firstColumnIndex).SetValue('Итого');
+  sheet.GetRangeByNumber(row, valuesColumn).SetValue(total.count);
+  setMoneyValue(sheet.GetRangeByNumber(row, valuesColumn + 1), total.price);
+  setMoneyValue(sheet.GetRangeByNumber(row, valuesColumn + 2), total.count ? total.price / total.count : 0);
+  setPercentValue(sheet.GetRangeByNumber(row, valuesColumn + 3), total.price ? 1 : 0);
+}
+
+/**
+ * Создает отчет "Динамика продаж" с таблицей и графиками по периодам
+ *
+ * @param {TimeSeries} timeSeries - Динамика покупок по периодам
+ * @param {'none' | 'category' | 'brand'} breakdown - Разбивка выручки по группам: нет, по категориям или по брендам
+ * @param {number} topCount - Число групп с наибольшей выручкой для разбивки
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {string} [scope] - Описание действующих фильтров для вывода под заголовком
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета и строку с описанием действующих фильтров
+ * 3. Выводит таблицу по периодам (дням, неделям или месяцам): выручка,
+ *    количество покупок, средний чек и число уникальных покупателей
+ * 4. Создает линейный график выручки по периодам
+ * 5. Если задана разбивка, выводит таблицу выручки по периодам для групп
+ *    с наибольшей выручкой (каждая группа - отдельный столбец) и линейный график,
+ *    где каждая группа - отдельная линия
+ *
+ * Периоды без покупок выводятся с нулевыми значениями, чтобы на графике были видны провалы.
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * // Динамика с разбивкой по пяти брендам с наибольшей выручкой
+ * createTimeSeriesReport(analitics.timeSeries, 'brand', 5, 'Динамика продаж', 3, 1);
+ */
+function createTimeSeriesReport(
+  timeSeries,
+  breakdown,
+  topCount,
+  title,
+  firstRowIndex = 0,
+  firstColumnIndex = 0,
+  scope
+) {
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета с описанием действующих фильтров
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex + 2);
+
+  // Колонка с названиями периодов
+  sheet.SetColumnWidth(firstColumnIndex, 14);
+
+  // Создаем и оформляем заголовок таблицы по периодам
+  const headerRow = firstRowIndex + 2;
+  const headerRange = getRangeBySize(sheet, headerRow, firstColumnIndex, 1, 5);
+  headerRange.SetAlignHorizontal('center');
+  headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+  headerRange.SetValue(['Период', 'Выручка', 'Количество покупок', 'Средний чек', 'Покупателей']);
+
+  // Заполняем таблицу по периодам в хронологическом порядке
+  const { points } = timeSeries;
+  points.forEach((point, i) => {
+    const row = headerRow + 1 + i;
+    sheet.GetRangeByNumber(row, firstColumnIndex).SetValue(point.label);
+    setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 1), point.price);
+    sheet.GetRangeByNumber(row, firstColumnIndex + 2).SetValue(point.count);
+    setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 3), point.avgPrice);
+    sheet.GetRangeByNumber(row, firstColumnIndex + 4).SetValue(point.buyers);
+  });
+
+  // Нечего отображать на графиках, если в периоде анализа нет покупок
+  if (points.length === 0) {
+    return;
+  }
+
+  // Линейный график выручки: периоды - категории, выручка - ряд данных
+  const revenueValuesAddress = getRangeBySize(sheet, headerRow, firstColumnIndex, points.length + 1, 2).Address;
+  Api.GetActiveSheet().AddChart(
+    `'${title}'!${revenueValuesAddress}`, // Ссылка на диапазон данных
+    false, // Ряды данных по столбцам
+    'lineNormal', // Тип графика - линейный
+    2, // Стиль графика
+    160 * 36000, // Ширина
+    90 * 36000, // Высота
+    firstColumnIndex + 6, // Колонка для размещения графика
+    2 * 36000, // Отступ от левого края колонки
+    headerRow, // Строка для размещения графика
+    3 * 36000 // Отступ от верхнего края строки
+  );
+
+  if (breakdown === 'none') {
+    return;
+  }
+
+  // Выбираем группы с наибольшей выручкой за весь период
+  const groups = breakdown === 'category' ? timeSeries.perCategories : timeSeries.perBrands;
+  const keys = Object.keys(groups)
+    .sort((a, b) => groups[b].price - groups[a].price) // Сортировка по убыванию выручки
+    .slice(0, topCount);
+
+  // Таблица разбивки размещается под графиком выручки
+  const groupsTitleRow = headerRow + 22;
+  const groupsColumn = firstColumnIndex + 6;
+  const groupsTitleRange = sheet.GetRangeByNumber(groupsTitleRow, groupsColumn);
+  groupsTitleRange.SetFontSize(12);
+  groupsTitleRange.SetBold(true);
+  groupsTitleRange.SetValue(breakdown === 'category' ? 'Выручка по категориям' : 'Выручка по брендам');
+
+  const groupsHeaderRow = groupsTitleRow + 1;
+  const groupsHeaderRange = getRangeBySize(sheet, groupsHeaderRow, groupsColumn, 1, keys.length + 1);
+  groupsHeaderRange.SetAlignHorizontal('center');
+  groupsHeaderRange.SetFillColor(Api.CreateColorFromRGB(244, 101, 36)); // Оранжевый цвет для заголовка
+  groupsHeaderRange.SetValue(['Период', ...keys]);
+
+  points.forEach((point, i) => {
+    const row = groupsHeaderRow + 1 + i;
+    sheet.GetRangeByNumber(row, groupsColumn).SetValue(point.label);
+    keys.forEach((key, j) => setMoneyValue(sheet.GetRangeByNumber(row, groupsColumn + 1 + j), groups[key].values[i]));
+  });
+
+  // Линейный график разбивки: каждая группа - отдельная линия
+  const groupsValuesAddress = getRangeBySize(sheet, groupsHeaderRow, groupsColumn, points.length + 1, keys.length + 1)
+    .Address;
+  Api.GetActiveSheet().AddChart(
+    `'${title}'!${groupsValuesAddress}`, // Ссылка на диапазон данных
+    false, // Ряды данных по столбцам: каждая группа - отдельная линия
+    'lineNormal', // Тип графика - линейный
+    2, // Стиль графика
+    160 * 36000, // Ширина
+    90 * 36000, // Высота
+    groupsColumn + keys.length + 2, // Колонка для размещения графика
+    2 * 36000, // Отступ от левого края колонки
+    groupsTitleRow, // Строка для размещения графика
+    3 * 36000 // Отступ от верхнего края строки
+  );
+}
+
+/**
+ * Создает отчет "Активность по времени" с тепловой картой по дням недели и часам
+ *
+ * @param {ActivityStats} activity - Активность по дням недели и часам для каждого типа событий
+ * @param {'events' | 'purchases' | 'revenue'} metric - Показатель: число событий, число покупок или выручка
+ * @param {string | null} eventType - Тип событий для показателя "события", null - события всех типов
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {string} [scope] - Описание действующих фильтров для вывода под заголовком
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета, строку с описанием действующих фильтров и строку с показателем
+ * 3. Выводит сетку 7×24: дни недели с понедельника по воскресенье - строки, часы от 0 до 23 - столбцы,
+ *    с итогами по дням и по часам
+ * 4. Окрашивает ячейки сетки цветовой шкалой (см. setColorScale): чем больше значение, тем насыщеннее зеленый цвет
+ * 5. Выводит под сеткой день и час с наибольшим значением
+ *
+ * Дни недели и часы считаются в часовом поясе отчетов. По отчету удобно выбирать время
+ * для акций (часы наибольшей активности) и планировать смены поддержки.
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * // Выручка по дням недели и часам
+ * createActivityReport(analitics.activity, 'revenue', null, 'Активность по времени', 3, 1);
+ *
+ * @example
+ * // Число добавлений в корзину
+ * createActivityReport(analitics.activity, 'events', 'cart', 'Активность - cart', 3, 1);
+ */
+function createActivityReport(activity, metric, eventType, title, firstRowIndex = 0, firstColumnIndex = 0, scope) {
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета с описанием действующих фильтров
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex + 2);
+
+  // Колонка с днями недели и узкие колонки часов, чтобы сетка помещалась на экран
+  sheet.SetColumnWidth(firstColumnIndex, 14);
+  for (let hour = 0; hour < 24; hour++) {
+    sheet.SetColumnWidth(firstColumnIndex + 1 + hour, metric === 'revenue' ? 9 : 6);
+  }
+  sheet.SetColumnWidth(firstColumnIndex + 25, 12);
+
+  // Значения сетки: сумма по выбранным типам событий
+  const grids =
+    metric === 'events'
+      ? Object.entries(activity)
+          .filter(([type]) => eventType === null || type === eventType)
+          .map(([, grid]) => grid.count)
+      : [activity.purchase ? activity.purchase[metric === 'revenue' ? 'price' : 'count'] : null].filter(Boolean);
+  const values = Array.from({ length: 7 }, (_, day) =>
+    Array.from({ length: 24 }, (_, hour) => grids.reduce((sum, grid) => sum + grid[day][hour], 0))
+  );
+  const metricNames = {
+    events: eventType === null ? 'события всех типов' : `события ${eventType}`,
+    purchases: 'покупки',
+    revenue: 'выручка',
+  };
+  sheet
+    .GetRangeByNumber(firstRowIndex + 2, firstColumnIndex)
+    .SetValue(`Показатель: ${metricNames[metric]}; строки - дни недели, столбцы - часы`);
+
+  // Записывает значение в формате показателя
+  const setValue = (range, value) => {
+    if (metric === 'revenue') {
+      setMoneyValue(range, value);
+    } else {
+      range.SetValue(value);
+    }
+  };
+
+  // Создаем и оформляем заголовок сетки
+  const headerRow = firstRowIndex + 4;
+  const headerRange = getRangeBySize(sheet, headerRow, firstColumnIndex, 1, 26);
+  headerRange.SetAlignHorizontal('center');
+  headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+  headerRange.SetValue([
+    'День недели',
+    ...Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0')),
+    'Итого',
+  ]);
+
+  const maxValue = Math.max(0, ...values.flat());
+  const weekdays = ['Понедельник', 'Вторник', 'Среда', 'Четверг', 'Пятница', 'Суббота', 'Воскресенье'];
+  values.forEach((dayValues, day) => {
+    const row = headerRow + 1 + day;
+    sheet.GetRangeByNumber(row, firstColumnIndex).SetValue(weekdays[day]);
+    dayValues.forEach((value, hour) => {
+      setValue(sheet.GetRangeByNumber(row, firstColumnIndex + 1 + hour), value);
+    });
+    setValue(
+      sheet.GetRangeByNumber(row, firstColumnIndex + 25),
+      dayValues.reduce((sum, value) => sum + value, 0)
+    );
+  });
+
+  // Цветовая шкала по значениям сетки без итогов
+  setColorScale(sheet, headerRow + 1, firstColumnIndex + 1, values);
+
+  // Строка итогов по часам
+  const totalRow = headerRow + 8;
+  const totalTitleRange = sheet.GetRangeByNumber(totalRow, firstColumnIndex);
+  totalTitleRange.SetBold(true);
+  totalTitleRange.SetValue('Итого');
+  for (let hour = 0; hour < 24; hour++) {
+    setValue(
+      sheet.GetRangeByNumber(totalRow, firstColumnIndex + 1 + hour),
+      values.reduce((sum, dayValues) => sum + dayValues[hour], 0)
+    );
+  }
+  setValue(
+    sheet.GetRangeByNumber(totalRow, firstColumnIndex + 25),
+    values.flat().reduce((sum, value) => sum + value, 0)
+  );
+
+  // День и час с наибольшим значением
+  if (maxValue > 0) {
+    const peakIndex = values.flat().indexOf(maxValue);
+    const peakHour = peakIndex % 24;
+    sheet
+      .GetRangeByNumber(totalRow + 2, firstColumnIndex)
+      .SetValue(
+        `Пик: ${weekdays[Math.floor(peakIndex / 24)]}, ${String(peakHour).padStart(2, '0')}:00 - ${String(
+          peakHour + 1
+        ).padStart(2, '0')}:00`
+      );
+  }
+}
+
+/**
+ * Создает отчет "Сессии" с показателями сессий пользователей и брошенных корзин
+ *
+ * @param {SessionStats} stats - Показатели сессий
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {string} [scope] - Описание действующих фильтров для вывода под заголовком
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета и строку с описанием действующих фильтров
+ * 3. Создает секцию "Общие показатели": число сессий, доля сессий с покупкой,
+ *    число, доля и сумма брошенных корзин, число событий и длительность сессии,
+ *    а рядом - распределение сессий по числу событий и по длительности
+ * 4. Создает секцию "Сессии по дням" с таблицей и линейным графиком
+ * 5. Создает секции "Брошенные корзины по категориям" и "Брошенные корзины по брендам":
+ *    до 15 групп с наибольшей суммой брошенных корзин и столбчатые графики
+ *
+ * Брошенная корзина - сессия, в которой товар добавлялся в корзину, но покупки не было.
+ * Сумма брошенных корзин показывает объем продаж, который можно вернуть ремаркетингом.
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * createSessionReport(analitics.sessions, 'Сессии', 3, 1);
+ */
+function createSessionReport(stats, title, firstRowIndex = 0, firstColumnIndex = 0, scope) {
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета с описанием действующих фильтров
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex + 2);
+
+  sheet.SetColumnWidth(firstColumnIndex, 36);
+  sheet.SetColumnWidth(firstColumnIndex + 1, 14);
+
+  // Создает заголовок секции отчета
+  const createSectionTitle = (rowIndex, columnIndex, sectionTitle) => {
+    const range = sheet.GetRangeByNumber(rowIndex, columnIndex);
+    range.SetFontSize(12);
+    range.SetBold(true);
+    range.SetValue(sectionTitle);
+  };
+
+  // Создает и оформляет строку заголовков таблицы
+  const createHeader = (rowIndex, columnIndex, titles) => {
+    const range = getRangeBySize(sheet, rowIndex, columnIndex, 1, titles.length);
+    range.SetAlignHorizontal('center');
+    range.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+    range.SetValue(titles);
+  };
+
+  // Секция "Общие показатели": показатель и значение
+  const summaryRow = firstRowIndex + 2;
+  createSectionTitle(summaryRow, firstColumnIndex, 'Общие показатели');
+  createHeader(summaryRow + 1, firstColumnIndex, ['Показатель', 'Значение']);
+  const summary = [
+    ['Сессий', stats.count, 'number'],
+    ['Сессий с покупкой', stats.withPurchase, 'number'],
+    ['Доля сессий с покупкой', stats.purchaseShare, 'percent'],
+    ['Сессий с добавлением в корзину', stats.withCart, 'number'],
+    ['Брошенных корзин', stats.abandoned, 'number'],
+    ['Доля брошенных корзин', stats.abandonedShare, 'percent'],
+    ['Сумма брошенных корзин', stats.abandonedPrice, 'money'],
+    ['Событий в сессии (среднее)', stats.avgEvents, 'decimal'],
+    ['Событий в сессии (медиана)', stats.medianEvents, 'decimal'],
+    ['Длительность сессии, мин (среднее)', stats.avgDuration / 60, 'decimal'],
+    ['Длительность сессии, мин (медиана)', stats.medianDuration / 60, 'decimal'],
+  ];
+  // Предупреждение о строках не по порядку времени выводится, только если такие строки были
+  if (stats.lateEvents > 0) {
+    summary.push(['Событий не по порядку времени (сессии могли разделиться)', stats.lateEvents, 'number']);
+  }
+  summary.forEach(([name, value, format], i) => {
+    const row = summaryRow + 2 + i;
+    sheet.GetRangeByNumber(row, firstColumnIndex).SetValue(name);
+    const valueRange = sheet.GetRangeByNumber(row, firstColumnIndex + 1);
+    if (format === 'percent') {
+      setPercentValue(valueRange, value);
+    } else if (format === 'money' || format === 'decimal') {
+      // Суммы и дробные значения выводятся с двумя знаками после запятой
+      setMoneyValue(valueRange, value);
+    } else {
+      valueRange.SetValue(value);
+    }
+  });
+
+  // Распределения сессий по числу событий и по длительности справа от общих показателей
+  [
+    ['Событий в сессии', stats.eventsDistribution, firstColumnIndex + 3],
+    ['Длительность сессии', stats.durationDistribution, firstColumnIndex + 6],
+  ].forEach(([distributionTitle, distribution, columnIndex]) => {
+    sheet.SetColumnWidth(columnIndex, 16);
+    createSectionTitle(summaryRow, columnIndex, distributionTitle);
+    createHeader(summaryRow + 1, columnIndex, ['Интервал', 'Сессий']);
+    distribution.forEach((item, i) => {
+      sheet.GetRangeByNumber(summaryRow + 2 + i, columnIndex).SetValue(item.label);
+      sheet.GetRangeByNumber(summaryRow + 2 + i, columnIndex + 1).SetValue(item.sessions);
+    });
+  });
+
+  // Секция "Сессии по дням"
+  const daysRow = summaryRow + 2 + summary.length + 2;
+  createSectionTitle(daysRow, firstColumnIndex, 'Сессии по дням');
+  createHeader(daysRow + 1, firstColumnIndex, ['День', 'Сессий', 'С покупкой', 'Доля с покупкой']);
+  stats.perDay.forEach((day, i) => {
+    const row = daysRow + 2 + i;
+    sheet.GetRangeByNumber(row, firstColumnIndex).SetValue(day.label);
+    sheet.GetRangeByNumber(row, firstColumnIndex + 1).SetValue(day.sessions);
+    sheet.GetRangeByNumber(row, firstColumnIndex + 2).SetValue(day.withPurchase);
+    setPercentValue(
+      sheet.GetRangeByNumber(row, firstColumnIndex + 3),
+      day.sessions ? day.withPurchase / day.sessions : 0
+    );
+  });
+
+  if (stats.perDay.length > 0) {
+    // Линейный график: число сессий и сессий с покупкой по дням
+    const daysValuesAddress = getRangeBySize(sheet, daysRow + 1, firstColumnIndex, stats.perDay.length + 1, 3).Address;
+    Api.GetActiveSheet().AddChart(
+      `'${title}'!${daysValuesAddress}`, // Ссылка на диапазон данных
+      false, // Ряды данных по столбцам
+      'lineNormal', // Тип графика - линейный
+      2, // Стиль графика
+      160 * 36000, // Ширина
+      90 * 36000, // Высота
+      firstColumnIndex + 5, // Колонка для размещения графика
+      2 * 36000, // Отступ от левого края колонки
+      daysRow + 1, // Строка для размещения графика
+      3 * 36000 // Отступ от верхнего края строки
+    );
+  }
+
+  // Секции брошенных корзин по категориям и брендам размещаются рядом под таблицей по дням
+  const abandonedRow = daysRow + 2 + Math.max(stats.perDay.length, 20) + 2;
+  [
+    ['Брошенные корзины по категориям', stats.abandonedPerCategories, firstColumnIndex],
+    ['Брошенные корзины по брендам', stats.abandonedPerBrands, firstColumnIndex + 8],
+  ].forEach(([sectionTitle, groups, columnIndex]) => {
+    createSectionTitle(abandonedRow, columnIndex, sectionTitle);
+    createHeader(abandonedRow + 1, columnIndex, ['Группа', 'Сумма', 'Сессий', 'Товаров']);
+
+    // Группы с наибольшей суммой брошенных корзин
+    const keys = Object.keys(groups)
+      .sort((a, b) => groups[b].price - groups[a].price)
+      .slice(0, 15);
+    keys.forEach((key, i) => {
+      const row = abandonedRow + 2 + i;
+      sheet.GetRangeByNumber(row, columnIndex).SetValue(key);
+      setMoneyValue(sheet.GetRangeByNumber(row, columnIndex + 1), groups[key].price);
+      sheet.GetRangeByNumber(row, columnIndex + 2).SetValue(groups[key].sessions);
+      sheet.GetRangeByNumber(row, columnIndex + 3).SetValue(groups[key].items);
+    });
+
+    if (keys.length === 0) {
+      return;
+    }
+
+    // Столбчатый график суммы брошенных корзин под таблицей
+    const valuesAddress = getRangeBySize(sheet, abandonedRow + 1, columnIndex, keys.length + 1, 2).Address;
+    Api.GetActiveSheet().AddChart(
+      `'${title}'!${valuesAddress}`, // Ссылка на диапазон данных
+      false, // Ряды данных по столбцам
+      'bar', // Тип графика - столбчатый
+      2, // Стиль графика
+      130 * 36000, // Ширина
+      80 * 36000, // Высота
+      columnIndex, // Колонка для размещения графика
+      2 * 36000, // Отступ от левого края колонки
+      abandonedRow + 18, // Строка для размещения графика
+      3 * 36000 // Отступ от верхнего края строки
+    );
+  });
+}
+
+/**
+ * Создает отчет "RFM-анализ" с сегментами покупателей
+ *
+ * @param {RfmStats} rfm - Результат RFM-анализа
+ * @param {boolean} withDetails - Выводить ли список покупателей по сегментам
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {string} [scope] - Описание действующих фильтров для вывода под заголовком
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета, строку с описанием действующих фильтров и дату отсчета
+ * 3. Выводит таблицу сегментов: число и доля покупателей, выручка и ее доля,
+ *    средние давность, частота и сумма покупок и правило отнесения к сегменту
+ * 4. Создает столбчатый график числа покупателей по сегментам
+ * 5. Если включен вывод списка покупателей, выводит под графиком таблицу
+ *    покупателей с показателями и оценками R, F и M, сгруппированную по сегментам
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * createRfmReport(analitics.rfm, true, 'RFM-анализ', 3, 1);
+ */
+function createRfmReport(rfm, withDetails, title, firstRowIndex = 0, firstColumnIndex = 0, scope) {
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета с описанием действующих фильтров
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex + 2);
+
+  sheet.SetColumnWidth(firstColumnIndex, 24);
+  sheet.SetColumnWidth(firstColumnIndex + 8, 20);
+
+  // Дата отсчета давности и способ расчета оценок
+  sheet
+    .GetRangeByNumber(firstRowIndex + 2, firstColumnIndex)
+    .SetValue(
+      `Дата отсчета: ${rfm.referenceDate ? formatDate(rfm.referenceDate) : 'нет покупок'}; ` +
+        'оценки R, F, M от 1 до 5 рассчитаны по квинтилям'
+    );
+
+  // Создаем и оформляем заголовок таблицы сегментов
+  const headerRow = firstRowIndex + 4;
+  const headerRange = getRangeBySize(sheet, headerRow, firstColumnIndex, 1, 9);
+  headerRange.SetAlignHorizontal('center');
+  headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+  headerRange.SetValue([
+    'Сегмент',
+    'Покупателей',
+    'Доля покупателей',
+    'Выручка',
+    'Доля выручки',
+    'Давность, дней',
+    'Покупок',
+    'Сумма покупок',
+    'Правило',
+  ]);
+
+  rfm.segments.forEach((segment, i) => {
+    const row = headerRow + 1 + i;
+    sheet.GetRangeByNumber(row, firstColumnIndex).SetValue(segment.name);
+    sheet.GetRangeByNumber(row, firstColumnIndex + 1).SetValue(segment.customers);
+    setPercentValue(sheet.GetRangeByNumber(row, firstColumnIndex + 2), segment.customersShare);
+    setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 3), segment.price);
+    setPercentValue(sheet.GetRangeByNumber(row, firstColumnIndex + 4), segment.priceShare);
+    setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 5), segment.avgRecency);
+    setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 6), segment.avgFrequency);
+    setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 7), segment.avgMonetary);
+    sheet.GetRangeByNumber(row, firstColumnIndex + 8).SetValue(segment.description);
+  });
+
+  // Столбчатый график числа покупателей по сегментам: названия сегментов и колонка "Покупателей"
+  const chartRow = headerRow + rfm.segments.length + 2;
+  if (rfm.customers.length > 0) {
+    const segmentsAddress = getRangeBySize(sheet, headerRow, firstColumnIndex, rfm.segments.length + 1, 2).Address;
+    Api.GetActiveSheet().AddChart(
+      `'${title}'!${segmentsAddress}`, // Ссылка на диапазон данных
+      false, // Ряды данных по столбцам
+      'bar', // Тип графика - столбчатый
+      2, // Стиль графика
+      160 * 36000, // Ширина
+      80 * 36000, // Высота
+      firstColumnIndex, // Колонка для размещения графика
+      2 * 36000, // Отступ от левого края колонки
+      chartRow, // Строка для размещения графика
+      3 * 36000 // Отступ от верхнего края строки
+    );
+  }
+
+  if (!withDetails) {
+    return;
+  }
+
+  // Список покупателей по сегментам под графиком
+  const detailsRow = chartRow + 20;
+  const detailsTitleRange = sheet.GetRangeByNumber(detailsRow, firstColumnIndex);
+  detailsTitleRange.SetFontSize(12);
+  detailsTitleRange.SetBold(true);
+  detailsTitleRange.SetValue('Покупатели по сегментам');
+
+  const detailsHeaderRange = getRangeBySize(sheet, detailsRow + 1, firstColumnIndex, 1, 8);
+  detailsHeaderRange.SetAlignHorizontal('center');
+  detailsHeaderRange.SetFillColor(Api.CreateColorFromRGB(244, 101, 36)); // Оранжевый цвет для заголовка
+  detailsHeaderRange.SetValue(['Сегмент', 'Покупатель', 'Давность, дней', 'Покупок', 'Сумма покупок', 'R', 'F', 'M']);
+
+  rfm.customers.forEach((customer, i) => {
+    const row = detailsRow + 2 + i;
+    getRangeBySize(sheet, row, firstColumnIndex, 1, 4).SetValue([
+      customer.segment,
+      customer.userId,
+      customer.recency,
+      customer.frequency,
+    ]);
+    setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 4), customer.monetary);
+    getRangeBySize(sheet, row, firstColumnIndex + 5, 1, 3).SetValue([customer.r, customer.f, customer.m]);
+  });
+}
+
+/**
+ * Создает отчет "Когорты" с матрицами удержания покупателей
+ *
+ * @param {CohortStats} stats - Когортный анализ удержания покупателей
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {string} [scope] - Описание действующих фильтров для вывода под заголовком
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета и строку с описанием действующих фильтров
+ * 3. Выводит матрицу "Покупатели": для каждой когорты (периода первой покупки) -
+ *    число ее покупателей и сколько из них покупали через 1, 2... периодов
+ * 4. Выводит под ней матрицу "Удержание, %" с теми же значениями в процентах от размера когорты
+ *
+ * Ячейки обеих матриц окрашены цветовой шкалой по проценту удержания: чем выше удержание,
+ * тем насыщеннее зеленый цвет. Шкала строится по максимальному удержанию в периодах после
+ * первого, так как в периоде первой покупки удержание всегда 100%.
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * createCohortReport(analitics.cohorts, 'Когорты', 3, 1);
+ */
+function createCohortReport(stats, title, firstRowIndex = 0, firstColumnIndex = 0, scope) {
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета с описанием действующих фильтров
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex + 2);
+
+  sheet.SetColumnWidth(firstColumnIndex, 14);
+  sheet.SetColumnWidth(firstColumnIndex + 1, 14);
+
+  const stepName = stats.step === 'week' ? 'Неделя' : 'Месяц';
+  sheet
+    .GetRangeByNumber(firstRowIndex + 2, firstColumnIndex)
+    .SetValue(
+      `Когорта - ${stepName.toLowerCase()} первой покупки; ${stepName.toLowerCase()} 0 - период первой покупки`
+    );
+
+  [
+    ['Покупатели', false],
+    ['Удержание, %', true],
+  ].forEach(([matrixTitle, isPercent], matrixIndex) => {
+    const titleRow = firstRowIndex + 4 + matrixIndex * (stats.cohorts.length + 4);
+    const matrixTitleRange = sheet.GetRangeByNumber(titleRow, firstColumnIndex);
+    matrixTitleRange.SetFontSize(12);
+    matrixTitleRange.SetBold(true);
+    matrixTitleRange.SetValue(matrixTitle);
+
+    // Заголовок матрицы: когорта, размер когорты и номера периодов
+    const headerRow = titleRow + 1;
+    const headerRange = getRangeBySize(sheet, headerRow, firstColumnIndex, 1, stats.periods + 2);
+    headerRange.SetAlignHorizontal('center');
+    headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+    headerRange.SetValue([
+      'Когорта',
+      'Покупателей',
+      ...Array.from({ length: stats.periods }, (_, i) => `${stepName} ${i}`),
+    ]);
+
+    stats.cohorts.forEach((cohort, i) => {
+      const row = headerRow + 1 + i;
+      sheet.GetRangeByNumber(row, firstColumnIndex).SetValue(cohort.label);
+      sheet.GetRangeByNumber(row, firstColumnIndex + 1).SetValue(cohort.size);
+
+      // Когорты без новых покупателей выводятся без значений
+      if (cohort.size === 0) {
+        return;
+      }
+
+      cohort.values.forEach((value, offset) => {
+        const cell = sheet.GetRangeByNumber(row, firstColumnIndex + 2 + offset);
+        const retention = value / cohort.size;
+        if (isPercent) {
+          setPercentValue(cell, retention);
+        } else {
+          cell.SetValue(value);
+        }
+      });
+    });
+
+    // Цветовая шкала по значениям матрицы; период первой покупки не окрашивается: удержание в нем всегда 100%
+    if (stats.periods > 1) {
+      setColorScale(
+        sheet,
+        headerRow + 1,
+        firstColumnIndex + 3,
+        stats.cohorts.map((cohort) =>
+          Array.from({ length: stats.periods - 1 }, (_, i) => {
+            const value = cohort.values[i + 1];
+            if (cohort.size === 0 || value === undefined) {
+              return null;
+            }
+            return isPercent ? value / cohort.size : value;
+          })
+        )
+      );
+    }
+  });
+}
+
+/**
+ * Создает отчет "Товары" с самыми продаваемыми товарами
+ *
+ * @param {ProductStats[]} products - Показатели товаров
+ * @param {string[]} search - Идентификаторы товаров для таблицы "Найденные товары", пустой массив - без нее
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {string} [scope] - Описание действующих фильтров для вывода под заголовком
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета и строку с описанием действующих фильтров
+ * 3. Выводит таблицу "Топ по количеству покупок" - до 15 товаров с наибольшим числом покупок
+ * 4. Выводит под ней таблицу "Топ по выручке" - до 15 товаров с наибольшей выручкой
+ * 5. Если задан поиск товаров, выводит таблицу "Найденные товары" с показателями указанных товаров
+ *    в порядке поиска; для товаров без событий в анализируемых данных указывается "нет событий"
+ *
+ * Для каждого товара выводятся бренд, категория, число покупок, выручка, число покупателей,
+ * минимальная, средняя и максимальная цена покупки, число просмотров и конверсия
+ * просмотров в покупки. Товары без покупок в топы не попадают.
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * createProductReport(analitics.products, ['1004856', '1005115'], 'Товары', 3, 1);
+ */
+function createProductReport(products, search, title, firstRowIndex = 0, firstColumnIndex = 0, scope) {
+  const topCount = 15;
+
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета с описанием действующих фильтров
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex + 2);
+
+  sheet.SetColumnWidth(firstColumnIndex, 14);
+  sheet.SetColumnWidth(firstColumnIndex + 1, 16);
+  sheet.SetColumnWidth(firstColumnIndex + 2, 30);
+
+  const purchased = products.filter((product) => product.purchases > 0);
+  const productsById = new Map(products.map((product) => [product.productId, product]));
+
+  [
+    ['Топ по количеству покупок', [...purchased].sort((a, b) => b.purchases - a.purchases || b.revenue - a.revenue)],
+    ['Топ по выручке', [...purchased].sort((a, b) => b.revenue - a.revenue || b.purchases - a.purchases)],
+    // Найденные товары выводятся все, без ограничения числа строк
+    ['Найденные товары', search.map((productId) => productsById.get(productId) || productId)],
+  ].forEach(([tableTitle, rows], tableIndex) => {
+    if (tableIndex === 2 && search.length === 0) {
+      return;
+    }
+
+    const titleRow = firstRowIndex + 3 + tableIndex * (topCount + 4);
+    const tableTitleRange = sheet.GetRangeByNumber(titleRow, firstColumnIndex);
+    tableTitleRange.SetFontSize(12);
+    tableTitleRange.SetBold(true);
+    tableTitleRange.SetValue(tableTitle);
+
+    // Создаем и оформляем заголовок таблицы
+    const headerRow = titleRow + 1;
+    const headerRange = getRangeBySize(sheet, headerRow, firstColumnIndex, 1, 11);
+    headerRange.SetAlignHorizontal('center');
+    headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+    headerRange.SetValue([
+      'Товар',
+      'Бренд',
+      'Категория',
+      'Покупок',
+      'Выручка',
+      'Покупателей',
+      'Мин. цена',
+      'Средняя цена',
+      'Макс. цена',
+      'Просмотров',
+      'Конверсия в покупку',
+    ]);
+
+    (tableIndex < 2 ? rows.slice(0, topCount) : rows).forEach((product, i) => {
+      const row = headerRow + 1 + i;
+      // Товар из поиска, которого нет в анализируемых данных
+      if (typeof product === 'string') {
+        getRangeBySize(sheet, row, firstColumnIndex, 1, 2).SetValue([product, 'нет событий']);
+        return;
+      }
+
+      getRangeBySize(sheet, row, firstColumnIndex, 1, 4).SetValue([
+        product.productId,
+        product.brand,
+        product.category,
+        product.purchases,
+      ]);
+      setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 4), product.revenue);
+      sheet.GetRangeByNumber(row, firstColumnIndex + 5).SetValue(product.buyers);
+      setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 6), product.minPrice);
+      setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 7), product.avgPrice);
+      setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 8), product.maxPrice);
+      sheet.GetRangeByNumber(row, firstColumnIndex + 9).SetValue(product.views);
+      setPercentValue(sheet.GetRangeByNumber(row, firstColumnIndex + 10), product.viewToPurchase);
+    });
+  });
+}
+
+/**
+ * Создает отчет "Совместные покупки" с парами элементов, которые покупают вместе
+ *
+ * @param {CoPurchaseStats} stats - Анализ совместных покупок
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {string} [scope] - Описание действующих фильтров для вывода под заголовком
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета, строку с описанием действующих фильтров и параметры анализа
+ * 3. Выводит таблицу до 20 пар с наибольшим числом корзин: поддержка, достоверность
+ *    в обе стороны и лифт
+ * 4. Выводит под ней матрицу совместных покупок по категориям верхнего уровня:
+ *    число корзин с обеими категориями, окрашенное цветовой шкалой
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * createCoPurchaseReport(analitics.coPurchase, 'Совместные покупки', 3, 1);
+ */
+function createCoPurchaseReport(stats, title, firstRowIndex = 0, firstColumnIndex = 0, scope) {
+  const topCount = 20;
+  const { options } = stats;
+
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета с описанием действующих фильтров
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex + 2);
+
+  sheet.SetColumnWidth(firstColumnIndex, 30);
+  sheet.SetColumnWidth(firstColumnIndex + 1, 30);
+
+  // Параметры анализа
+  const levelTitle = { product_id: 'товары', brand: 'бренды', category: 'категории' }[options.level];
+  const basketTitle =
+    options.basket === 'session' ? 'покупки одной сессии' : `покупки пользователя за ${options.windowDays} дн.`;
+  const minSupport = String(Math.round(options.minSupport * 10000) / 100).replace('.', ',');
+  sheet
+    .GetRangeByNumber(firstRowIndex + 2, firstColumnIndex)
+    .SetValue(
+      `Элементы: ${levelTitle}; корзина: ${basketTitle}; корзин: ${stats.baskets}, ` +
+        `из них с несколькими элементами: ${stats.multiItemBaskets}; минимальная поддержка: ${minSupport}%` +
+        (stats.truncatedBaskets > 0
+          ? `; в ${stats.truncatedBaskets} корзинах больше 50 разных элементов, остальные не учитывались`
+          : '')
+    );
+
+  // Таблица пар
+  const pairsTitleRow = firstRowIndex + 4;
+  const pairsTitleRange = sheet.GetRangeByNumber(pairsTitleRow, firstColumnIndex);
+  pairsTitleRange.SetFontSize(12);
+  pairsTitleRange.SetBold(true);
+  pairsTitleRange.SetValue('Пары, которые покупают вместе');
+
+  const headerRow = pairsTitleRow + 1;
+  const headerRange = getRangeBySize(sheet, headerRow, firstColumnIndex, 1, 7);
+  headerRange.SetAlignHorizontal('center');
+  headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+  headerRange.SetValue([
+    'Элемент A',
+    'Элемент B',
+    'Корзин',
+    'Поддержка',
+    'Достоверность A → B',
+    'Достоверность B → A',
+    'Лифт',
+  ]);
+
+  const pairs = stats.pairs.slice(0, topCount);
+  if (pairs.length === 0) {
+    sheet.GetRangeByNumber(headerRow + 1, firstColumnIndex).SetValue('Нет пар с поддержкой не ниже минимальной');
+  }
+  pairs.forEach((pair, i) => {
+    const row = headerRow + 1 + i;
+    getRangeBySize(sheet, row, firstColumnIndex, 1, 3).SetValue([pair.first, pair.second, pair.count]);
+    setPercentValue(sheet.GetRangeByNumber(row, firstColumnIndex + 3), pair.support);
+    setPercentValue(sheet.GetRangeByNumber(row, firstColumnIndex + 4), pair.confidence);
+    setPercentValue(sheet.GetRangeByNumber(row, firstColumnIndex + 5), pair.reverseConfidence);
+    setMoneyValue(sheet.GetRangeByNumber(row, firstColumnIndex + 6), pair.lift);
+  });
+
+  // Матрица совместных покупок по категориям верхнего уровня
+  const matrixTitleRow = headerRow + Math.max(pairs.length, 1) + 2;
+  const matrixTitleRange = sheet.GetRangeByNumber(matrixTitleRow, firstColumnIndex);
+  matrixTitleRange.SetFontSize(12);
+  matrixTitleRange.SetBold(true);
+  matrixTitleRange.SetValue('Корзины с покупками в обеих категориях');
+
+  const { categories, categoryMatrix } = stats;
+  const matrixHeaderRange = getRangeBySize(sheet, matrixTitleRow + 1, firstColumnIndex, 1, categories.length + 1);
+  matrixHeaderRange.SetAlignHorizontal('center');
+  matrixHeaderRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+  matrixHeaderRange.SetValue(['Категория', ...categories]);
+
+  // Верхняя граница цветовой шкалы - наибольшее число корзин вне диагонали
+  const maxCount = categoryMatrix.reduce(
+    (max, values, i) => values.reduce((rowMax, value, j) => (i === j ? rowMax : Math.max(rowMax, value)), max),
+    0
+  );
+
+  categoryMatrix.forEach((values, i) => {
+    const row = matrixTitleRow + 2 + i;
+    getRangeBySize(sheet, row, firstColumnIndex, 1, values.length + 1).SetValue([categories[i], ...values]);
+    values.forEach((value, j) => {
+      const cell = sheet.GetRangeByNumber(row, firstColumnIndex + 1 + j);
+      // На диагонали - число корзин с категорией, выделяется полужирным и не окрашивается
+      if (i === j) {
+        cell.SetBold(true);
+      } else {
+        cell.SetFillColor(getScaleColor(maxCount ? value / maxCount : 0));
+      }
+    });
+  });
+}
+
+/**
+ * Создает лист "Экспорт" с результатами анализа в формате JSON
+ *
+ * @param {ExportData} exportData - Результаты для экспорта
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ * @param {string} [scope] - Описание фильтров, по которым построены результаты
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета с описанием фильтров
+ * 3. Выводит таблицу "Раздел | Часть | JSON": сведения о построении (раздел metadata)
+ *    и каждый раздел результатов - одним компактным JSON. Текст длиннее 30000 символов
+ *    (ячейка вмещает не больше 32767) делится на части в соседних строках; чтобы получить
+ *    JSON раздела, части склеиваются по порядку.
+ *
+ * Число строк листа зависит от числа разделов и объема данных, а не от числа строк текста,
+ * поэтому лист остается небольшим и при тысячах групп. Полный текст CSV и JSON сохраняется
+ * в файлы (см. saveData).
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * createExportReport(exportData, 'Экспорт', 3, 1, 'Период: 01.10.2019 - 31.10.2019');
+ */
+function createExportReport(exportData, title, firstRowIndex = 0, firstColumnIndex = 0, scope) {
+  // Наибольшая длина текста в ячейке таблицы с запасом до ограничения редактора
+  const partLength = 30000;
+
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета
+  createReportTitle(sheet, title, scope, firstRowIndex, firstColumnIndex);
+
+  sheet
+    .GetRangeByNumber(firstRowIndex + 2, firstColumnIndex)
+    .SetValue('JSON раздела длиннее 30000 символов разделен на части: склейте их по порядку');
+
+  const rows = [];
+  [['metadata', exportData.metadata], ...Object.entries(exportData.sections)].forEach(([section, data]) => {
+    const text = JSON.stringify(data);
+    const partCount = Math.max(Math.ceil(text.length / partLength), 1);
+    for (let part = 0; part < partCount; part++) {
+      rows.push([section, part + 1, text.slice(part * partLength, (part + 1) * partLength)]);
+    }
+  });
+
+  const headerRange = getRangeBySize(sheet, firstRowIndex + 4, firstColumnIndex, 1, 3);
+  headerRange.SetAlignHorizontal('center');
+  headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+  headerRange.SetValue(['Раздел', 'Часть', 'JSON']);
+  getRangeBySize(sheet, firstRowIndex + 5, firstColumnIndex, rows.length, 3).SetValue(rows);
+
+  sheet.SetColumnWidth(firstColumnIndex, 30);
+  sheet.SetColumnWidth(firstColumnIndex + 1, 8);
+  sheet.SetColumnWidth(firstColumnIndex + 2, 100);
+}
+
+/**
+ * Сведения о запуске макроса для журнала запусков
+ *
+ * @typedef {{
+ *   startTime: Date, // Время запуска
+ *   duration: number, // Длительность выполнения в миллисекундах
+ *   result: string, // Итог: "Готово", "Отменено" или текст ошибки
+ *   sources: string[], // Источники данных
+ *   period: string, // Период анализа с часовым поясом
+ *   filters: string, // Описание фильтров без периода
+ *   rows: number, // Число строк данных во всех источниках
+ *   invalidRows: number, // Из них некорректных
+ *   duplicates: number, // Из них повторов строк предыдущих источников
+ *   sheets: string[], // Созданные листы отчетов
+ *   archivedSheets: Array<{ title: string, archivedTitle: string }> // Сохраненные предыдущие версии отчетов
+ * }} RunLogEntry
+ */
+
+/**
+ * Добавляет строку о запуске макроса на лист журнала запусков
+ *
+ * @param {RunLogEntry} run - Сведения о запуске
+ * @param {string} title - Название листа журнала
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения журнала (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения журнала (нумерация с 0)
+ *
+ * @description
+ * В отличие от отчетов, лист журнала не пересоздается: если его нет, он создается
+ * с заголовком таблицы, а затем каждый запуск добавляет строку под последней заполненной.
+ * Время запуска выводится по часам компьютера. Активный лист после записи не меняется.
+ *
+ * @returns {void}
+ *
+ * @example
+ * appendRunLog(run, 'Журнал запусков', 3, 1);
+ */
+function appendRunLog(run, title, firstRowIndex = 0, firstColumnIndex = 0) {
+  const activeSheet = Api.GetActiveSheet();
+  const headerRow = firstRowIndex + 3;
+  const columns = [
+    'Запуск',
+    'Длительность, с',
+    'Итог',
+    'Источники',
+    'Период',
+    'Фильтры',
+    'Строк',
+    'Некорректных',
+    'Повторов',
+    'Листы',
+    'Сохраненные версии',
+  ];
+
+  let sheet = Api.GetSheet(title);
+  if (!sheet) {
+    Api.AddSheet(title);
+    sheet = Api.GetActiveSheet();
+    createReportTitle(
+      sheet,
+      title,
+      'Каждый запуск макроса добавляет строку в конец таблицы',
+      firstRowIndex,
+      firstColumnIndex
+    );
+
+    const headerRange = getRangeBySize(sheet, headerRow, firstColumnIndex, 1, columns.length);
+    headerRange.SetAlignHorizontal('center');
+    headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+    headerRange.SetValue(columns);
+    sheet.SetColumnWidth(firstColumnIndex, 20);
+    [3, 4, 5, 9, 10].forEach((offset) => sheet.SetColumnWidth(firstColumnIndex + offset, 40));
+  }
+
+  // Первая пустая строка под таблицей
+  let row = headerRow + 1;
+  while (sheet.GetRangeByNumber(row, firstColumnIndex).GetValue()) {
+    row += 1;
+  }
+
+  // Время запуска по часам компьютера: переносим местное время в поля UTC, как ожидает formatDateTime
+  const localStartTime = new Date(run.startTime.getTime() - run.startTime.getTimezoneOffset() * 60 * 1000);
+  getRangeBySize(sheet, row, firstColumnIndex, 1, columns.length).SetValue([
+    formatDateTime(localStartTime),
+    Math.round(run.duration / 1000),
+    run.result,
+    run.sources.join(', '),
+    run.period,
+    run.filters,
+    run.rows,
+    run.invalidRows,
+    run.duplicates,
+    run.sheets.join(', '),
+    run.archivedSheets.map(({ archivedTitle }) => archivedTitle).join(', '),
+  ]);
+
+  activeSheet?.SetActive();
+}
+
+/**
+ * Создает отчет "Качество данных" с результатами проверки строк
+ *
+ * @param {DataQualityStats} stats - Результат проверки строк данных
+ * @param {SourceStats[]} sources - Сведения о загруженных источниках данных
+ * @param {'lenient' | 'strict'} mode - Режим обработки некорректных строк
+ * @param {string} title - Название листа для отчета
+ * @param {number} [firstRowIndex=0] - Индекс первой строки для размещения отчета (нумерация с 0)
+ * @param {number} [firstColumnIndex=0] - Индекс первого столбца для размещения отчета (нумерация с 0)
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает новый лист с указанным названием (удаляя старый, если он существует)
+ * 2. Формирует заголовок отчета, режим обработки и общее число проверенных
+ *    и некорректных строк
+ * 3. Выводит таблицу правил: число и доля строк с нарушением, номера
+ *    и значения первых строк с нарушением
+ * 4. Выводит таблицу источников данных: число строк, некорректных строк, повторов
+ *    строк предыдущих источников и строк, не проверенных на повтор (см. createDuplicateFilter),
+ *    время первого и последнего события
+ *
+ * Проверяются все строки всех файлов, поэтому фильтры к отчету не применяются.
+ *
+ * @throws {Error} Если листа с указанным названием нет в документе и его не удается создать
+ * @returns {void}
+ *
+ * @example
+ * createDataQualityReport(dataQuality.getResult(), sourceStats, 'lenient', 'Качество данных', 3, 1);
+ */
+function createDataQualityReport(stats, sources, mode, title, firstRowIndex = 0, firstColumnIndex = 0) {
+  // Создаем новый лист отчета вместо существующего
+  const sheet = recreateSheet(title);
+
+  // Создаем и форматируем заголовок отчета
+  createReportTitle(
+    sheet,
+    title,
+    'Проверены все строки всех файлов без учета фильтров',
+    firstRowIndex,
+    firstColumnIndex + 2
+  );
+
+  sheet.SetColumnWidth(firstColumnIndex, 40);
+  sheet.SetColumnWidth(firstColumnIndex + 3, 30);
+  sheet.SetColumnWidth(firstColumnIndex + 4, 50);
+
+  // Режим обработки и общие показатели
+  const modeTitle =
+    mode === 'strict' ? 'некорректные строки прерывают построение отчетов' : 'некорректные строки пропускаются';
+  sheet
+    .GetRangeByNumber(firstRowIndex + 2, firstColumnIndex)
+    .SetValue(`Режим: ${modeTitle}; проверено строк: ${stats.rows}; некорректных строк: ${stats.invalidRows}`);
+
+  // Создаем и оформляем заголовок таблицы правил
+  const headerRow = firstRowIndex + 4;
+  const headerRange = getRangeBySize(sheet, headerRow, firstColumnIndex, 1, 5);
+  headerRange.SetAlignHorizontal('center');
+  headerRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+  headerRange.SetValue(['Правило', 'Строк', 'Доля строк', 'Номера строк (первые 10)', 'Значения']);
+
+  stats.rules.forEach((rule, i) => {
+    const row = headerRow + 1 + i;
+    getRangeBySize(sheet, row, firstColumnIndex, 1, 2).SetValue([rule.title, rule.count]);
+    setPercentValue(sheet.GetRangeByNumber(row, firstColumnIndex + 2), stats.rows ? rule.count / stats.rows : 0);
+    sheet.GetRangeByNumber(row, firstColumnIndex + 3).SetValue(rule.lines.join(', '));
+    sheet.GetRangeByNumber(row, firstColumnIndex + 4).SetValue(rule.values.join('; '));
+
+    // Выделяем правила с нарушениями
+    if (rule.count > 0) {
+      getRangeBySize(sheet, row, firstColumnIndex, 1, 2).SetFontColor(Api.CreateColorFromRGB(192, 0, 0));
+    }
+  });
+
+  // Таблица источников данных под таблицей правил
+  const sourcesTitleRow = headerRow + stats.rules.length + 2;
+  const sourcesTitleRange = sheet.GetRangeByNumber(sourcesTitleRow, firstColumnIndex);
+  sourcesTitleRange.SetFontSize(12);
+  sourcesTitleRange.SetBold(true);
+  sourcesTitleRange.SetValue('Источники данных');
+
+  const sourcesHeaderRange = getRangeBySize(sheet, sourcesTitleRow + 1, firstColumnIndex, 1, 7);
+  sourcesHeaderRange.SetAlignHorizontal('center');
+  sourcesHeaderRange.SetFillColor(Api.CreateColorFromRGB(91, 149, 249)); // Синий цвет для заголовка
+  sourcesHeaderRange.SetValue([
+    'Источник',
+    'Строк',
+    'Некорректных',
+    'Повторов',
+    'Не проверено на повторы',
+    'Первое событие',
+    'Последнее событие',
+  ]);
+
+  sources.forEach((source, i) => {
+    getRangeBySize(sheet, sourcesTitleRow + 2 + i, firstColumnIndex, 1, 7).SetValue([
+      source.title,
+      source.rows,
+      source.invalidRows,
+      source.duplicates,
+      source.uncheckedRows,
+      source.start ? formatDateTime(source.start) : '',
+      source.end ? formatDateTime(source.end) : '',
+    ]);
+  });
+}
+
+/*******************************************************************
+ *
+ *                            Инструменты
+ *
+ ********************************************************************/
+
+/**
+ * Создает фильтр строк, повторяющих строки предыдущих источников данных
+ *
+ * @description
+ * Строка считается повтором, если значения всех столбцов ShopEventEntry совпадают
+ * со строкой одного из предыдущих источников. Повторы внутри одного источника
+ * не отбрасываются: одинаковые события в одном файле могут быть настоящими.
+ *
+ * Для экономии памяти хранятся не сами строки, а их 53-битные хеши (вероятность
+ * ложного совпадения пренебрежимо мала), и только для источников, с которыми еще
+ * будут сравниваться строки следующих. При одном источнике ничего не хранится.
+ *
+ * Хеши хранятся по дням событий. По умолчанию (windowDays = 0) хранятся хеши всех строк
+ * предыдущих источников, и повторы ищутся во всем пересечении периодов: так отбрасываются
+ * и повторы файла, указанного дважды, и выгрузок, пересекающихся на много дней. Память
+ * при этом растет с числом строк всех источников, кроме последнего.
+ *
+ * Если windowDays больше 0, у каждого источника хранятся хеши только первых и последних
+ * windowDays дней его периода (где обычно пересекаются выгрузки за соседние периоды): дни,
+ * которые отошли от начала и конца периода дальше чем на windowDays, удаляются по мере загрузки.
+ * Строка, попавшая в середину периода предыдущего источника, тогда на повтор не проверяется
+ * и считается в uncheckedRows, чтобы о таком пересечении можно было предупредить или прервать
+ * построение отчетов. После загрузки последнего источника (endSource) все хеши освобождаются.
+ *
+ * @param {number} sourceCount - Число источников данных
+ * @param {number} [windowDays=0] - Число дней у начала и конца периода источника, в которых ищутся повторы,
+ *        0 - весь период
+ * @returns {{
+ *   isDuplicate: (entry: ShopEventEntry, sourceIndex: number, eventTime: Date) => boolean,
+ *   endSource: (sourceIndex: number) => void,
+ *   getUncheckedRows: (sourceIndex: number) => number
+ * }} isDuplicate() запоминает строку источника и проверяет ее по предыдущим источникам,
+ *    endSource() сообщает об окончании загрузки источника, getUncheckedRows() возвращает
+ *    число строк источника, не проверенных на повтор
+ *
+ * @example
+ * const duplicateFilter = createDuplicateFilter(2);
+ * duplicateFilter.isDuplicate(entry, 0, eventTime); // false
+ * duplicateFilter.endSource(0);
+ * duplicateFilter.isDuplicate({ ...entry }, 1, eventTime); // true
+ */
+function createDuplicateFilter(sourceCount, windowDays = 0) {
+  const props = getShopEventEntryProps();
+  const dayLength = 24 * 60 * 60 * 1000;
+  // Хеши строк каждого источника, кроме последнего (с его строками ничего не сравнивается),
+  // по дням событий и границы периода источника в днях
+  const sources = Array.from({ length: Math.max(sourceCount - 1, 0) }, () => ({
+    days: new Map(),
+    firstDay: Infinity,
+    lastDay: -Infinity,
+  }));
+  const uncheckedRows = new Array(sourceCount).fill(0);
+
+  // Попадает ли день в часть периода источника, где ищутся повторы: без окна - весь период
+  const isBoundaryDay = (source, day) =>
+    windowDays === 0 || day <= source.firstDay + windowDays || day >= source.lastDay - windowDays;
+
+  return {
+    isDuplicate(entry, sourceIndex, eventTime) {
+      if (sources.length === 0) {
+        return false;
+      }
+
+      const day = Math.floor(eventTime.getTime() / dayLength);
+      let hash = null;
+      const getHash = () => hash ?? (hash = hashString(props.map((prop) => entry[prop]).join('\u0001')));
+
+      let isUnchecked = false;
+      for (let i = 0; i < sourceIndex; i++) {
+        const previous = sources[i];
+        if (day < previous.firstDay || day > previous.lastDay) {
+          continue;
+        }
+        if (!isBoundaryDay(previous, day)) {
+          isUnchecked = true;
+          continue;
+        }
+        if (previous.days.get(day)?.has(getHash())) {
+          return true;
+        }
+      }
+      if (isUnchecked) {
+        uncheckedRows[sourceIndex] += 1;
+      }
+
+      const current = sources[sourceIndex];
+      if (!current) {
+        return false;
+      }
+      if (day < current.firstDay || day > current.lastDay) {
+        current.firstDay = Math.min(current.firstDay, day);
+        current.lastDay = Math.max(current.lastDay, day);
+        // Границы периода сдвинулись: удаляем дни, которые оказались в середине периода
+        current.days.forEach((_, storedDay) => {
+          if (!isBoundaryDay(current, storedDay)) {
+            current.days.delete(storedDay);
+          }
+        });
+      }
+      if (isBoundaryDay(current, day)) {
+        if (!current.days.has(day)) {
+          current.days.set(day, new Set());
+        }
+        current.days.get(day).add(getHash());
+      }
+      return false;
+    },
+
+    endSource(sourceIndex) {
+      // Со строками последнего источника сравнение закончено: хеши больше не нужны
+      if (sourceIndex === sourceCount - 1) {
+        sources.forEach((source) => source.days.clear());
+      }
+    },
+
+    getUncheckedRows(sourceIndex) {
+      return uncheckedRows[sourceIndex] ?? 0;
+    },
+  };
+}
+
+/**
+ * Загружает данные по указанному URL по частям, по мере их поступления
+ *
+ * @description
+ * Функция выполняет асинхронный HTTP-запрос для загрузки данных и передает
+ * каждую поступившую часть текста в функцию onChunk, не дожидаясь окончания загрузки.
+ * Благодаря этому разбор и анализ файла идут параллельно со скачиванием,
+ * а редактор не блокируется на время обработки всего файла целиком.
+ *
+ * Функция поддерживает загрузку как с локальных путей (file://),
+ * так и с удаленных URL (http://, https://). Если среда выполнения поддерживает потоковое
+ * чтение (fetch и ReadableStream), ответ читается потоком и не накапливается в памяти целиком -
+ * и для удаленных URL, и для локальных файлов. Многие среды не разрешают fetch для схемы file://:
+ * если запрос к локальному файлу отклонен до получения ответа, файл загружается
+ * через XMLHttpRequest (см. loadDataWithXhr).
+ *
+ * Таймаут задается для файла размером до 10 МБ; когда размер файла становится известен
+ * (из события progress или заголовка Content-Length), таймаут увеличивается пропорционально
+ * размеру, чтобы большие файлы не прерывались на середине загрузки (см. getLoadTimeout).
+ *
+ * Исключение, выброшенное из onChunk или onProgress, прерывает загрузку и отклоняет Promise.
+ * Так, например, прерывается загрузка при отмене выполнения пользователем.
+ *
+ * @param {string} url - URL-адрес или путь к файлу для загрузки данных
+ * @param {(chunk: string) => void} onChunk - Обработчик очередной части загруженного текста
+ * @param {{ timeout?: number, onProgress?: (loaded: number, total: number) => void }} [options] - Таймаут загрузки
+ *        файла до 10 МБ в миллисекундах (по умолчанию 60 секунд) и обработчик хода загрузки: число загруженных
+ *        байтов и размер файла (0, если неизвестен)
+ * @returns {Promise<void>} Promise, который разрешается после передачи последней части данных
+ *
+ * @throws {Error} Если URL не указан ('Не указан путь к файлу!')
+ * @throws {Error} Если произошел таймаут запроса ('The request for [url] timed out')
+ * @throws {Error} Если произошла сетевая ошибка ('Network error occurred while fetching [url]')
+ * @throws {Error} Если сервер вернул ошибку ('Ошибка HTTP: [status] [statusText]')
+ *
+ * @example
+ * // Загрузка данных с потоковым разбором CSV
+ * const parser = createCsvParser((entry) => analyzer.add(entry));
+ * await loadData('https://example.com/data.csv', (chunk) => parser.write(chunk));
+ * parser.end();
+ *
+ * @example
+ * // Загрузка файла целиком в строку
+ * let text = '';
+ * await loadData('file:///C:/data/data.csv', (chunk) => {
+ *   text += chunk;
+ * });
+ */
+function loadData(url, onChunk, options = {}) {
+  const { timeout = 60 * 1000, onProgress } = options;
+
+  // Проверка наличия URL. Если URL не передан или пустой, выбрасываем исключение
+  if (!url) {
+    throw new Error('Не указан путь к файлу!');
+  }
+
+  if (typeof fetch === 'function' && typeof ReadableStream === 'function') {
+    if (/^https?:/i.test(url)) {
+      return fetchDataStream(url, onChunk, timeout, onProgress);
+    }
+    // Если fetch для file:// запрещен, запрос отклоняется сразу - тогда читаем файл через XMLHttpRequest
+    if (/^file:/i.test(url)) {
+      return fetchDataStream(url, onChunk, timeout, onProgress, () =>
+        loadDataWithXhr(url, onChunk, timeout, onProgress)
+      );
+    }
+  }
+
+  return loadDataWithXhr(url, onChunk, timeout, onProgress);
+}
+
+/**
+ * Загружает данные через XMLHttpRequest, передавая новые части текста из обработчика события progress
+ *
+ * @description
+ * XMLHttpRequest накапливает весь ответ в responseText, поэтому в памяти на время загрузки
+ * находится весь текст файла, хотя разбирается он по частям. Используется, только если
+ * среда выполнения не поддерживает потоковое чтение через fetch (см. loadData).
+ *
+ * @private
+ * @param {string} url - URL-адрес или путь к файлу для загрузки данных
+ * @param {(chunk: string) => void} onChunk - Обработчик очередной части загруженного текста
+ * @param {number} timeout - Таймаут загрузки файла до 10 МБ в миллисекундах
+ * @param {(loaded: number, total: number) => void} [onProgress] - Обработчик хода загрузки
+ * @returns {Promise<void>} Promise, который разрешается после передачи последней части данных
+ */
+function loadDataWithXhr(url, onChunk, timeout, onProgress) {
+  // Возвращаем Promise для асинхронной загрузки данных
+  return new Promise((resolve, reject) => {
+    // Создаем объект XMLHttpRequest для выполнения HTTP-запроса
+    const xhr = new XMLHttpRequest();
+
+    // Длина уже переданной в onChunk части ответа
+    let processedLength = 0;
+    // Признак того, что запрос прерван из-за ошибки обработки данных
+    let failed = false;
+
+    /**
+     * Передает в onChunk еще не обработанную часть ответа, а в onProgress - ход загрузки
+     * @private
+     * @param {ProgressEvent} [event] - Событие загрузки с числом загруженных байтов и размером файла
+     * @returns {boolean} false, если обработчик выбросил исключение и запрос прерван
+     */
+    const flush = function (event) {
+      const text = xhr.responseText;
+      if (failed || text.length <= processedLength) {
+        return !failed;
+      }
+
+      try {
+        const chunk = text.slice(processedLength);
+        processedLength = text.length;
+        onChunk(chunk);
+        if (event) {
+          onProgress?.(event.loaded, event.lengthComputable ? event.total : 0);
+        }
+        return true;
+      } catch (error) {
+        failed = true;
+        xhr.abort();
+        reject(error);
+        return false;
+      }
+    };
+
+    /**
+     * Обработчик таймаута запроса - вызывается, если запрос не завершился за отведенное время
+     * @private
+     */
+    xhr.ontimeout = function () {
+      reject(new Error('The request for ' + url + ' timed out.'));
+    };
+
+    /**
+     * Обработчик ошибки запроса - вызывается при сетевых ошибках
+     * @private
+     */
+    xhr.onerror = function () {
+      reject(new Error('Network error occurred while fetching ' + url));
+    };
+
+    /**
+     * Обработчик поступления очередной части данных - передает ее на обработку,
+     * не дожидаясь окончания загрузки
+     * @private
+     */
+    xhr.onprogress = function (event) {
+      // Для ответов с ошибкой HTTP тело не разбираем
+      if (xhr.status === 200) {
+        // Когда известен размер файла, увеличиваем таймаут пропорционально ему
+        if (event.lengthComputable) {
+          xhr.timeout = getLoadTimeout(timeout, event.total);
+        }
+        flush(event);
+      }
+    };
+
+    /**
+     * Обработчик успешного завершения запроса - проверяет код HTTP-статуса
+     * и разрешает или отклоняет Promise соответственно
+     * @private
+     */
+    xhr.onload = function (event) {
+      // Проверяем, что запрос завершен (readyState === 4 означает DONE)
+      if (xhr.readyState === 4) {
+        if (xhr.status === 200) {
+          // Код 200 означает успешный запрос
+          // Передаем остаток ответа, который мог не попасть в события progress
+          if (flush(event)) {
+            resolve();
+          }
+        } else {
+          // Любой другой код - ошибка HTTP
+          reject(new Error('Ошибка HTTP: ' + xhr.status + ' ' + xhr.statusText));
+        }
+      }
+    };
+
+    // Настройка и отправка запроса
+    xhr.open('GET', url, true); // true означает асинхронный запрос
+    xhr.timeout = timeout; // Таймаут в миллисекундах, уточняется, когда станет известен размер файла
+    xhr.send(null); // null т.к. это GET-запрос без данных
+  });
+}
+
+/**
+ * Загружает данные через fetch, читая ответ потоком
+ *
+ * @description
+ * Байты ответа декодируются из UTF-8 по мере чтения (многобайтовые символы
+ * на границе частей декодируются корректно) и передаются в onChunk.
+ * Запрос прерывается, если не завершился за время таймаута, увеличенного
+ * пропорционально размеру файла из заголовка Content-Length (см. getLoadTimeout).
+ *
+ * @private
+ * @param {string} url - URL-адрес для загрузки данных
+ * @param {(chunk: string) => void} onChunk - Обработчик очередной части загруженного текста
+ * @param {number} timeout - Таймаут загрузки файла до 10 МБ в миллисекундах
+ * @param {(loaded: number, total: number) => void} [onProgress] - Обработчик хода загрузки
+ * @param {() => Promise<void>} [fallback] - Другой способ загрузки, если запрос отклонен до получения ответа
+ *        (не по таймауту): например, среда не разрешает fetch для этой схемы URL
+ * @returns {Promise<void>} Promise, который разрешается после передачи последней части данных
+ */
+async function fetchDataStream(url, onChunk, timeout, onProgress, fallback) {
+  // Прерываем запрос по таймауту, как и при загрузке через XMLHttpRequest
+  const controller = new AbortController();
+  const startTime = Date.now();
+  let timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, { signal: controller.signal });
+    } catch (error) {
+      if (fallback && !controller.signal.aborted) {
+        return fallback();
+      }
+      throw new Error(
+        controller.signal.aborted
+          ? 'The request for ' + url + ' timed out.'
+          : 'Network error occurred while fetching ' + url
+      );
+    }
+
+    if (!response.ok) {
+      throw new Error('Ошибка HTTP: ' + response.status + ' ' + response.statusText);
+    }
+
+    // Когда известен размер файла, увеличиваем таймаут пропорционально ему
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    if (total > 0) {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), getLoadTimeout(timeout, total) - (Date.now() - startTime));
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let loaded = 0;
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        loaded += value.length;
+        onChunk(decoder.decode(value, { stream: true }));
+        onProgress?.(loaded, total);
+      }
+    } catch (error) {
+      // Ошибку обработки данных передаем как есть, обрыв чтения - как таймаут
+      reader.cancel().catch(() => {});
+      throw controller.signal.aborted ? new Error('The request for ' + url + ' timed out.') : error;
+    }
+
+    // Передаем символы, оставшиеся в буфере декодера
+    const tail = decoder.decode();
+    if (tail) {
+      onChunk(tail);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Сохраняет текст по указанному URL
+ *
+ * @description
+ * Текст отправляется PUT-запросом, поэтому сохранение работает только там, где среда выполнения
+ * и сервер это разрешают: например, в папку WebDAV или на сервер, принимающий файлы.
+ * Запись локальных файлов (file://) из макроса обычно запрещена - в этом случае Promise
+ * отклоняется с ошибкой.
+ *
+ * @param {string} url - URL-адрес файла
+ * @param {string} text - Содержимое файла
+ * @returns {Promise<void>} Promise, который разрешается после успешного сохранения
+ *
+ * @throws {Error} Если URL не указан ('Не указан путь к файлу!')
+ * @throws {Error} Если произошел таймаут запроса ('The request for [url] timed out')
+ * @throws {Error} Если произошла сетевая ошибка или запись запрещена ('Network error occurred while saving [url]')
+ * @throws {Error} Если сервер вернул ошибку ('Ошибка HTTP: [status] [statusText]'), в том числе
+ *         статус 0 для URL, отличного от file://
+ *
+ * @example
+ * await saveData('https://example.com/dav/export.csv', formatExportCsv(exportData));
+ */
+function saveData(url, text) {
+  if (!url) {
+    throw new Error('Не указан путь к файлу!');
+  }
+
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+
+    xhr.ontimeout = function () {
+      reject(new Error('The request for ' + url + ' timed out.'));
+    };
+
+    xhr.onerror = function () {
+      reject(new Error('Network error occurred while saving ' + url));
+    };
+
+    xhr.onload = function () {
+      // Для локальных файлов некоторые среды возвращают статус 0 при успешной записи,
+      // для HTTP статус 0 означает, что запрос не выполнен (например, отклонен CORS)
+      if ((xhr.status === 0 && /^file:/i.test(url)) || (xhr.status >= 200 && xhr.status < 300)) {
+        resolve();
+      } else {
+        reject(new Error('Ошибка HTTP: ' + xhr.status + ' ' + xhr.statusText));
+      }
+    };
+
+    xhr.open('PUT', url, true);
+    xhr.timeout = 60 * 1000; // Таймаут 60 секунд (в миллисекундах)
+    xhr.setRequestHeader('Content-Type', 'text/plain; charset=utf-8');
+    xhr.send(text);
+  });
+}
+
+/**
+ * Читает строки данных из диапазона текущего документа
+ *
+ * @description
+ * Источник задается так же, как в формулах:
+ * - название листа ("Данные") - используется заполненная часть листа
+ * - лист и адрес диапазона ("Данные!A1:H5000")
+ * - имя именованного диапазона
+ *
+ * Первая строка диапазона - заголовки столбцов (как в CSV), остальные строки - данные.
+ * Значения передаются строками, как при разборе CSV: числа (цена, идентификаторы)
+ * преобразуются в текст, а время событий, распознанное редактором как дата (серийный номер
+ * даты), - в текст "ГГГГ-ММ-ДД ЧЧ:ММ:СС" без часового пояса, который parseEventTime считает
+ * временем в часовом поясе отчетов (см. formatSerialDateTime). Пустые строки пропускаются.
+ *
+ * Номер строки, передаваемый в onRow, - номер строки листа, чтобы некорректную строку
+ * было легко найти.
+ *
+ * @param {string} reference - Название листа, адрес диапазона с листом или имя диапазона
+ * @param {(row: Object, lineNumber: number) => void} onRow - Обработчик очередной строки данных
+ * @returns {number} Количество строк данных
+ * @throws {Error} Если лист или диапазон не найден
+ * @throws {Error} Если в диапазоне нет заголовка и хотя бы одной строки данных
+ *
+ * @example
+ * readSheetRows('Данные!A1:H5000', (row, lineNumber) => analyzer.add(row));
+ */
+function readSheetRows(reference, onRow) {
+  // Лист с адресом диапазона "Лист!A1:H100", название листа в адресе может быть в кавычках
+  const separatorIndex = reference.lastIndexOf('!');
+  let range = null;
+  if (separatorIndex > 0) {
+    const sheetName = reference.slice(0, separatorIndex).replace(/^'(.*)'$/, '$1');
+    range = Api.GetSheet(sheetName)?.GetRange(reference.slice(separatorIndex + 1)) ?? null;
+  } else {
+    range = Api.GetSheet(reference)?.GetUsedRange() ?? Api.GetDefName(reference)?.GetRefersToRange() ?? null;
+  }
+  if (!range) {
+    throw new Error(`Не найден лист или диапазон "${reference}"!`);
+  }
+
+  // Для диапазона из одной ячейки GetValue возвращает значение, а не таблицу
+  const values = range.GetValue();
+  const table = Array.isArray(values) ? values : [[values]];
+  const firstRowNumber = range.GetRow();
+  const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+  let headers = null;
+  let rowCount = 0;
+  table.forEach((cells, i) => {
+    const rowValues = cells.map(toText);
+    // Пустые строки не передаем
+    if (rowValues.every((value) => !value.trim())) {
+      return;
+    }
+
+    if (!headers) {
+      headers = rowValues.map((header) => header.trim());
+      return;
+    }
+
+    const row = headers.reduce((obj, header, index) => {
+      obj[header] = rowValues[index];
+      return obj;
+    }, {});
+    // Дата в ячейке - серийный номер: переводим его в текст, как время в CSV
+    if (/^\d+(?:\.\d+)?$/.test(row.event_time?.trim() ?? '')) {
+      row.event_time = formatSerialDateTime(Number(row.event_time));
+    }
+
+    rowCount += 1;
+    onRow(row, firstRowNumber + i);
+  });
+
+  if (rowCount === 0) {
+    throw new Error(`Диапазон "${reference}" должен содержать как минимум заголовок и одну строку данных`);
+  }
+  return rowCount;
+}
+
+/**
+ * Вычисляет таймаут загрузки файла с учетом его размера
+ *
+ * @description
+ * Таймаут из настроек рассчитан на файл размером до 10 МБ. Для файлов большего размера
+ * он увеличивается пропорционально: файл 100 МБ при таймауте 60 секунд загружается до 10 минут.
+ *
+ * @private
+ * @param {number} timeout - Таймаут загрузки файла до 10 МБ в миллисекундах
+ * @param {number} size - Размер файла в байтах
+ * @returns {number} Таймаут в миллисекундах
+ */
+function getLoadTimeout(timeout, size) {
+  return Math.round(timeout * Math.max(1, size / (10 * 1024 * 1024)));
+}
+
+/**
+ * Создает индикатор выполнения макроса в ячейке статуса
+ *
+ * @description
+ * Индикатор выводит в ячейку текущий этап выполнения и проверяет, не отменил ли
+ * выполнение пользователь. Пока макрос ожидает загрузки данных, редактор доступен,
+ * и пользователь может очистить ячейку статуса или ввести в нее "отмена" ("стоп", "cancel").
+ * Отмена обнаруживается при очередном обновлении статуса: выбрасывается ошибка
+ * со свойством cancelled = true.
+ *
+ * Чтение и запись ячейки - медленные операции, поэтому обычные обновления статуса
+ * (например, на каждую часть загружаемого файла) выполняются не чаще раза в 500 мс,
+ * а смена этапа (force) выводится сразу.
+ *
+ * @param {Object} statusRange - Ячейка статуса
+ * @returns {{
+ *   report: (message: string, force?: boolean) => void,
+ *   checkCancelled: () => void,
+ *   finish: (message: string) => void
+ * }} report() проверяет отмену и выводит этап, checkCancelled() только проверяет отмену,
+ *    finish() выводит итог выполнения без проверки отмены
+ * @throws {Error} report() и checkCancelled() - если пользователь отменил выполнение ('Выполнение отменено пользователем')
+ *
+ * @example
+ * const progress = createProgressReporter(Api.GetSheet('Анализ данных').GetRange('C9'));
+ * progress.report('Загрузка data.csv: 45%'); // Не чаще раза в 500 мс
+ * progress.report('Подсчет статистики', true); // Сразу
+ * progress.finish('Готово за 12 с');
+ */
+function createProgressReporter(statusRange) {
+  const interval = 500;
+  const cancelWords = ['', 'отмена', 'отменить', 'стоп', 'cancel', 'stop'];
+  // Последний выведенный текст, чтобы отличить его от введенного пользователем
+  let lastMessage = null;
+  let lastUpdateTime = 0;
+
+  const checkCancelled = function () {
+    if (lastMessage === null) {
+      return;
+    }
+
+    const value = statusRange.GetValue();
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (text !== lastMessage && cancelWords.includes(text.toLowerCase())) {
+      const error = new Error('Выполнение отменено пользователем');
+      error.cancelled = true;
+      throw error;
+    }
+  };
+
+  const write = function (message) {
+    statusRange.SetValue(message);
+    lastMessage = message;
+    lastUpdateTime = Date.now();
+  };
+
+  return {
+    report(message, force = false) {
+      if (!force && Date.now() - lastUpdateTime < interval) {
+        return;
+      }
+      checkCancelled();
+      write(message);
+    },
+
+    checkCancelled,
+
+    finish(message) {
+      write(message);
+    },
+  };
+}
+
+/**
+ * Формирует строку CSV из значений полей
+ *
+ * @description
+ * Значения, содержащие разделитель, кавычки или переводы строк, заключаются в двойные кавычки,
+ * кавычки внутри них удваиваются (RFC 4180, как и при разборе в readCsvRecords).
+ *
+ * @param {Array<string | number>} values - Значения полей
+ * @param {string} delimiter - Разделитель полей
+ * @returns {string} Строка CSV без перевода строки в конце
+ *
+ * @example
+ * formatCsvLine(['apple', 'Телефон; планшет', 900.5], ';'); // 'apple;"Телефон; планшет";900.5'
+ */
+function formatCsvLine(values, delimiter) {
+  return values
+    .map((value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(delimiter);
+}
+
+/**
+ * Преобразует строку CSV в массив объектов JavaScript
+ *
+ * @description
+ * Функция парсит входную строку CSV по правилам RFC 4180 и преобразует её в массив объектов JavaScript.
+ * Первая строка CSV рассматривается как заголовки столбцов, которые станут свойствами объектов.
+ * Остальные строки преобразуются в объекты, где ключами являются заголовки столбцов.
+ *
+ * Поддерживаются:
+ * - поля в двойных кавычках, внутри которых могут быть разделители и переводы строк;
+ * - экранирование кавычки внутри поля удвоением ("");
+ * - различные форматы окончания строк (\r\n, \n, \r);
+ * - метка порядка байтов (BOM) UTF-8 в начале файла.
+ *
+ * Если разделитель не указан, он определяется автоматически по строке заголовков
+ * (см. {@link detectCsvDelimiter}). Из заголовков столбцов удаляются пробельные символы.
+ *
+ * Если количество значений в строке меньше количества заголовков,
+ * недостающие значения будут установлены как undefined.
+ * Если количество значений больше заголовков, лишние значения будут игнорироваться.
+ *
+ * Для больших файлов используйте потоковый парсер {@link createCsvParser},
+ * который не хранит все строки в памяти.
+ *
+ * @param {string} csvString - Строка в формате CSV для парсинга
+ * @param {string} [delimiter] - Символ-разделитель полей в CSV (по умолчанию определяется автоматически)
+ * @returns {Array<Object>} - Массив объектов, представляющих строки CSV
+ * @throws {Error} - Если входная строка пуста или не содержит строк данных
+ *
+ * @example
+ * const csvData = 'name;age\nJohn;30\nJane;25';
+ * const result = parseCsv(csvData, ';');
+ * // Результат: [{ name: 'John', age: '30' }, { name: 'Jane', age: '25' }]
+ *
+ * @example
+ * // Поля в кавычках и автоматическое определение разделителя
+ * const csvData = 'brand,price\n"hp, inc",100\n"say ""hi""",5';
+ * const result = parseCsv(csvData);
+ * // Результат: [{ brand: 'hp, inc', price: '100' }, { brand: 'say "hi"', price: '5' }]
+ */
+function parseCsv(csvString, delimiter) {
+  // Проверяем, что входная строка не пуста
+  if (!csvString || typeof csvString !== 'string') {
+    throw new Error('CSV строка не предоставлена или имеет неверный формат');
+  }
+
+  // Разбираем строку целиком тем же парсером, что используется при потоковой загрузке
+  const data = [];
+  const parser = createCsvParser((row) => data.push(row), delimiter);
+  parser.write(csvString);
+  parser.end();
+
+  return data;
+}
+
+/**
+ * Потоковый парсер CSV
+ *
+ * @typedef {{
+ *   write: (chunk: string) => void, // Разбирает очередную часть текста CSV
+ *   end: () => void, // Разбирает остаток текста после получения последней части
+ *   getRowCount: () => number // Число разобранных строк данных
+ * }} CsvParser
+ */
+
+/**
+ * Создает потоковый парсер CSV, который разбирает текст по частям
+ *
+ * @description
+ * Текст CSV передается в метод write() произвольными частями (например, по мере загрузки файла).
+ * Каждая полностью полученная строка данных сразу преобразуется в объект и передается в onRow
+ * вместе с номером строки файла, на которой она начинается (заголовок - строка 1; пустые строки
+ * и переводы строк внутри значений в кавычках учитываются), а незавершенная запись (в том числе поле в кавычках, разорванное между частями)
+ * дожидается следующей части. Метод end() разбирает последнюю запись.
+ *
+ * Правила разбора такие же, как у {@link parseCsv}: RFC 4180, BOM, автоматическое
+ * определение разделителя по строке заголовков, если он не указан.
+ *
+ * @param {(row: Object, lineNumber: number) => void} onRow - Обработчик очередной строки данных
+ * @param {string} [delimiter] - Символ-разделитель полей в CSV (по умолчанию определяется автоматически)
+ * @returns {CsvParser} Потоковый парсер
+ * @throws {Error} Из метода end(), если текст не содержит заголовка и хотя бы одной строки данных
+ *
+ * @example
+ * const parser = createCsvParser((row) => console.log(row.brand), ';');
+ * parser.write('brand;pri');
+ * parser.write('ce\napple;100\n');
+ * parser.end(); // apple
+ */
+function createCsvParser(onRow, delimiter) {
+  // Необработанный остаток текста (незавершенная запись)
+  let buffer = '';
+  // Заголовки столбцов, известны после разбора первой записи
+  let headers = null;
+  // Признак начала текста, в котором может быть BOM
+  let isFirstChunk = true;
+  // Количество разобранных строк данных
+  let rowCount = 0;
+  // Номер строки файла, с которой начинается очередная запись
+  let lineNumber = 1;
+
+  /**
+   * Обрабатывает очередную запись CSV: первая запись - заголовки, остальные - строки данных
+   * @private
+   * @param {string[]} values - Значения полей записи
+   * @param {number} lineCount - Число строк файла, занятых записью
+   */
+  const onRecord = function (values, lineCount) {
+    const recordLineNumber = lineNumber;
+    lineNumber += lineCount;
+
+    // Пустые строки не передаем
+    if (values.length === 1 && !values[0].trim()) {
+      return;
+    }
+
+    if (!headers) {
+      // Получаем заголовки из первой записи и очищаем их от пробелов
+      headers = values.map((header) => header.trim());
+      return;
+    }
+
+    // Создаем объект, где ключи - это заголовки, а значения - соответствующие значения из текущей записи
+    const row = headers.reduce((obj, header, index) => {
+      // Если значение не существует (index >= values.length), будет использовано undefined
+      obj[header] = values[index];
+      return obj;
+    }, {});
+
+    rowCount += 1;
+    onRow(row, recordLineNumber);
+  };
+
+  /**
+   * Разбирает накопленный текст, оставляя в буфере незавершенную запись
+   * @private
+   * @param {boolean} isFinal - Признак того, что больше текста не будет
+   */
+  const parse = function (isFinal) {
+    if (isFirstChunk) {
+      // Удаляем BOM, который некоторые программы добавляют в начало UTF-8 файлов,
+      // иначе он окажется частью имени первого столбца
+      if (buffer.length === 0 && !isFinal) {
+        return;
+      }
+      buffer = buffer.replace(/^\uFEFF/, '');
+      isFirstChunk = false;
+    }
+
+    if (!delimiter) {
+      // Определяем разделитель, когда получена вся строка заголовков
+      if (!isFinal && !/[\r\n]/.test(buffer)) {
+        return;
+      }
+      delimiter = detectCsvDelimiter(buffer);
+    }
+
+    const consumed = readCsvRecords(buffer, delimiter, onRecord, isFinal);
+    buffer = buffer.slice(consumed);
+  };
+
+  return {
+    write(chunk) {
+      buffer += chunk;
+      parse(false);
+    },
+
+    end() {
+      parse(true);
+
+      // Проверяем, что есть хотя бы заголовок и одна строка данных
+      if (rowCount === 0) {
+        throw new Error('CSV строка должна содержать как минимум заголовок и одну строку данных');
+      }
+    },
+
+    getRowCount: () => rowCount,
+  };
+}
+
+/**
+ * Определяет разделитель полей CSV по строке заголовков
+ *
+ * @description
+ * Подсчитывает в первой строке CSV (вне кавычек) количество вхождений каждого
+ * из поддерживаемых разделителей: точки с запятой, запятой, табуляции и вертикальной черты.
+ * Возвращает самый частый из них. Если ни один разделитель не найден (например, в файле
+ * единственный столбец), возвращается точка с запятой.
+ *
+ * @param {string} csvString - Строка в формате CSV (достаточно первой строки)
+ * @returns {string} Символ-разделитель
+ *
+ * @example
+ * detectCsvDelimiter('event_time,event_type,price\n...'); // ','
+ * detectCsvDelimiter('"a;b"|c|d'); // '|'
+ */
+function detectCsvDelimiter(csvString) {
+  // Поддерживаемые разделители в порядке приоритета при равном количестве вхождений
+  const candidates = [';', ',', '\t', '|'];
+  const counts = candidates.map(() => 0);
+
+  let inQuotes = false;
+  for (let i = 0; i < csvString.length; i++) {
+    const char = csvString[i];
+
+    if (char === '"') {
+      // Удвоенная кавычка внутри поля дважды переключит флаг и не изменит его
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      // Строка заголовков закончилась
+      break;
+    } else if (!inQuotes) {
+      const index = candidates.indexOf(char);
+      if (index !== -1) {
+        counts[index] += 1;
+      }
+    }
+  }
+
+  // Выбираем разделитель с наибольшим числом вхождений
+  const bestIndex = counts.reduce((best, count, index) => (count > counts[best] ? index : best), 0);
+  return counts[bestIndex] > 0 ? candidates[bestIndex] : ';';
+}
+
+/**
+ * Считает переводы строк в части текста (\r\n считается одним переводом)
+ *
+ * @private
+ * @param {string} text - Текст
+ * @param {number} start - Начало части текста
+ * @param {number} end - Конец части текста (не включается)
+ * @returns {number} Число переводов строк
+ */
+function countLineBreaks(text, start, end) {
+  let count = 0;
+  for (let i = start; i < end; i++) {
+    if (text[i] === '\n' || (text[i] === '\r' && text[i + 1] !== '\n')) {
+      count += 1;
+    }
+  }
+  return count;
+}
+
+/**
+ * Разбивает текст CSV на записи и поля по правилам RFC 4180
+ *
+ * @description
+ * Поле, начинающееся с двойной кавычки, читается до закрывающей кавычки: разделители
+ * и переводы строк внутри него считаются частью значения, а пара кавычек ("") - одной кавычкой.
+ * Символы между закрывающей кавычкой и следующим разделителем добавляются к значению как есть,
+ * незакрытая кавычка в конце текста поглощает его остаток - так некорректные данные не теряются.
+ * Пустые строки передаются в onRecord как запись из одного пустого поля, чтобы обработчик
+ * мог вести нумерацию строк файла.
+ *
+ * Если текст не последний (isFinal = false), запись, не завершенная переводом строки
+ * или завершенная символом \r в самом конце текста (за ним может следовать \n из следующей части),
+ * не разбирается: функция возвращает позицию ее начала, чтобы дочитать запись
+ * вместе со следующей частью текста.
+ *
+ * @private
+ * @param {string} csvString - Текст в формате CSV
+ * @param {string} delimiter - Символ-разделитель полей
+ * @param {(fields: string[], lineCount: number) => void} onRecord - Обработчик очередной записи и числа
+ *                                                               строк файла, занятых ею
+ * @param {boolean} [isFinal=true] - Признак того, что после этого текста данных больше не будет
+ * @returns {number} Количество разобранных символов текста
+ */
+function readCsvRecords(csvString, delimiter, onRecord, isFinal = true) {
+  const length = csvString.length;
+
+  // Регулярное выражение для поиска конца поля без кавычек: разделитель или перевод строки
+  const fieldEndRegExp = new RegExp(`[${delimiter.replace(/[\\\]^-]/g, '\\$&')}\\r\\n]`, 'g');
+
+  let position = 0;
+
+  while (position < length) {
+    // Начало записи: к нему вернемся, если запись продолжается в следующей части текста
+    const recordStart = position;
+    const fields = [];
+    // Запись занимает одну строку файла и еще по одной на каждый перевод строки внутри кавычек
+    let lineCount = 1;
+
+    for (;;) {
+      let value = '';
+
+      if (csvString[position] === '"') {
+        // Поле в кавычках: ищем закрывающую кавычку, пропуская удвоенные
+        let start = position + 1;
+        for (;;) {
+          const quoteIndex = csvString.indexOf('"', start);
+
+          // Кавычка в самом конце части текста может оказаться первой из удвоенных
+          if (!isFinal && (quoteIndex === -1 || quoteIndex === length - 1)) {
+            return recordStart;
+          }
+
+          if (quoteIndex === -1) {
+            // Кавычка не закрыта - забираем всё до конца текста
+            value += csvString.slice(start);
+            lineCount += countLineBreaks(csvString, start, length);
+            position = length;
+            break;
+          }
+
+          value += csvString.slice(start, quoteIndex);
+          lineCount += countLineBreaks(csvString, start, quoteIndex);
+          if (csvString[quoteIndex + 1] === '"') {
+            value += '"';
+            start = quoteIndex + 2;
+          } else {
+            position = quoteIndex + 1;
+            break;
+          }
+        }
+      }
+
+      // Читаем поле (или остаток поля после закрывающей кавычки) до разделителя или перевода строки
+      fieldEndRegExp.lastIndex = position;
+      const fieldEnd = fieldEndRegExp.exec(csvString);
+      if (!fieldEnd && !isFinal) {
+        return recordStart;
+      }
+
+      const end = fieldEnd ? fieldEnd.index : length;
+      value += csvString.slice(position, end);
+      fields.push(value);
+      position = end;
+
+      if (position < length && csvString[position] === delimiter) {
+        // Дальше следует очередное поле этой же записи
+        position += 1;
+        continue;
+      }
+
+      // Запись закончилась переводом строки или концом текста
+      break;
+    }
+
+    // \r в конце части текста может оказаться началом \r\n, разделенного между частями:
+    // запись дочитывается вместе со следующей частью, чтобы перевод строки не был посчитан дважды
+    if (!isFinal && position === length - 1 && csvString[position] === '\r') {
+      return recordStart;
+    }
+
+    // Пропускаем перевод строки (\r\n считается одним переводом)
+    if (csvString[position] === '\r' && csvString[position + 1] === '\n') {
+      position += 2;
+    } else {
+      position += 1;
+    }
+
+    onRecord(fields, lineCount);
+  }
+
+  return Math.min(position, length);
+}
+
+/*******************************************************************
+ *
+ *                            Утилиты
+ *
+ ********************************************************************/
+
+/**
+ * Отображает диалоговое окно с сообщением
+ *
+ * @description
+ * Функция проверяет доступность объекта Common.UI и, если он существует,
+ * показывает диалоговое окно с указанным заголовком и сообщением.
+ * Используется для вывода информации пользователю в R7 Office.
+ *
+ * @param {string} title - Заголовок диалогового окна
+ * @param {string} msg - Текст сообщения в диалоговом окне
+ * @returns {void}
+ *
+ * @example
+ * // Показать информационное сообщение
+ * uiAlert('Информация', 'Операция выполнена успешно');
+ *
+ * @example
+ * // Показать сообщение об ошибке
+ * uiAlert('Ошибка', 'Не удалось загрузить данные');
+ */
+function uiAlert(title, msg) {
+  // Проверяем доступность интерфейсного объекта Common.UI
+  if (typeof Common !== 'undefined' && Common.UI) {
+    // Вызываем метод alert для отображения диалогового окна
+    Common.UI.alert({
+      title, // Заголовок окна
+      msg, // Текст сообщения
+    });
+  }
+  // Если Common.UI недоступен, ничего не делаем
+}
+
+/**
+ * Преобразует путь Windows в URL-формат для загрузки файлов
+ *
+ * @description
+ * Функция конвертирует путь Windows в формат URL file:///, который можно использовать
+ * для загрузки локальных файлов через XMLHttpRequest. Обрабатывает различные
+ * форматы Windows-путей, включая длинные имена файлов и различные разделители.
+ *
+ * @param {string} windowsPath - Путь в формате Windows (с backslash-разделителями)
+ * @returns {string} URL в формате file:/// для доступа к локальному файлу
+ *
+ * @example
+ * // Преобразование обычного пути Windows
+ * const url = convertPath('C:\\data\\file.csv');
+ * // Результат: file:///C:/data/file.csv
+ *
+ * @example
+ * // Обработка длинного пути Windows
+ * const url = convertPath('\\\\?\\C:\\Very Long Path\\file.csv');
+ * // Результат: file:///C:/Very Long Path/file.csv
+ */
+function convertPath(windowsPath) {
+  // Обрабатываем специальный случай длинных имен файлов Windows
+  // Префикс \\?\ используется для длинных путей (более 260 символов)
+  // См.: https://learn.microsoft.com/en-us/windows/win32/fileio/naming-a-file#short-vs-long-names
+  windowsPath = windowsPath.replace(/^\\\\\?\\/, '');
+
+  // Конвертируем обратные слеши (\) в прямые (/) для совместимости с URL
+  // В именах файлов Windows не могут одновременно использоваться оба разделителя
+  windowsPath = windowsPath.replace(/\\/g, '/');
+
+  // Сжимаем последовательности слешей (//, ///) в один слеш (/)
+  // Это безопасная операция в POSIX-путях и предотвращает ошибки при объединении путей
+  windowsPath = windowsPath.replace(/\/\/+/g, '/');
+
+  // Удаляем префикс file:///, если он уже присутствует, чтобы избежать дублирования
+  windowsPath = windowsPath.replace(/^file:\/+/, '');
+
+  // Возвращаем путь с префиксом file:/// для использования в XMLHttpRequest
+  return `file:///${windowsPath}`;
+}
+
+/**
+ * Преобразует значение настройки разделителя CSV в символ-разделитель
+ *
+ * @description
+ * В ячейке настроек разделитель можно указать самим символом (";", ",", "|")
+ * или словом: "tab" / "табуляция" / "\t" для табуляции. Пустое значение
+ * и слово "авто" означают автоматическое определение разделителя по строке заголовков.
+ *
+ * @param {*} value - Значение из ячейки настроек
+ * @returns {string} Символ-разделитель или пустая строка для автоматического определения
+ * @throws {Error} Если указан неподдерживаемый разделитель
+ *
+ * @example
+ * parseDelimiterSetting(';'); // ';'
+ * parseDelimiterSetting('Tab'); // '\t'
+ * parseDelimiterSetting(''); // '' - определить автоматически
+ */
+function parseDelimiterSetting(value) {
+  // Пробелы вокруг значения не учитываем, но сам символ табуляции сохраняем
+  const text = value === null || value === undefined ? '' : String(value);
+  if (text === '\t') {
+    return '\t';
+  }
+
+  const normalized = text.trim().toLowerCase();
+  if (normalized === '' || normalized === 'авто' || normalized === 'auto') {
+    return '';
+  }
+  if (normalized === 'tab' || normalized === '\\t' || normalized === 'табуляция') {
+    return '\t';
+  }
+  if ([';', ',', '|'].includes(normalized)) {
+    return normalized;
+  }
+
+  throw new Error(`Неподдерживаемый разделитель CSV "${text}": укажите ";", ",", "|", "tab" или оставьте ячейку пустой`);
+}
+
+/**
+ * Создает новый лист с указанным названием, удаляя существующий лист с таким же названием
+ *
+ * @description
+ * Используется отчетами, чтобы при каждом запуске макроса строить лист заново.
+ * Созданный лист становится активным. Чтобы сохранить предыдущую версию отчета,
+ * лист нужно заранее переименовать (см. archiveSheet).
+ *
+ * @param {string} title - Название листа
+ * @returns {Object} Созданный лист
+ *
+ * @example
+ * const sheet = recreateSheet('Покупки по брендам');
+ */
+function recreateSheet(title) {
+  // Удаляем существующий лист с таким названием, если он есть
+  const sheet = Api.GetSheet(title);
+  if (sheet) {
+    sheet.Delete();
+  }
+
+  // Создаем новый лист и делаем его активным
+  Api.AddSheet(title);
+  return Api.GetActiveSheet();
+}
+
+/**
+ * Сохраняет существующий лист как предыдущую версию, переименовывая его
+ *
+ * @description
+ * Лист получает название с номером версии на единицу больше последней сохраненной:
+ * "Покупки по брендам (1)", "Покупки по брендам (2)" и т.д. Если название с номером
+ * длиннее 31 символа (ограничение на длину названия листа), название отчета сокращается.
+ *
+ * @param {string} title - Название листа
+ * @returns {string | null} Новое название листа, null - листа с таким названием нет
+ *
+ * @example
+ * archiveSheet('Покупки по брендам'); // 'Покупки по брендам (3)'
+ */
+function archiveSheet(title) {
+  const sheet = Api.GetSheet(title);
+  if (!sheet) {
+    return null;
+  }
+
+  const versions = getSheetVersions(title);
+  const archivedTitle = getSheetVersionTitle(
+    title,
+    (versions.length > 0 ? versions[versions.length - 1].version : 0) + 1
+  );
+  sheet.SetName(archivedTitle);
+  return archivedTitle;
+}
+
+/**
+ * Удаляет самые старые сохраненные версии листа сверх заданного числа
+ *
+ * @param {string} title - Название листа
+ * @param {number} keepCount - Число хранимых версий
+ * @returns {string[]} Названия удаленных листов
+ *
+ * @example
+ * pruneSheetVersions('Покупки по брендам', 5); // ['Покупки по брендам (1)']
+ */
+function pruneSheetVersions(title, keepCount) {
+  const versions = getSheetVersions(title);
+  const removed = versions.slice(0, Math.max(0, versions.length - keepCount));
+  return removed.map(({ sheet }) => {
+    const name = sheet.GetName();
+    sheet.Delete();
+    return name;
+  });
+}
+
+/**
+ * Находит сохраненные версии листа (см. archiveSheet)
+ *
+ * @private
+ * @param {string} title - Название листа
+ * @returns {Array<{ sheet: Object, version: number }>} Версии по возрастанию номера
+ */
+function getSheetVersions(title) {
+  return Api.GetSheets()
+    .map((sheet) => {
+      const name = sheet.GetName();
+      const match = / \((\d+)\)$/.exec(name);
+      const version = match ? Number(match[1]) : 0;
+      return { sheet, version: version > 0 && getSheetVersionTitle(title, version) === name ? version : 0 };
+    })
+    .filter(({ version }) => version > 0)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Формирует название сохраненной версии листа
+ *
+ * @private
+ * @param {string} title - Название листа
+ * @param {number} version - Номер версии
+ * @returns {string} Название не длиннее 31 символа
+ */
+function getSheetVersionTitle(title, version) {
+  const suffix = ` (${version})`;
+  return title.slice(0, 31 - suffix.length) + suffix;
+}
+
+/**
+ * Создает заголовок отчета и строку с описанием действующих фильтров под ним
+ *
+ * @param {Object} sheet - Лист отчета
+ * @param {string} title - Заголовок отчета
+ * @param {string} [scope] - Описание действующих фильтров (без него выводится только заголовок)
+ * @param {number} rowIndex - Индекс строки заголовка (нумерация с 0)
+ * @param {number} columnIndex - Индекс столбца заголовка (нумерация с 0)
+ * @returns {void}
+ *
+ * @example
+ * createReportTitle(sheet, 'Покупки по брендам', 'Период: 01.10.2019 - 31.10.2019', 3, 3);
+ */
+function createReportTitle(sheet, title, scope, rowIndex, columnIndex) {
+  const titleRange = sheet.GetRangeByNumber(rowIndex, columnIndex);
+  titleRange.SetFontSize(16);
+  titleRange.SetBold(true);
+  titleRange.SetValue(title);
+
+  if (scope) {
+    const scopeRange = sheet.GetRangeByNumber(rowIndex + 1, columnIndex);
+    scopeRange.SetFontSize(10);
+    scopeRange.SetItalic(true);
+    scopeRange.SetValue(scope);
+  }
+}
+
+/**
+ * Записывает долю (от 0 до 1) в ячейку в процентном формате
+ *
+ * @description
+ * Значение записывается с запятой в качестве десятичного разделителя,
+ * как и остальные дробные числа в отчетах, и форматируется с двумя знаками после запятой.
+ *
+ * @param {Object} range - Ячейка для записи
+ * @param {number} value - Доля от 0 до 1
+ * @returns {void}
+ *
+ * @example
+ * setPercentValue(sheet.GetRangeByNumber(4, 3), 0.125); // 12,50%
+ */
+function setPercentValue(range, value) {
+  range.SetValue(String(value).replace('.', ','));
+  range.SetNumberFormat('0.00%');
+}
+
+/**
+ * Записывает денежную сумму в ячейку с двумя знаками после запятой
+ *
+ * @description
+ * Значение записывается с запятой в качестве десятичного разделителя
+ * для отображения в российском формате.
+ *
+ * @param {Object} range - Ячейка для записи
+ * @param {number} value - Сумма
+ * @returns {void}
+ *
+ * @example
+ * setMoneyValue(sheet.GetRangeByNumber(4, 3), 1234.5); // 1 234,50
+ */
+function setMoneyValue(range, value) {
+  range.SetValue(String(value).replace('.', ','));
+  range.SetNumberFormat('#,##0.00');
+}
+
+/**
+ * Преобразует значение настройки с выбором из списка вариантов
+ *
+ * @description
+ * Значение сравнивается без учета регистра и пробелов по краям с допустимыми
+ * написаниями каждого варианта (например, по-русски и по-английски).
+ * Пустое значение означает вариант по умолчанию.
+ *
+ * @param {*} value - Значение из ячейки настроек
+ * @param {Object.<string, string[]>} choices - Варианты: идентификатор -> допустимые написания в нижнем регистре
+ * @param {string} defaultValue - Идентификатор варианта по умолчанию
+ * @param {string} settingName - Название настройки для сообщения об ошибке
+ * @returns {string} Идентификатор выбранного варианта
+ * @throws {Error} Если значение не соответствует ни одному варианту
+ *
+ * @example
+ * parseChoiceSetting('Неделя', { day: ['день', 'day'], week: ['неделя', 'week'] }, 'day', 'Шаг динамики'); // 'week'
+ */
+function parseChoiceSetting(value, choices, defaultValue, settingName) {
+  const normalized = value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+  if (normalized === '') {
+    return defaultValue;
+  }
+
+  const choice = Object.keys(choices).find((key) => choices[key].includes(normalized));
+  if (choice === undefined) {
+    const allowed = Object.values(choices)
+      .map((aliases) => `"${aliases[0]}"`)
+      .join(', ');
+    throw new Error(`Неподдерживаемое значение настройки "${settingName}": "${value}". Допустимые значения: ${allowed}`);
+  }
+
+  return choice;
+}
+
+/**
+ * Преобразует значение настройки в целое число из допустимого диапазона
+ *
+ * @param {*} value - Значение из ячейки настроек
+ * @param {number} defaultValue - Значение по умолчанию для пустой ячейки
+ * @param {number} min - Минимальное допустимое значение
+ * @param {number} max - Максимальное допустимое значение
+ * @param {string} settingName - Название настройки для сообщения об ошибке
+ * @returns {number} Целое число
+ * @throws {Error} Если значение не является целым числом из диапазона
+ *
+ * @example
+ * parseIntegerSetting('', 5, 1, 20, 'Число групп'); // 5
+ * parseIntegerSetting(10, 5, 1, 20, 'Число групп'); // 10
+ */
+function parseIntegerSetting(value, defaultValue, min, max, settingName) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`Настройка "${settingName}" должна быть целым числом от ${min} до ${max}, указано "${value}"`);
+  }
+
+  return number;
+}
+
+/**
+ * Преобразует значение настройки в смещение часового пояса от UTC
+ *
+ * @description
+ * Допускаются смещение в часах ("3", "-5", "5,5"), в виде "+03:00" или "+0300",
+ * в том числе с префиксом "UTC" или "GMT" ("UTC+3", "GMT+03:00"), и просто "UTC" или "GMT".
+ * Смещение должно быть от -12 до +14 часов.
+ *
+ * @param {*} value - Значение из ячейки настроек
+ * @returns {number} Смещение в минутах, 0 для пустой ячейки
+ * @throws {Error} Если значение не является допустимым смещением часового пояса
+ *
+ * @example
+ * parseTimezoneSetting('UTC+3'); // 180
+ * parseTimezoneSetting('-05:30'); // -330
+ */
+function parseTimezoneSetting(value) {
+  const text = value === null || value === undefined ? '' : String(value).trim().toUpperCase().replace(/\s/g, '');
+  const error = new Error(
+    `Настройка "Часовой пояс" должна быть смещением от UTC от -12 до +14 часов (например, "+3" или "UTC+03:00"), указано "${value}"`
+  );
+
+  const offsetText = text.replace(/^(UTC|GMT)/, '');
+  if (offsetText === '') {
+    return 0;
+  }
+
+  let offset;
+  // Смещение с минутами: "+03:00", "+3:30" или "+0300"
+  const match = /^([+-]?)(\d{1,2}):(\d{2})$/.exec(offsetText) || /^([+-]?)(\d{2})(\d{2})$/.exec(offsetText);
+  if (match) {
+    offset = (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+  } else {
+    const hours = Number(offsetText.replace(',', '.'));
+    if (!Number.isFinite(hours)) {
+      throw error;
+    }
+    offset = Math.round(hours * 60);
+  }
+
+  if (offset < -12 * 60 || offset > 14 * 60) {
+    throw error;
+  }
+  return offset;
+}
+
+/**
+ * Преобразует значение настройки в список строк
+ *
+ * @description
+ * Значения разделяются точкой с запятой или переводом строки, пробелы по краям
+ * и пустые значения отбрасываются. Запятая не считается разделителем,
+ * так как встречается в названиях брендов.
+ *
+ * @param {*} value - Значение из ячейки настроек
+ * @returns {string[]} Список значений, пустой для пустой ячейки
+ *
+ * @example
+ * parseListSetting('apple; hp, inc\nsamsung'); // ['apple', 'hp, inc', 'samsung']
+ */
+function parseListSetting(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
 
-  // Создаем столбчатый график для визуализации средней цены покупки
-  Api.GetActiveSheet().AddChart(
-    `'${title}'!${avgPurchaseValuesAddress}`, // Ссылка на диапазон данных
-    true, // С заголовками
-    'bar', // Тип графика - столбчатый
-    2, // Стиль графика
-    105 * 36000, // Ширина в тваипах
-    105 * 36000, // Высота в тваипах
-    firstColumnIndex + 11, // Отступ от левого края
-    2 * 36000, // Отступ от верхнего края
-    firstRowValues, // Позиция по вертикали
-    3 * 36000 // Глубина (для 3D графиков)
-  );
+  return String(value)
+    .split(/[;\r\n]+/)
+    .map((item) => item.trim())
+    .filter((item) => item !== '');
 }
 
-/*******************************************************************
+/**
+ * Преобразует значение настройки в число
  *
- *                            Инструменты
+ * @param {*} value - Значение из ячейки настроек, допускается запятая в качестве десятичного разделителя
+ * @param {string} settingName - Название настройки для сообщения об ошибке
+ * @returns {number | null} Число или null для пустой ячейки
+ * @throws {Error} Если значение не является числом
  *
- ********************************************************************/
+ * @example
+ * parseNumberSetting('499,99', 'Минимальная цена'); // 499.99
+ * parseNumberSetting('', 'Минимальная цена'); // null
+ */
+function parseNumberSetting(value, settingName) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+
+  const number = Number(String(value).replace(/\s/g, '').replace(',', '.'));
+  if (!Number.isFinite(number)) {
+    throw new Error(`Настройка "${settingName}" должна быть числом, указано "${value}"`);
+  }
+
+  return number;
+}
 
 /**
- * Загружает данные по указанному URL и возвращает Promise с результатом
+ * Преобразует строковое представление цены в число
  *
  * @description
- * Функция выполняет асинхронный HTTP-запрос для загрузки данных.
- * При успешной загрузке Promise разрешается с объектом XMLHttpRequest,
- * содержащим загруженные данные в свойстве responseText.
+ * Пробелы (разделители разрядов) удаляются, запятая заменяется на точку.
  *
- * Функция поддерживает загрузку как с локальных путей (file://),
- * так и с удаленных URL (http://, https://).
+ * @param {*} value - Цена из строки CSV
+ * @returns {number} Цена, NaN если значение не является числом
  *
- * @param {string} url - URL-адрес или путь к файлу для загрузки данных
- * @returns {Promise<XMLHttpRequest>} Promise, который разрешается объектом XMLHttpRequest при успешной загрузке
+ * @example
+ * parsePrice('1 234,50'); // 1234.5
+ */
+function parsePrice(value) {
+  return Number(String(value).replace(/\s/g, '').replace(',', '.'));
+}
+
+/**
+ * Возвращает цвет цветовой шкалы от белого до зеленого
  *
- * @throws {Error} Если URL не указан ('Не указан путь к файлу!')
- * @throws {Error} Если произошел таймаут запроса ('The request for [url] timed out')
- * @throws {Error} Если произошла сетевая ошибка ('Network error occurred while fetching [url]')
- * @throws {Error} Если сервер вернул ошибку ('Ошибка HTTP: [status] [statusText]')
+ * @param {number} ratio - Положение на шкале от 0 (белый) до 1 (насыщенный зеленый)
+ * @returns {Object} Цвет R7 Office
  *
  * @example
- * // Загрузка данных и обработка результата
- * loadData('https://example.com/data.csv')
- *   .then(xhr => {
- *     processData(xhr.responseText);
- *   })
- *   .catch(error => {
- *     console.error('Ошибка загрузки:', error);
- *   });
+ * cell.SetFillColor(getScaleColor(0.5));
+ */
+function getScaleColor(ratio) {
+  const position = Math.min(1, Math.max(0, ratio));
+  // Интерполяция между белым (255, 255, 255) и зеленым (99, 190, 123)
+  const channel = (to) => Math.round(255 + (to - 255) * position);
+  return Api.CreateColorFromRGB(channel(99), channel(190), channel(123));
+}
+
+/**
+ * Выделяет цветом изменение показателя: рост - зеленым, снижение - красным
+ *
+ * @description
+ * Если редактор поддерживает условное форматирование через API (ApiRange.GetFormatConditions),
+ * на диапазон добавляются правила "больше 0" и "меньше 0": цвет пересчитывается редактором
+ * при изменении значений в ячейках. В версиях R7 Office без условного форматирования в API
+ * цвет задается заливкой по значению change на момент построения отчета и при изменении
+ * значений в ячейках не обновляется.
+ *
+ * @param {Object} range - Ячейки изменения показателя (ApiRange)
+ * @param {number} change - Изменение показателя на момент построения отчета
+ * @returns {void}
  *
  * @example
- * // Использование с async/await
- * async function loadAndProcessData() {
- *   try {
- *     const xhr = await loadData('https://example.com/data.csv');
- *     processData(xhr.responseText);
- *   } catch (error) {
- *     console.error('Ошибка загрузки:', error);
- *   }
- * }
+ * setChangeColor(getRangeBySize(sheet, row, 3, 1, 2), current - previous);
  */
-function loadData(url) {
-  // Проверка наличия URL. Если URL не передан или пустой, выбрасываем исключение
-  if (!url) {
-    throw new Error('Не указан путь к файлу!');
+function setChangeColor(range, change) {
+  const growthFill = Api.CreateColorFromRGB(198, 239, 206);
+  const growthFont = Api.CreateColorFromRGB(0, 97, 0);
+  const declineFill = Api.CreateColorFromRGB(255, 199, 206);
+  const declineFont = Api.CreateColorFromRGB(156, 0, 6);
+
+  const conditions = getFormatConditions(range);
+  if (conditions && typeof conditions.Add === 'function') {
+    const rules = [
+      ['xlGreater', growthFill, growthFont],
+      ['xlLess', declineFill, declineFont],
+    ];
+    const applied = rules.every(([operator, fill, font]) => {
+      const condition = conditions.Add('xlCellValue', operator, '0');
+      if (!condition || typeof condition.SetFillColor !== 'function' || typeof condition.SetFontColor !== 'function') {
+        condition?.Delete?.();
+        return false;
+      }
+      condition.SetFillColor(fill);
+      condition.SetFontColor(font);
+      return true;
+    });
+    if (applied) {
+      return;
+    }
   }
 
-  // Возвращаем Promise для асинхронной загрузки данных
-  return new Promise((resolve, reject) => {
-    // Создаем объект XMLHttpRequest для выполнения HTTP-запроса
-    const xhr = new XMLHttpRequest();
+  if (change !== 0) {
+    range.SetFillColor(change > 0 ? growthFill : declineFill);
+    range.SetFontColor(change > 0 ? growthFont : declineFont);
+  }
+}
 
-    /**
-     * Обработчик таймаута запроса - вызывается, если запрос не завершился за отведенное время
-     * @private
-     */
-    xhr.ontimeout = function () {
-      reject(new Error('The request for ' + url + ' timed out.'));
-    };
+/**
+ * Окрашивает ячейки цветовой шкалой: от белого для наименьшего значения до зеленого для наибольшего
+ *
+ * @description
+ * Если редактор поддерживает условное форматирование через API (ApiRange.GetFormatConditions),
+ * на диапазон добавляется правило "цветовая шкала": редактор сам пересчитывает цвета
+ * при изменении значений, пустые ячейки не окрашиваются. В версиях R7 Office без условного
+ * форматирования в API ячейки закрашиваются по значениям values на момент построения отчета
+ * (см. getScaleColor), и при изменении значений цвет не обновляется.
+ *
+ * @param {Object} sheet - Лист отчета
+ * @param {number} rowIndex - Индекс первой строки диапазона (нумерация с 0)
+ * @param {number} columnIndex - Индекс первого столбца диапазона (нумерация с 0)
+ * @param {Array<Array<number|null>>} values - Значения ячеек диапазона по строкам, null - ячейку не окрашивать
+ * @returns {void}
+ *
+ * @example
+ * // Диапазон C6:E7
+ * setColorScale(sheet, 5, 2, [[1, 5, 2], [0, null, 4]]);
+ */
+function setColorScale(sheet, rowIndex, columnIndex, values) {
+  if (values.length === 0 || values[0].length === 0) {
+    return;
+  }
 
-    /**
-     * Обработчик ошибки запроса - вызывается при сетевых ошибках
-     * @private
-     */
-    xhr.onerror = function () {
-      reject(new Error('Network error occurred while fetching ' + url));
-    };
+  const conditions = getFormatConditions(getRangeBySize(sheet, rowIndex, columnIndex, values.length, values[0].length));
+  if (conditions && typeof conditions.AddColorScale === 'function') {
+    const colorScale = conditions.AddColorScale(2);
+    const criteria =
+      typeof colorScale?.GetColorScaleCriteria === 'function' ? colorScale.GetColorScaleCriteria() : null;
+    if (criteria?.length === 2 && criteria.every((criterion) => typeof criterion.SetColor === 'function')) {
+      criteria[0].SetColor(getScaleColor(0));
+      criteria[1].SetColor(getScaleColor(1));
+      return;
+    }
+    // Без возможности задать цвета шкалы правило не добавляем, чтобы цвета не отличались от остальных отчетов
+    colorScale?.Delete?.();
+  }
 
-    /**
-     * Обработчик успешного завершения запроса - проверяет код HTTP-статуса
-     * и разрешает или отклоняет Promise соответственно
-     * @private
-     */
-    xhr.onload = function () {
-      // Проверяем, что запрос завершен (readyState === 4 означает DONE)
-      if (xhr.readyState === 4) {
-        if (xhr.status === 200) {
-          // Код 200 означает успешный запрос
-          resolve(xhr);
-        } else {
-          // Любой другой код - ошибка HTTP
-          reject(new Error('Ошибка HTTP: ' + xhr.status + ' ' + xhr.statusText));
-        }
+  const filled = values.flat().filter((value) => value !== null);
+  const min = Math.min(...filled);
+  const max = Math.max(...filled);
+  values.forEach((rowValues, row) =>
+    rowValues.forEach((value, column) => {
+      if (value !== null) {
+        sheet
+          .GetRangeByNumber(rowIndex + row, columnIndex + column)
+          .SetFillColor(getScaleColor(max > min ? (value - min) / (max - min) : 0));
       }
-    };
+    })
+  );
+}
 
-    // Настройка и отправка запроса
-    xhr.open('GET', url, true); // true означает асинхронный запрос
-    xhr.timeout = 60 * 1000; // Таймаут 60 секунд (в миллисекундах)
-    xhr.send(null); // null т.к. это GET-запрос без данных
-  });
+/**
+ * Возвращает правила условного форматирования диапазона, если редактор поддерживает их в API
+ *
+ * @private
+ * @param {Object} range - Диапазон ячеек (ApiRange)
+ * @returns {Object|null} Правила условного форматирования (ApiFormatConditions) или null
+ */
+function getFormatConditions(range) {
+  return typeof range.GetFormatConditions === 'function' ? range.GetFormatConditions() || null : null;
 }
 
 /**
- * Преобразует строку CSV в массив объектов JavaScript
+ * Возвращает Promise, который разрешается через указанное время
  *
  * @description
- * Функция парсит входную строку CSV и преобразует её в массив объектов JavaScript.
- * Первая строка CSV рассматривается как заголовки столбцов, которые станут свойствами объектов.
- * Остальные строки преобразуются в объекты, где ключами являются заголовки столбцов.
+ * Используется, чтобы на время прервать выполнение макроса и дать редактору
+ * обработать действия пользователя (например, ввод в ячейку статуса).
  *
- * Функция обрабатывает различные форматы окончания строк (\r\n, \n, \r) и
- * автоматически удаляет пробельные символы из заголовков столбцов.
+ * @param {number} ms - Время ожидания в миллисекундах
+ * @returns {Promise<void>}
  *
- * Если количество значений в строке меньше количества заголовков,
- * недостающие значения будут установлены как undefined.
- * Если количество значений больше заголовков, лишние значения будут игнорироваться.
+ * @example
+ * await delay(0);
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Вычисляет 53-битный хеш строки (алгоритм cyrb53)
  *
- * @param {string} csvString - Строка в формате CSV для парсинга
- * @param {string} [delimiter=';'] - Символ-разделитель полей в CSV (по умолчанию ';')
- * @returns {Array<Object>} - Массив объектов, представляющих строки CSV
- * @throws {Error} - Если входная строка пуста или не содержит строк данных
+ * @param {string} text - Строка
+ * @returns {number} Хеш - целое число до 2^53
  *
  * @example
- * const csvData = 'name;age\nJohn;30\nJane;25';
- * const result = parseCsv(csvData);
- * // Результат: [{ name: 'John', age: '30' }, { name: 'Jane', age: '25' }]
+ * hashString('2019-10-01 00:00:04 UTC;view;...'); // 4718238761298651
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Вычисляет медиану числовых значений
+ *
+ * @param {number[]} values - Значения (массив сортируется на месте)
+ * @returns {number} Медиана, 0 для пустого массива
  *
  * @example
- * // С другим разделителем
- * const csvData = 'name,age\nJohn,30\nJane,25';
- * const result = parseCsv(csvData, ',');
+ * getMedian([5, 1, 3, 10]); // 4
  */
-function parseCsv(csvString, delimiter = ';') {
-  // Проверяем, что входная строка не пуста
-  if (!csvString || typeof csvString !== 'string') {
-    throw new Error('CSV строка не предоставлена или имеет неверный формат');
+function getMedian(values) {
+  if (values.length === 0) {
+    return 0;
   }
 
-  // Разбиваем строку на отдельные строки, учитывая возможные разные окончания строк
-  // Регулярное выражение /[\r\n]+/g обрабатывает \r\n, \n и \r как разделители строк
-  const lines = csvString.split(/[\r\n]+/g);
+  values.sort((a, b) => a - b);
+  const middle = Math.floor(values.length / 2);
+  return values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+}
+
+/**
+ * Возвращает начало периода (дня, ISO-недели или месяца), в который попадает дата
+ *
+ * @description
+ * Границы периодов считаются по полям UTC даты: время событий хранится в часовом поясе
+ * отчетов именно в них (см. parseEventTime). ISO-неделя начинается в понедельник.
+ *
+ * @param {Date} date - Дата
+ * @param {'day' | 'week' | 'month'} step - Длительность периода
+ * @returns {Date} Начало периода
+ *
+ * @example
+ * getPeriodStart(new Date('2019-10-03T15:00:00Z'), 'week'); // 2019-09-30T00:00:00.000Z
+ */
+function getPeriodStart(date, step) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
 
-  // Проверяем, что есть хотя бы заголовок и одна строка данных
-  if (lines.length < 2) {
-    throw new Error('CSV строка должна содержать как минимум заголовок и одну строку данных');
+  if (step === 'month') {
+    return new Date(Date.UTC(year, month, 1));
   }
+  if (step === 'week') {
+    // Номер дня недели, где понедельник - 0, воскресенье - 6
+    const weekday = (date.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(year, month, day - weekday));
+  }
+  return new Date(Date.UTC(year, month, day));
+}
 
-  // Получаем заголовки из первой строки и очищаем их от пробелов
-  const headers = lines[0].split(delimiter).map((header) => header.trim());
+/**
+ * Возвращает начало следующего периода
+ *
+ * @param {Date} periodStart - Начало периода (см. {@link getPeriodStart})
+ * @param {'day' | 'week' | 'month'} step - Длительность периода
+ * @returns {Date} Начало следующего периода
+ */
+function getNextPeriodStart(periodStart, step) {
+  const year = periodStart.getUTCFullYear();
+  const month = periodStart.getUTCMonth();
+  const day = periodStart.getUTCDate();
 
-  // Преобразуем остальные строки в объекты
-  const data = lines
-    .slice(1)
-    .map((line) => {
-      // Пропускаем пустые строки
-      if (!line.trim()) {
-        return null;
-      }
+  if (step === 'month') {
+    return new Date(Date.UTC(year, month + 1, 1));
+  }
+  return new Date(Date.UTC(year, month, day + (step === 'week' ? 7 : 1)));
+}
 
-      // Разделяем строку по указанному разделителю
-      const values = line.split(delimiter);
+/**
+ * Формирует подпись периода для таблиц и графиков
+ *
+ * @param {Date} periodStart - Начало периода (см. {@link getPeriodStart})
+ * @param {'day' | 'week' | 'month'} step - Длительность периода
+ * @returns {string} Подпись: "01.10.2019" для дня, "2019-W40" для ISO-недели, "10.2019" для месяца
+ *
+ * @example
+ * formatPeriodLabel(new Date(Date.UTC(2019, 8, 30)), 'week'); // '2019-W40'
+ */
+function formatPeriodLabel(periodStart, step) {
+  const pad = (number) => String(number).padStart(2, '0');
+  const year = periodStart.getUTCFullYear();
+  const month = pad(periodStart.getUTCMonth() + 1);
 
-      // Создаем объект, где ключи - это заголовки, а значения - соответствующие значения из текущей строки
-      // Используем reduce для преобразования массивов заголовков и значений в единый объект
-      return headers.reduce((obj, header, index) => {
-        // Присваиваем значение из текущей строки соответствующему свойству объекта
-        // Если значение не существует (index >= values.length), будет использовано undefined
-        obj[header] = values[index];
-        return obj;
-      }, {});
-    })
-    .filter(Boolean); // Удаляем пустые строки (null)
+  if (step === 'month') {
+    return `${month}.${year}`;
+  }
+  if (step === 'week') {
+    // ISO-неделя относится к году, на который приходится ее четверг
+    const thursday = new Date(periodStart.getTime() + 3 * 24 * 60 * 60 * 1000);
+    const isoYear = thursday.getUTCFullYear();
+    const week = Math.floor((thursday.getTime() - Date.UTC(isoYear, 0, 1)) / (7 * 24 * 60 * 60 * 1000)) + 1;
+    return `${isoYear}-W${pad(week)}`;
+  }
+  return formatDate(periodStart);
+}
 
-  return data;
+/**
+ * Форматирует дату в виде ДД.ММ.ГГГГ (по UTC, как и границы периодов)
+ *
+ * @param {Date} date - Дата
+ * @returns {string} Дата в формате ДД.ММ.ГГГГ
+ *
+ * @example
+ * formatDate(new Date(Date.UTC(2019, 9, 1))); // '01.10.2019'
+ */
+function formatDate(date) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${pad(date.getUTCDate())}.${pad(date.getUTCMonth() + 1)}.${date.getUTCFullYear()}`;
 }
 
-/*******************************************************************
+/**
+ * Форматирует дату и время в виде ДД.ММ.ГГГГ ЧЧ:ММ:СС (по UTC, как и границы периодов)
  *
- *                            Утилиты
+ * @param {Date} date - Дата
+ * @returns {string} Дата и время
  *
- ********************************************************************/
+ * @example
+ * formatDateTime(new Date(Date.UTC(2019, 9, 1, 8, 5, 3))); // '01.10.2019 08:05:03'
+ */
+function formatDateTime(date) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${formatDate(date)} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+}
 
 /**
- * Отображает диалоговое окно с сообщением
+ * Форматирует период в виде "ДД.ММ.ГГГГ - ДД.ММ.ГГГГ"
  *
- * @description
- * Функция проверяет доступность объекта Common.UI и, если он существует,
- * показывает диалоговое окно с указанным заголовком и сообщением.
- * Используется для вывода информации пользователю в R7 Office.
+ * @param {AnalitycsFilterPeriod} period - Период
+ * @returns {string} Период для вывода в отчете
  *
- * @param {string} title - Заголовок диалогового окна
- * @param {string} msg - Текст сообщения в диалоговом окне
- * @returns {void}
+ * @example
+ * formatPeriodRange({ start: new Date(Date.UTC(2019, 9, 1)), end: new Date(Date.UTC(2019, 9, 31)) });
+ * // '01.10.2019 - 31.10.2019'
+ */
+function formatPeriodRange(period) {
+  return `${formatDate(period.start)} - ${formatDate(period.end)}`;
+}
+
+/**
+ * Возвращает последнюю миллисекунду дня, с которого начинается дата
+ *
+ * @param {Date} date - Начало дня (по UTC, как даты из ячеек настроек)
+ * @returns {Date} Конец того же дня
  *
  * @example
- * // Показать информационное сообщение
- * uiAlert('Информация', 'Операция выполнена успешно');
+ * getEndOfDay(new Date(Date.UTC(2019, 9, 31))); // 2019-10-31T23:59:59.999Z
+ */
+function getEndOfDay(date) {
+  return new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1);
+}
+
+/**
+ * Форматирует смещение часового пояса от UTC
+ *
+ * @param {number} offset - Смещение от UTC в минутах
+ * @returns {string} Часовой пояс в виде "UTC", "UTC+03:00" или "UTC-05:30"
  *
  * @example
- * // Показать сообщение об ошибке
- * uiAlert('Ошибка', 'Не удалось загрузить данные');
+ * formatTimezone(180); // 'UTC+03:00'
  */
-function uiAlert(title, msg) {
-  // Проверяем доступность интерфейсного объекта Common.UI
-  if (typeof Common !== 'undefined' && Common.UI) {
-    // Вызываем метод alert для отображения диалогового окна
-    Common.UI.alert({
-      title, // Заголовок окна
-      msg, // Текст сообщения
-    });
+function formatTimezone(offset) {
+  if (!offset) {
+    return 'UTC';
   }
-  // Если Common.UI недоступен, ничего не делаем
+  const pad = (number) => String(number).padStart(2, '0');
+  const absOffset = Math.abs(offset);
+  return `UTC${offset > 0 ? '+' : '-'}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`;
 }
 
 /**
- * Преобразует путь Windows в URL-формат для загрузки файлов
+ * Разбирает время события из CSV и переводит его в часовой пояс отчетов
  *
  * @description
- * Функция конвертирует путь Windows в формат URL file:///, который можно использовать
- * для загрузки локальных файлов через XMLHttpRequest. Обрабатывает различные
- * форматы Windows-путей, включая длинные имена файлов и различные разделители.
+ * Поддерживаемые форматы:
+ * - "ГГГГ-ММ-ДД ЧЧ:ММ:СС UTC" - формат исходного набора данных
+ * - ISO 8601: "ГГГГ-ММ-ДДTЧЧ:ММ:СС.ммм" с необязательным часовым поясом "Z", "UTC", "GMT",
+ *   "+03:00" или "+0300"; секунды, миллисекунды и время целиком необязательны
+ * - "ДД.ММ.ГГГГ ЧЧ:ММ:СС" - формат дат R7 Office, секунды и время необязательны
  *
- * @param {string} windowsPath - Путь в формате Windows (с backslash-разделителями)
- * @returns {string} URL в формате file:/// для доступа к локальному файлу
+ * Числа не считаются временем: в CSV число в столбце времени - ошибка данных. Даты из ячеек
+ * листа документа переводятся в текст до разбора (см. readSheetRows).
  *
- * @example
- * // Преобразование обычного пути Windows
- * const url = convertPath('C:\\data\\file.csv');
- * // Результат: file:///C:/data/file.csv
+ * Время с часовым поясом переводится в часовой пояс отчетов, время без пояса считается
+ * уже заданным в нем. Результат хранит местное время пояса отчетов в полях UTC объекта Date:
+ * getUTCHours(), getUTCDate() и т.д. возвращают час и день в часовом поясе отчетов, поэтому
+ * границы периодов и группировки по дням и часам не зависят от часового пояса компьютера.
+ *
+ * Формат разбирается явно, а не конструктором Date, который разбирает такие строки
+ * по-разному в разных средах выполнения.
+ *
+ * @param {*} value - Время события из строки CSV или ячейки листа
+ * @param {number} [timezoneOffset=0] - Смещение часового пояса отчетов от UTC в минутах
+ * @returns {Date} Время в часовом поясе отчетов, Invalid Date если формат не поддерживается
+ *                 или дата не существует (например, 31.02)
  *
  * @example
- * // Обработка длинного пути Windows
- * const url = convertPath('\\\\?\\C:\\Very Long Path\\file.csv');
- * // Результат: file:///C:/Very Long Path/file.csv
+ * parseEventTime('2019-10-01 00:00:04 UTC', 180).toISOString(); // '2019-10-01T03:00:04.000Z'
+ * parseEventTime('2019-10-01T02:00:00+03:00').toISOString(); // '2019-09-30T23:00:00.000Z'
+ * parseEventTime('43739.5').getTime(); // NaN
  */
-function convertPath(windowsPath) {
-  // Обрабатываем специальный случай длинных имен файлов Windows
-  // Префикс \\?\ используется для длинных путей (более 260 символов)
-  // См.: https://learn.microsoft.com/en-us/windows/win32/fileio/naming-a-file#short-vs-long-names
-  windowsPath = windowsPath.replace(/^\\\\\?\\/, '');
+function parseEventTime(value, timezoneOffset = 0) {
+  const text = value === null || value === undefined ? '' : String(value).trim();
 
-  // Конвертируем обратные слеши (\) в прямые (/) для совместимости с URL
-  // В именах файлов Windows не могут одновременно использоваться оба разделителя
-  windowsPath = windowsPath.replace(/\\/g, '/');
+  // ISO 8601 и формат набора данных: дата, необязательные время, доли секунды и часовой пояс
+  const isoRegExp =
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?\s*(Z|UTC|GMT|[+-]\d{2}:?\d{2})?$/i;
+  // Формат дат R7 Office: ДД.ММ.ГГГГ и необязательное время
+  const r7RegExp = /^(\d{2})\.(\d{2})\.(\d{4})(?:\s+(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
 
-  // Сжимаем последовательности слешей (//, ///) в один слеш (/)
-  // Это безопасная операция в POSIX-путях и предотвращает ошибки при объединении путей
-  windowsPath = windowsPath.replace(/\/\/+/g, '/');
+  let parts = null;
+  let match = isoRegExp.exec(text);
+  if (match) {
+    const [, year, month, day, hours, minutes, seconds, milliseconds, zone] = match;
+    parts = { year, month, day, hours, minutes, seconds, milliseconds, zone };
+  } else {
+    match = r7RegExp.exec(text);
+    if (match) {
+      const [, day, month, year, hours, minutes, seconds] = match;
+      parts = { year, month, day, hours, minutes, seconds };
+    }
+  }
+  if (!parts) {
+    return new Date(NaN);
+  }
 
-  // Удаляем префикс file:///, если он уже присутствует, чтобы избежать дублирования
-  windowsPath = windowsPath.replace(/^file:\/+/, '');
+  const year = Number(parts.year);
+  const month = Number(parts.month) - 1;
+  const day = Number(parts.day);
+  const hours = Number(parts.hours || 0);
+  const minutes = Number(parts.minutes || 0);
+  const seconds = Number(parts.seconds || 0);
+  // Дробная часть секунд: ".5" - 500 мс
+  const milliseconds = Number((parts.milliseconds || '').padEnd(3, '0'));
 
-  // Возвращаем путь с префиксом file:/// для использования в XMLHttpRequest
-  return `file:///${windowsPath}`;
+  // Date.UTC переносит лишние дни и часы на следующий период, поэтому проверяем значения явно
+  const time = new Date(Date.UTC(year, month, day, hours, minutes, seconds, milliseconds));
+  if (time.getUTCMonth() !== month || time.getUTCDate() !== day || hours > 23 || minutes > 59 || seconds > 59) {
+    return new Date(NaN);
+  }
+
+  // Время без часового пояса уже задано в часовом поясе отчетов
+  if (!parts.zone) {
+    return time;
+  }
+
+  // Смещение часового пояса из строки в минутах: "Z", "UTC" и "GMT" - нулевое
+  const zoneMatch = /^([+-])(\d{2}):?(\d{2})$/.exec(parts.zone);
+  const zoneOffset = zoneMatch
+    ? (zoneMatch[1] === '-' ? -1 : 1) * (Number(zoneMatch[2]) * 60 + Number(zoneMatch[3]))
+    : 0;
+
+  return new Date(time.getTime() + (timezoneOffset - zoneOffset) * 60 * 1000);
 }
 
 /**
@@ -849,6 +7839,28 @@ function r7SerialToJsDate(r7SerialDate) {
   return new Date(Date.UTC(0, 0, r7SerialDate - 1));
 }
 
+/**
+ * Переводит серийный номер даты R7 Office со временем в текст "ГГГГ-ММ-ДД ЧЧ:ММ:СС"
+ *
+ * @description
+ * Целая часть номера - дни, дробная - время суток, округленное до секунды, чтобы убрать
+ * погрешность дробной части. Часовой пояс не указывается: время в ячейках дат считается
+ * заданным в часовом поясе отчетов.
+ *
+ * @private
+ * @param {number} serialDate - Серийный номер даты R7 Office
+ * @returns {string} Дата и время в формате, который разбирает parseEventTime
+ *
+ * @example
+ * formatSerialDateTime(43739.5); // '2019-10-01 12:00:00'
+ */
+function formatSerialDateTime(serialDate) {
+  const time = new Date(
+    r7SerialToJsDate(Math.floor(serialDate)).getTime() + Math.round((serialDate % 1) * 86400) * 1000
+  );
+  return time.toISOString().slice(0, 19).replace('T', ' ');
+}
+
 /**
  * Создает диапазон ячеек по начальной позиции и размеру
  *
@@ -0,0 +1,174 @@
+/*******************************************************************
+ *
+ *     Проверка разбора CSV, времени событий и поиска повторов
+ *
+ ********************************************************************/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const { loadMacro } = require('./run-headless');
+
+/**
+ * Разбирает текст CSV, переданный частями, и возвращает строки с номерами строк файла
+ *
+ * @param {Object} macro - Функции макроса (см. loadMacro)
+ * @param {string[]} chunks - Части текста CSV
+ * @param {string} [delimiter] - Разделитель полей, по умолчанию определяется автоматически
+ * @returns {{ rows: Object[], lines: number[], rowCount: number }}
+ */
+function parseChunks(macro, chunks, delimiter) {
+  const rows = [];
+  const lines = [];
+  const parser = macro.createCsvParser((row, lineNumber) => {
+    // Строка создана в контексте макроса: переводим ее в обычный объект для deepStrictEqual
+    rows.push({ ...row });
+    lines.push(lineNumber);
+  }, delimiter);
+  chunks.forEach((chunk) => parser.write(chunk));
+  parser.end();
+  return { rows, lines, rowCount: parser.getRowCount() };
+}
+
+/**
+ * Создает строку данных магазина с заданным временем события
+ *
+ * @param {string} eventTime - Время события
+ * @param {string} [userSession='s1'] - Сессия пользователя
+ * @returns {Object} Строка ShopEventEntry
+ */
+function createEntry(eventTime, userSession = 's1') {
+  return {
+    event_time: eventTime,
+    event_type: 'view',
+    product_id: '1',
+    category_code: 'electronics.smartphone',
+    brand: 'apple',
+    price: '100',
+    user_id: '1',
+    user_session: userSession,
+  };
+}
+
+test('createCsvParser', async (t) => {
+  const macro = await loadMacro();
+
+  await t.test('собирает строки и поля в кавычках, разорванные между частями', () => {
+    const { rows, lines, rowCount } = parseChunks(macro, [
+      '\uFEFFbrand,price,note\r',
+      '\napple,100,"a, ""b""\r\nc"\r\n\r\nsamsung,2',
+      '00,x',
+    ]);
+    assert.deepStrictEqual(rows, [
+      { brand: 'apple', price: '100', note: 'a, "b"\r\nc' },
+      { brand: 'samsung', price: '200', note: 'x' },
+    ]);
+    // Перевод строки внутри кавычек и пустая строка учитываются в номерах строк файла
+    assert.deepStrictEqual(lines, [2, 5]);
+    assert.strictEqual(rowCount, 2);
+  });
+
+  await t.test('определяет разделитель по заголовку', () => {
+    assert.deepStrictEqual(parseChunks(macro, ['a;b\n1,5;2\n']).rows, [{ a: '1,5', b: '2' }]);
+    assert.deepStrictEqual(parseChunks(macro, ['a\tb\n1\t2']).rows, [{ a: '1', b: '2' }]);
+  });
+
+  await t.test('использует указанный разделитель', () => {
+    assert.deepStrictEqual(parseChunks(macro, ['a,b;c\n1,2;3\n'], ';').rows, [{ 'a,b': '1,2', c: '3' }]);
+  });
+
+  await t.test('требует заголовок и хотя бы одну строку данных', () => {
+    assert.throws(() => parseChunks(macro, ['a,b\n']), /как минимум заголовок и одну строку данных/);
+    assert.throws(() => parseChunks(macro, []), /как минимум заголовок и одну строку данных/);
+  });
+});
+
+test('parseEventTime', async (t) => {
+  const macro = await loadMacro();
+  const parse = (value, timezoneOffset) => macro.parseEventTime(value, timezoneOffset).getTime();
+
+  await t.test('разбирает поддерживаемые форматы', () => {
+    assert.strictEqual(parse('2019-10-01 00:00:04 UTC'), Date.UTC(2019, 9, 1, 0, 0, 4));
+    assert.strictEqual(parse('2019-10-01T02:00:00.5Z'), Date.UTC(2019, 9, 1, 2, 0, 0, 500));
+    assert.strictEqual(parse('2019-10-01T02:00'), Date.UTC(2019, 9, 1, 2));
+    assert.strictEqual(parse('2019-10-01'), Date.UTC(2019, 9, 1));
+    assert.strictEqual(parse('01.10.2019 02:00'), Date.UTC(2019, 9, 1, 2));
+    assert.strictEqual(parse('01.10.2019'), Date.UTC(2019, 9, 1));
+  });
+
+  await t.test('переводит время с часовым поясом в часовой пояс отчетов', () => {
+    assert.strictEqual(parse('2019-10-01 00:00:04 UTC', 180), Date.UTC(2019, 9, 1, 3, 0, 4));
+    assert.strictEqual(parse('2019-10-01T02:00:00+03:00'), Date.UTC(2019, 8, 30, 23));
+    assert.strictEqual(parse('2019-10-01T02:00:00+0300', 180), Date.UTC(2019, 9, 1, 2));
+    // Время без часового пояса уже задано в часовом поясе отчетов
+    assert.strictEqual(parse('2019-10-01T02:00', 180), Date.UTC(2019, 9, 1, 2));
+  });
+
+  await t.test('возвращает Invalid Date для чисел, несуществующих дат и неизвестных форматов', () => {
+    [43739.5, '43739.5', '31.02.2019', '2019-13-01', '2019-10-01 24:00:00', 'abc', '', null, undefined].forEach(
+      (value) => assert.ok(Number.isNaN(parse(value)), `значение ${JSON.stringify(value)}`)
+    );
+  });
+});
+
+test('createDuplicateFilter', async (t) => {
+  const macro = await loadMacro();
+  const isDuplicate = (filter, entry, sourceIndex) =>
+    filter.isDuplicate(entry, sourceIndex, macro.parseEventTime(entry.event_time));
+
+  await t.test('отбрасывает строку, повторяющую строку предыдущего источника', () => {
+    const filter = macro.createDuplicateFilter(2);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-01 10:00:00 UTC'), 0), false);
+    filter.endSource(0);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-01 10:00:00 UTC'), 1), true);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-01 10:00:00 UTC', 's2'), 1), false);
+  });
+
+  await t.test('не считает повтором одинаковые строки одного источника', () => {
+    const filter = macro.createDuplicateFilter(2);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-01 10:00:00 UTC'), 0), false);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-01 10:00:00 UTC'), 0), false);
+    filter.endSource(0);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-02 10:00:00 UTC'), 1), false);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-02 10:00:00 UTC'), 1), false);
+  });
+
+  await t.test('без окна находит повтор в середине периода предыдущего источника', () => {
+    const filter = macro.createDuplicateFilter(2);
+    ['2019-10-01', '2019-10-15', '2019-10-31'].forEach((day) =>
+      isDuplicate(filter, createEntry(`${day} 10:00:00 UTC`), 0)
+    );
+    filter.endSource(0);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-15 10:00:00 UTC'), 1), true);
+    assert.strictEqual(filter.getUncheckedRows(1), 0);
+  });
+
+  await t.test('с окном проверяет только края периода и считает непроверенные строки', () => {
+    const filter = macro.createDuplicateFilter(2, 7);
+    ['2019-10-01', '2019-10-15', '2019-10-31'].forEach((day) =>
+      isDuplicate(filter, createEntry(`${day} 10:00:00 UTC`), 0)
+    );
+    filter.endSource(0);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-31 10:00:00 UTC'), 1), true);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-15 10:00:00 UTC'), 1), false);
+    // Строка вне периода предыдущего источника проверять не с чем
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-11-15 10:00:00 UTC'), 1), false);
+    assert.strictEqual(filter.getUncheckedRows(1), 1);
+    assert.strictEqual(filter.getUncheckedRows(0), 0);
+  });
+
+  await t.test('освобождает хеши после загрузки последнего источника', () => {
+    const filter = macro.createDuplicateFilter(2);
+    isDuplicate(filter, createEntry('2019-10-01 10:00:00 UTC'), 0);
+    filter.endSource(0);
+    filter.endSource(1);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-01 10:00:00 UTC'), 1), false);
+  });
+
+  await t.test('при одном источнике ничего не отбрасывает', () => {
+    const filter = macro.createDuplicateFilter(1);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-01 10:00:00 UTC'), 0), false);
+    assert.strictEqual(isDuplicate(filter, createEntry('2019-10-01 10:00:00 UTC'), 0), false);
+  });
+});
@@ -0,0 +1,587 @@
+/*******************************************************************
+ *
+ *                 Имитация API R7 Office в памяти
+ *         (для запуска макроса без редактора, см. run-headless.js)
+ *
+ ********************************************************************/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+/**
+ * Цвет, созданный Api.CreateColorFromRGB
+ *
+ * @typedef {{
+ *   r: number, // Красная составляющая (0-255)
+ *   g: number, // Зеленая составляющая (0-255)
+ *   b: number // Синяя составляющая (0-255)
+ * }} MemoryColor
+ */
+
+/**
+ * Оформление ячейки, заданное макросом
+ *
+ * @typedef {{
+ *   bold?: boolean, // Полужирный шрифт
+ *   italic?: boolean, // Курсив
+ *   fontSize?: number, // Размер шрифта
+ *   fontColor?: string, // Цвет шрифта в формате "#RRGGBB"
+ *   fillColor?: string, // Цвет заливки в формате "#RRGGBB"
+ *   numberFormat?: string, // Числовой формат
+ *   align?: string // Горизонтальное выравнивание
+ * }} MemoryCellFormat
+ */
+
+/**
+ * Диаграмма, добавленная на лист методом AddChart
+ *
+ * @typedef {{
+ *   dataRef: string, // Ссылка на диапазон данных
+ *   inRows: boolean, // Ряды данных по строкам (false - по столбцам)
+ *   type: string, // Тип диаграммы
+ *   style: number, // Стиль диаграммы
+ *   width: number, // Ширина, мм
+ *   height: number, // Высота, мм
+ *   column: string, // Колонка левого верхнего угла
+ *   columnOffset: number, // Отступ от левого края колонки, мм
+ *   row: number, // Номер строки левого верхнего угла (нумерация с 1)
+ *   rowOffset: number // Отступ от верхнего края строки, мм
+ * }} MemoryChart
+ */
+
+/**
+ * Содержимое листа для вывода в JSON
+ *
+ * @typedef {{
+ *   name: string, // Название листа
+ *   cells: Object.<string, *>, // Значения ячеек по адресу ("B4"), по строкам сверху вниз
+ *   formats: Object.<string, MemoryCellFormat>, // Оформление ячеек по адресу
+ *   columnWidths: Object.<string, number>, // Ширина колонок по букве колонки
+ *   page: Object.<string, *>, // Параметры печати (ориентация и поля), если заданы
+ *   charts: MemoryChart[] // Диаграммы в порядке добавления
+ * }} MemorySheetSnapshot
+ */
+
+/**
+ * Создает имитацию API R7 Office, которая хранит документ в памяти
+ *
+ * @description
+ * Поддерживается та часть API, которую использует макрос:
+ * - Api: GetSheet, AddSheet, GetActiveSheet, GetSheets, CreateColorFromRGB, AddDefName, GetDefName
+ * - лист: GetName, SetName, Delete, SetActive, GetRange, GetRangeByNumber, GetCells, GetUsedRange,
+ *   SetColumnWidth, AddChart, SetPageOrientation и поля страницы
+ * - диапазон: SetValue, GetValue, GetRow, GetCol, Address, оформление (шрифт, заливка, формат, выравнивание)
+ * - Common.UI.alert запоминает сообщения, Asc.editor.controller.view.resize ничего не делает
+ * - fetch читает локальные файлы (file://) потоком, XMLHttpRequest записывает их PUT-запросом
+ *
+ * Значения ячеек хранятся в том виде, в котором их записал макрос: строка "1234,5",
+ * записанная setMoneyValue, не преобразуется в число, как это сделал бы редактор.
+ * Вызов неподдерживаемого метода завершается ошибкой TypeError - так сразу видно,
+ * что имитацию нужно дополнить.
+ *
+ * Макрос преобразует любой путь из настроек в адрес file:/// (см. convertPath в src/index.js),
+ * поэтому относительный путь "data/a.csv" приходит как "file:///data/a.csv". Такой путь сначала
+ * ищется относительно baseDir и только затем - как абсолютный (см. getLocalPath).
+ *
+ * @param {{ baseDir?: string }} [options] - Каталог, относительно которого разрешаются пути к файлам
+ *        (по умолчанию текущий каталог)
+ * @returns {{
+ *   Api: Object, // Объект Api
+ *   Asc: Object, // Объект Asc
+ *   Common: Object, // Объект Common
+ *   XMLHttpRequest: Function, // Конструктор запросов к локальным файлам
+ *   fetch: Function, // Потоковая загрузка локальных файлов, остальные адреса - через fetch Node.js
+ *   getAlerts: () => { title: string, msg: string }[], // Сообщения, выведенные макросом
+ *   getSnapshot: () => MemorySheetSnapshot[] // Содержимое всех листов в порядке их следования
+ * }}
+ *
+ * @example
+ * const memory = createMemoryApi();
+ * memory.Api.AddSheet('Анализ данных');
+ * memory.Api.GetActiveSheet().GetRange('C4').SetValue('/data/2019-Oct.csv');
+ */
+function createMemoryApi(options = {}) {
+  const { baseDir = process.cwd() } = options;
+  // Листы в порядке следования и активный лист
+  const sheets = [];
+  let activeSheet = null;
+  // Именованные диапазоны: имя -> ссылка вида "Лист!A1:H100"
+  const definedNames = new Map();
+  const alerts = [];
+
+  const Api = {
+    GetSheet: (name) => sheets.find((sheet) => sheet.GetName() === name) || null,
+
+    AddSheet(name) {
+      const sheet = createMemorySheet(name, {
+        remove: (removed) => {
+          sheets.splice(sheets.indexOf(removed), 1);
+          if (activeSheet === removed) {
+            activeSheet = sheets[0] || null;
+          }
+        },
+        activate: (activated) => {
+          activeSheet = activated;
+        },
+      });
+      sheets.push(sheet);
+      activeSheet = sheet;
+    },
+
+    GetActiveSheet: () => activeSheet,
+
+    GetSheets: () => [...sheets],
+
+    CreateColorFromRGB: (r, g, b) => ({ r, g, b }),
+
+    AddDefName(name, reference) {
+      definedNames.set(name, reference);
+      return true;
+    },
+
+    GetDefName(name) {
+      const reference = definedNames.get(name);
+      if (!reference) {
+        return null;
+      }
+      return {
+        GetRefersToRange() {
+          const separatorIndex = reference.lastIndexOf('!');
+          const sheetName = reference.slice(0, separatorIndex).replace(/^'(.*)'$/, '$1');
+          return Api.GetSheet(sheetName)?.GetRange(reference.slice(separatorIndex + 1)) ?? null;
+        },
+      };
+    },
+  };
+
+  return {
+    Api,
+    Asc: { editor: { controller: { view: { resize() {} } } } },
+    Common: { UI: { alert: ({ title, msg }) => alerts.push({ title, msg }) } },
+    XMLHttpRequest: createMemoryRequestConstructor(baseDir),
+    fetch: createMemoryFetch(baseDir),
+    getAlerts: () => [...alerts],
+    getSnapshot: () => sheets.map((sheet) => sheet.getSnapshot()),
+  };
+}
+
+/**
+ * Создает лист документа в памяти
+ *
+ * @private
+ * @param {string} name - Название листа
+ * @param {{ remove: (sheet: Object) => void, activate: (sheet: Object) => void }} workbook - Действия
+ *        с листом на уровне документа: удаление и выбор активного листа
+ * @returns {Object} Лист с методами API R7 Office и методом getSnapshot
+ */
+function createMemorySheet(name, workbook) {
+  let sheetName = name;
+  // Значения и оформление ячеек по ключу "строка,колонка" (нумерация с 0)
+  const values = new Map();
+  const formats = new Map();
+  const columnWidths = new Map();
+  const page = {};
+  const charts = [];
+
+  // Изменяет оформление всех ячеек диапазона
+  const setFormat = (bounds, property, value) => {
+    forEachCell(bounds, (key) => formats.set(key, { ...formats.get(key), [property]: value }));
+  };
+
+  // Создает диапазон по границам (нумерация с 0)
+  const createRange = (bounds) => {
+    const [firstRow, firstColumn, lastRow, lastColumn] = bounds;
+    const getCellValue = (row, column) => {
+      const value = values.get(`${row},${column}`);
+      return value === undefined ? '' : value;
+    };
+
+    return {
+      Address: `$${getColumnName(firstColumn)}$${firstRow + 1}:$${getColumnName(lastColumn)}$${lastRow + 1}`,
+
+      // Скалярное значение записывается во все ячейки, массив - в строку, массив массивов - в блок
+      SetValue(value) {
+        if (!Array.isArray(value)) {
+          forEachCell(bounds, (key) => setCellValue(values, key, value));
+          return;
+        }
+        const rows = Array.isArray(value[0]) ? value : [value];
+        rows.forEach((rowValues, i) =>
+          rowValues.forEach((cellValue, j) => setCellValue(values, `${firstRow + i},${firstColumn + j}`, cellValue))
+        );
+      },
+
+      // Для одной ячейки возвращается значение, для диапазона - массив строк
+      GetValue() {
+        if (firstRow === lastRow && firstColumn === lastColumn) {
+          return getCellValue(firstRow, firstColumn);
+        }
+        const table = [];
+        for (let row = firstRow; row <= lastRow; row++) {
+          const rowValues = [];
+          for (let column = firstColumn; column <= lastColumn; column++) {
+            rowValues.push(getCellValue(row, column));
+          }
+          table.push(rowValues);
+        }
+        return table;
+      },
+
+      GetRow: () => firstRow + 1,
+      GetCol: () => firstColumn + 1,
+      SetBold: (value) => setFormat(bounds, 'bold', value),
+      SetItalic: (value) => setFormat(bounds, 'italic', value),
+      SetFontSize: (value) => setFormat(bounds, 'fontSize', value),
+      SetFontColor: (color) => setFormat(bounds, 'fontColor', formatColor(color)),
+      SetFillColor: (color) => setFormat(bounds, 'fillColor', formatColor(color)),
+      SetNumberFormat: (value) => setFormat(bounds, 'numberFormat', value),
+      SetAlignHorizontal: (value) => setFormat(bounds, 'align', value),
+      _bounds: bounds,
+    };
+  };
+
+  const sheet = {
+    GetName: () => sheetName,
+
+    SetName(newName) {
+      sheetName = newName;
+    },
+
+    Delete() {
+      workbook.remove(sheet);
+    },
+
+    SetActive() {
+      workbook.activate(sheet);
+    },
+
+    // Адрес ("A1", "A1:H5") или два диапазона - левый верхний и правый нижний углы
+    GetRange(from, to) {
+      if (typeof from === 'string') {
+        const [start, end = start] = from.split(':');
+        return createRange([...parseCellAddress(start), ...parseCellAddress(end)]);
+      }
+      return createRange([from._bounds[0], from._bounds[1], to._bounds[2], to._bounds[3]]);
+    },
+
+    GetRangeByNumber: (row, column) => createRange([row, column, row, column]),
+
+    // В отличие от GetRangeByNumber, строки и колонки нумеруются с 1
+    GetCells: (row, column) => createRange([row - 1, column - 1, row - 1, column - 1]),
+
+    // Заполненная часть листа, для пустого листа - ячейка A1
+    GetUsedRange() {
+      const keys = [...values.keys()].map((key) => key.split(',').map(Number));
+      if (keys.length === 0) {
+        return createRange([0, 0, 0, 0]);
+      }
+      const rows = keys.map(([row]) => row);
+      const columns = keys.map(([, column]) => column);
+      return createRange([Math.min(...rows), Math.min(...columns), Math.max(...rows), Math.max(...columns)]);
+    },
+
+    SetColumnWidth(column, width) {
+      columnWidths.set(column, width);
+    },
+
+    SetPageOrientation(orientation) {
+      page.orientation = orientation;
+    },
+    SetLeftMargin: (value) => (page.leftMargin = value),
+    SetRightMargin: (value) => (page.rightMargin = value),
+    SetTopMargin: (value) => (page.topMargin = value),
+    SetBottomMargin: (value) => (page.bottomMargin = value),
+
+    // Размеры и отступы передаются в EMU (36000 на миллиметр), в описании диаграммы они в миллиметрах
+    AddChart(dataRef, inRows, type, style, width, height, column, columnOffset, row, rowOffset) {
+      const emuPerMm = 36000;
+      charts.push({
+        dataRef,
+        inRows,
+        type,
+        style,
+        width: width / emuPerMm,
+        height: height / emuPerMm,
+        column: getColumnName(column),
+        columnOffset: columnOffset / emuPerMm,
+        row: row + 1,
+        rowOffset: rowOffset / emuPerMm,
+      });
+      return {};
+    },
+
+    /**
+     * Возвращает содержимое листа для вывода в JSON
+     * @returns {MemorySheetSnapshot}
+     */
+    getSnapshot() {
+      // Ячейки выводятся по строкам сверху вниз, в строке - слева направо
+      const sortedKeys = (map) =>
+        [...map.keys()]
+          .map((key) => key.split(',').map(Number))
+          .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+          .map(([row, column]) => [`${row},${column}`, formatCellAddress(row, column)]);
+      const toObject = (map) => Object.fromEntries(sortedKeys(map).map(([key, address]) => [address, map.get(key)]));
+
+      return {
+        name: sheetName,
+        cells: toObject(values),
+        formats: toObject(formats),
+        columnWidths: Object.fromEntries(
+          [...columnWidths.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([column, width]) => [getColumnName(column), width])
+        ),
+        page: { ...page },
+        charts: [...charts],
+      };
+    },
+  };
+
+  return sheet;
+}
+
+/**
+ * Записывает значение ячейки: пустое значение удаляет ячейку из заполненной части листа
+ *
+ * @private
+ * @param {Map<string, *>} values - Значения ячеек по ключу "строка,колонка"
+ * @param {string} key - Ключ ячейки
+ * @param {*} value - Значение
+ * @returns {void}
+ */
+function setCellValue(values, key, value) {
+  if (value === '' || value === null || value === undefined) {
+    values.delete(key);
+  } else {
+    values.set(key, value);
+  }
+}
+
+/**
+ * Вызывает функцию для ключа каждой ячейки диапазона
+ *
+ * @private
+ * @param {number[]} bounds - Границы диапазона: первая строка, первая колонка, последняя строка, последняя колонка
+ * @param {(key: string) => void} callback - Функция, получающая ключ ячейки "строка,колонка"
+ * @returns {void}
+ */
+function forEachCell(bounds, callback) {
+  const [firstRow, firstColumn, lastRow, lastColumn] = bounds;
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      callback(`${row},${column}`);
+    }
+  }
+}
+
+/**
+ * Создает конструктор запросов к локальным файлам, совместимый с XMLHttpRequest в той мере,
+ * в которой его использует макрос
+ *
+ * @description
+ * PUT-запрос к file:// записывает тело запроса в файл (см. saveData). Чтение файлов
+ * GET-запросом не поддерживается и завершается сетевой ошибкой: настоящий XMLHttpRequest
+ * накапливает весь ответ в responseText, а имитация должна проверять потоковую загрузку,
+ * поэтому локальные файлы макрос читает через fetch (см. createMemoryFetch).
+ * Запросы к другим адресам также завершаются ошибкой.
+ *
+ * @private
+ * @param {string} baseDir - Каталог для относительных путей
+ * @returns {Function} Конструктор, который вызывается через new
+ */
+function createMemoryRequestConstructor(baseDir) {
+  return function () {
+    let method = 'GET';
+    let url = '';
+
+    const request = {
+      readyState: 0,
+      status: 0,
+      statusText: '',
+      responseText: '',
+      timeout: 0,
+      onload: null,
+      onerror: null,
+      ontimeout: null,
+      onprogress: null,
+
+      open(requestMethod, requestUrl) {
+        method = requestMethod;
+        url = requestUrl;
+        request.readyState = 1;
+      },
+
+      setRequestHeader() {},
+
+      abort() {},
+
+      send(body) {
+        const filePath = method === 'PUT' ? getLocalPath(url, baseDir, true) : null;
+        // Обработчики вызываются асинхронно, как у настоящего запроса
+        const fail = () =>
+          setTimeout(() => {
+            request.readyState = 4;
+            request.onerror?.({});
+          }, 0);
+
+        if (filePath === null) {
+          fail();
+          return;
+        }
+
+        fs.writeFile(filePath, body, 'utf8', (error) => {
+          if (error) {
+            fail();
+            return;
+          }
+          request.readyState = 4;
+          request.status = 201;
+          request.statusText = 'Created';
+          request.onload?.({});
+        });
+      },
+    };
+
+    return request;
+  };
+}
+
+/**
+ * Создает функцию fetch, которая читает локальные файлы потоком
+ *
+ * @description
+ * Ответ на запрос к file:// содержит размер файла в заголовке Content-Length, а тело
+ * читается из файла частями по мере чтения ответа, как у загрузки по сети. Сигнал signal
+ * прерывает чтение: обещание или очередное чтение тела отклоняется, файл закрывается.
+ * Если файла нет, обещание отклоняется TypeError, как у fetch в браузере. Остальные адреса
+ * загружаются через fetch Node.js.
+ *
+ * @private
+ * @param {string} baseDir - Каталог для относительных путей
+ * @returns {(url: string, init?: { signal?: AbortSignal }) => Promise<Response>}
+ */
+function createMemoryFetch(baseDir) {
+  return async (url, init = {}) => {
+    const filePath = getLocalPath(url, baseDir, false);
+    if (filePath === null) {
+      return fetch(url, init);
+    }
+
+    const { signal } = init;
+    signal?.throwIfAborted();
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch {
+      throw new TypeError(`Failed to fetch ${url}`);
+    }
+    if (!stats.isFile()) {
+      throw new TypeError(`Failed to fetch ${url}`);
+    }
+
+    const stream = fs.createReadStream(filePath, { highWaterMark: 64 * 1024 });
+    signal?.addEventListener('abort', () => stream.destroy(signal.reason), { once: true });
+    return new Response(Readable.toWeb(stream), {
+      status: 200,
+      statusText: 'OK',
+      headers: { 'Content-Length': String(stats.size) },
+    });
+  };
+}
+
+/**
+ * Преобразует адрес file:// в путь к локальному файлу
+ *
+ * @description
+ * Путь Windows с буквой диска возвращается как есть. Остальные пути после convertPath
+ * выглядят абсолютными, поэтому сначала проверяется путь относительно baseDir: для чтения
+ * должен существовать файл, для записи - каталог. Если его нет, путь считается абсолютным.
+ *
+ * @private
+ * @param {string} url - Адрес, сформированный convertPath ("file:///C:/data/a.csv" или "file:////data/a.csv")
+ * @param {string} baseDir - Каталог для относительных путей
+ * @param {boolean} forWrite - Путь для записи файла
+ * @returns {string | null} Путь к файлу, null - адрес не является локальным файлом
+ */
+function getLocalPath(url, baseDir, forWrite) {
+  if (!/^file:/i.test(url)) {
+    return null;
+  }
+  const filePath = decodeURI(url.replace(/^file:\/*/i, ''));
+  if (/^[A-Za-z]:/.test(filePath)) {
+    return filePath;
+  }
+
+  const relativePath = path.resolve(baseDir, filePath);
+  if (fs.existsSync(forWrite ? path.dirname(relativePath) : relativePath)) {
+    return relativePath;
+  }
+  return `/${filePath}`;
+}
+
+/**
+ * Преобразует цвет в строку "#RRGGBB"
+ *
+ * @private
+ * @param {MemoryColor} color - Цвет
+ * @returns {string}
+ */
+function formatColor(color) {
+  return `#${[color.r, color.g, color.b].map((value) => value.toString(16).padStart(2, '0').toUpperCase()).join('')}`;
+}
+
+/**
+ * Возвращает буквенное обозначение колонки
+ *
+ * @param {number} column - Индекс колонки (нумерация с 0)
+ * @returns {string} Обозначение колонки ("A", "Z", "AA")
+ *
+ * @example
+ * getColumnName(27); // 'AB'
+ */
+function getColumnName(column) {
+  let name = '';
+  for (let number = column + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+    name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Преобразует адрес ячейки в индексы строки и колонки
+ *
+ * @param {string} address - Адрес ячейки ("B4", "$B$4")
+ * @returns {number[]} Индексы строки и колонки (нумерация с 0)
+ * @throws {Error} Если адрес ячейки указан некорректно
+ *
+ * @example
+ * parseCellAddress('B4'); // [3, 1]
+ */
+function parseCellAddress(address) {
+  const match = /^\$?([A-Z]+)\$?(\d+)$/i.exec(address.trim());
+  if (!match) {
+    throw new Error(`Некорректный адрес ячейки "${address}"`);
+  }
+  const column = [...match[1].toUpperCase()].reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0);
+  return [Number(match[2]) - 1, column - 1];
+}
+
+/**
+ * Формирует адрес ячейки по индексам строки и колонки
+ *
+ * @param {number} row - Индекс строки (нумерация с 0)
+ * @param {number} column - Индекс колонки (нумерация с 0)
+ * @returns {string} Адрес ячейки
+ *
+ * @example
+ * formatCellAddress(3, 1); // 'B4'
+ */
+function formatCellAddress(row, column) {
+  return `${getColumnName(column)}${row + 1}`;
+}
+
+module.exports = { createMemoryApi, parseCellAddress, formatCellAddress };
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+/*******************************************************************
+ *
+ *          Запуск макроса Построитель отчетов без редактора
+ *
+ ********************************************************************/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMemoryApi } = require('./r7-api-memory');
+
+/**
+ * Настройки запуска без редактора (JSON-файл)
+ *
+ * @typedef {{
+ *   cells?: Object.<string, *>, // Значения ячеек: "C6" - ячейка листа "Анализ данных", "Лист!B4" - другого листа
+ *   sheets?: Object.<string, Array<Array<*>>>, // Листы с данными: название -> строки таблицы начиная с ячейки A1
+ *   names?: Object.<string, string> // Именованные диапазоны: имя -> ссылка вида "Лист!A1:H100"
+ * }} HeadlessSettings
+ */
+
+/**
+ * Результат запуска без редактора
+ *
+ * @typedef {{
+ *   alerts: { title: string, msg: string }[], // Сообщения макроса (итог выполнения или ошибка)
+ *   sheets: MemorySheetSnapshot[] // Содержимое листов документа после выполнения макроса (см. r7-api-memory.js)
+ * }} HeadlessResult
+ */
+
+/**
+ * Запускает макрос из src/index.js с документом в памяти
+ *
+ * @description
+ * Функция выполняет следующие действия:
+ * 1. Создает документ в памяти (см. createMemoryApi) с листом "Анализ данных"
+ * 2. Заполняет ячейки, листы с данными и именованные диапазоны из настроек.
+ *    Даты вида "2019-11-01" в ячейках преобразуются в числа в формате R7 Office,
+ *    как если бы их ввели в ячейку. Путь к CSV-файлу записывается в ячейку C4
+ *    относительно baseDir (с разделителем "/"), чтобы результат не зависел от расположения
+ *    каталога; относительные пути имитация читает относительно baseDir
+ * 3. Выполняет код макроса в отдельном контексте, где вместо API редактора
+ *    доступна имитация в памяти, и ждет окончания его работы. Если задано время now,
+ *    часы макроса (Date.now() и new Date() без аргументов) всегда показывают его: время
+ *    построения экспорта и журнал запусков не меняются от запуска к запуску. Местное время
+ *    в журнале запусков зависит от часового пояса процесса (переменная окружения TZ)
+ * 4. Возвращает сообщения макроса и содержимое всех листов: значения и оформление ячеек,
+ *    ширину колонок, параметры печати и описания диаграмм
+ *
+ * Сообщения console.info макроса выводятся, только если передан onLog.
+ *
+ * @async
+ * @param {HeadlessSettings} settings - Настройки запуска
+ * @param {{
+ *   csvPath?: string,
+ *   macroPath?: string,
+ *   baseDir?: string,
+ *   now?: Date,
+ *   onLog?: (message: string) => void
+ * }} [options] - Путь к CSV-файлу, путь к файлу макроса (по умолчанию src/index.js), каталог для относительных
+ *        путей (по умолчанию текущий каталог), время для часов макроса и обработчик отладочных сообщений
+ * @returns {Promise<HeadlessResult>}
+ *
+ * @example
+ * const result = await runHeadless({ cells: { C6: '2019-11-01', C7: '2019-11-30' } }, { csvPath: 'data.csv' });
+ * console.log(result.alerts[0].msg);
+ */
+async function runHeadless(settings, options = {}) {
+  const {
+    csvPath,
+    macroPath = path.join(__dirname, '..', 'src', 'index.js'),
+    baseDir = process.cwd(),
+    now,
+    onLog,
+  } = options;
+  const memory = createMemoryApi({ baseDir });
+  const { Api } = memory;
+
+  // Возвращает лист по названию, создавая его при необходимости
+  const getSheet = (name) => {
+    if (!Api.GetSheet(name)) {
+      Api.AddSheet(name);
+    }
+    return Api.GetSheet(name);
+  };
+
+  getSheet('Анализ данных');
+  for (const [name, rows] of Object.entries(settings.sheets || {})) {
+    getSheet(name).GetRange('A1').SetValue(rows);
+  }
+  for (const [reference, value] of Object.entries(settings.cells || {})) {
+    const separatorIndex = reference.lastIndexOf('!');
+    const sheetName = separatorIndex > 0 ? reference.slice(0, separatorIndex) : 'Анализ данных';
+    const address = reference.slice(separatorIndex + 1);
+    getSheet(sheetName).GetRange(address).SetValue(parseCellSetting(value));
+  }
+  for (const [name, reference] of Object.entries(settings.names || {})) {
+    Api.AddDefName(name, reference);
+  }
+  if (csvPath) {
+    const relativePath = path.relative(baseDir, path.resolve(baseDir, csvPath));
+    Api.GetSheet('Анализ данных').GetRange('C4').SetValue(relativePath.split(path.sep).join('/'));
+  }
+  // Макрос начинает работу с листа настроек, как при запуске из редактора
+  Api.GetSheet('Анализ данных').SetActive();
+
+  await runMacro(memory, { macroPath, now, onLog });
+
+  return { alerts: memory.getAlerts(), sheets: memory.getSnapshot() };
+}
+
+/**
+ * Загружает функции макроса для проверки по отдельности
+ *
+ * @description
+ * Код макроса выполняется с пустым документом в памяти: точка входа завершается сообщением
+ * об ошибке настроек (листа "Анализ данных" нет), а функции, объявленные в файле макроса
+ * (parseEventTime, createCsvParser, loadSources и т.д.), остаются свойствами возвращаемого
+ * контекста. Относительные пути CSV-файлов, которые читают функции макроса, отсчитываются от baseDir.
+ *
+ * Объекты, созданные функциями макроса, принадлежат контексту и имеют его Object, Array и Date,
+ * поэтому перед assert.deepStrictEqual их нужно перевести в JSON или сравнивать по значениям.
+ *
+ * @async
+ * @param {{ macroPath?: string, baseDir?: string, now?: Date, onLog?: (message: string) => void }} [options] -
+ *        Путь к файлу макроса (по умолчанию src/index.js), каталог для относительных путей (по умолчанию
+ *        текущий каталог), время для часов макроса и обработчик отладочных сообщений (см. runHeadless)
+ * @returns {Promise<Object>} Контекст vm с функциями макроса
+ *
+ * @example
+ * const macro = await loadMacro();
+ * macro.parseEventTime('2019-10-01 00:00:04 UTC', 180).toISOString(); // '2019-10-01T03:00:04.000Z'
+ */
+async function loadMacro(options = {}) {
+  const { macroPath = path.join(__dirname, '..', 'src', 'index.js'), baseDir = process.cwd(), now, onLog } = options;
+  // Ошибка точки входа ожидаема, поэтому сообщения об ошибках выводятся только в onLog
+  return runMacro(createMemoryApi({ baseDir }), { macroPath, now, onLog, isErrorLogged: false });
+}
+
+/**
+ * Выполняет код макроса в отдельном контексте с документом в памяти и ждет окончания его работы
+ *
+ * @private
+ * @param {Object} memory - Документ в памяти (см. createMemoryApi)
+ * @param {{
+ *   macroPath: string,
+ *   now?: Date,
+ *   onLog?: (message: string) => void,
+ *   isErrorLogged?: boolean
+ * }} options - Путь к файлу макроса, время для часов макроса, обработчик отладочных сообщений и признак
+ *        вывода console.error макроса в поток ошибок (по умолчанию да, иначе - в onLog)
+ * @returns {Promise<Object>} Контекст vm, в котором выполнен макрос
+ */
+async function runMacro(memory, options) {
+  const { macroPath, now, onLog, isErrorLogged = true } = options;
+  const log = (...args) => onLog?.(args.map((arg) => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' '));
+  const context = vm.createContext({
+    Api: memory.Api,
+    Asc: memory.Asc,
+    Common: memory.Common,
+    XMLHttpRequest: memory.XMLHttpRequest,
+    console: { log, info: log, warn: log, error: isErrorLogged ? (...args) => console.error(...args) : log },
+    setTimeout,
+    clearTimeout,
+    fetch: memory.fetch,
+    ReadableStream,
+    AbortController,
+    TextDecoder,
+  });
+
+  if (now) {
+    fixContextClock(context, now);
+  }
+
+  // Значение скрипта - Promise асинхронной точки входа: объявления функций после нее его не меняют
+  const source = fs.readFileSync(macroPath, 'utf8');
+  await vm.runInContext(source, context, { filename: macroPath });
+
+  return context;
+}
+
+/**
+ * Останавливает часы в контексте макроса на заданном времени
+ *
+ * @description
+ * Date.now() и new Date() без аргументов возвращают заданное время, остальные возможности Date
+ * (разбор строк, Date.UTC, new Date(число)) работают как обычно.
+ *
+ * @private
+ * @param {Object} context - Контекст vm, в котором выполняется макрос
+ * @param {Date} now - Время, которое показывают часы
+ * @returns {void}
+ */
+function fixContextClock(context, now) {
+  const time = now.getTime();
+  if (Number.isNaN(time)) {
+    throw new Error('Некорректное время now');
+  }
+  vm.runInContext(
+    `(() => {
+      const SystemDate = Date;
+      class FixedDate extends SystemDate {
+        constructor(...args) {
+          super(...(args.length > 0 ? args : [${time}]));
+        }
+
+        static now() {
+          return ${time};
+        }
+      }
+      globalThis.Date = FixedDate;
+    })();`,
+    context
+  );
+}
+
+/**
+ * Преобразует значение ячейки из настроек: дата вида "2019-11-01" становится числом в формате R7 Office
+ *
+ * @private
+ * @param {*} value - Значение из настроек
+ * @returns {*} Значение для записи в ячейку
+ */
+function parseCellSetting(value) {
+  const match = typeof value === 'string' ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim()) : null;
+  if (!match) {
+    return value;
+  }
+  // В формате R7 Office дата - число дней с 30 декабря 1899 года
+  const dayLength = 24 * 60 * 60 * 1000;
+  return (Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) - Date.UTC(1899, 11, 30)) / dayLength;
+}
+
+/**
+ * Разбирает аргументы командной строки
+ *
+ * @private
+ * @param {string[]} args - Аргументы после имени скрипта
+ * @returns {{ csvPath?: string, settingsPath?: string, outputPath?: string, now?: Date, verbose: boolean }}
+ * @throws {Error} Если аргумент неизвестен, у параметра нет значения или время --now некорректно
+ */
+function parseArgs(args) {
+  const result = { verbose: false };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--verbose') {
+      result.verbose = true;
+    } else if (arg === '--settings' || arg === '--output' || arg === '--now') {
+      if (i + 1 >= args.length) {
+        throw new Error(`Не указано значение параметра ${arg}`);
+      }
+      const value = args[++i];
+      if (arg === '--now') {
+        result.now = new Date(value);
+        if (Number.isNaN(result.now.getTime())) {
+          throw new Error(`Некорректное время --now "${value}": укажите время ISO 8601, например 2019-12-01T00:00:00Z`);
+        }
+      } else {
+        result[arg === '--settings' ? 'settingsPath' : 'outputPath'] = value;
+      }
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Неизвестный параметр ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  if (positional.length > 1) {
+    throw new Error(
+      'Укажите не больше одного CSV-файла, дополнительные файлы задаются в настройках (лист "Источники данных")'
+    );
+  }
+  result.csvPath = positional[0];
+  return result;
+}
+
+/**
+ * Точка входа командной строки
+ *
+ * @description
+ * node tools/run-headless.js [data.csv] [--settings settings.json] [--output result.json] [--now 2019-12-01T00:00:00Z]
+ *   [--verbose]
+ *
+ * Результат (см. HeadlessResult) выводится в JSON в стандартный вывод или в файл --output,
+ * сообщения макроса - в поток ошибок. Код завершения 1 означает, что макрос завершился ошибкой
+ * или запуск не удался, 0 - отчеты построены.
+ *
+ * @private
+ * @returns {Promise<void>}
+ */
+async function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    /** @type {HeadlessSettings} */
+    const settings = args.settingsPath ? JSON.parse(fs.readFileSync(args.settingsPath, 'utf8')) : {};
+    if (!args.csvPath && !settings.cells?.C4) {
+      throw new Error('Укажите CSV-файл или ячейку C4 в настройках');
+    }
+
+    const result = await runHeadless(settings, {
+      csvPath: args.csvPath,
+      now: args.now,
+      onLog: args.verbose ? (message) => console.error(message) : undefined,
+    });
+
+    const json = JSON.stringify(result, null, 2);
+    if (args.outputPath) {
+      fs.writeFileSync(args.outputPath, json + '\n', 'utf8');
+    } else {
+      process.stdout.write(json + '\n');
+    }
+
+    result.alerts.forEach(({ title, msg }) => console.error(`${title}: ${msg}`));
+    process.exitCode = result.alerts.some(({ title }) => title === 'Ошибка') ? 1 : 0;
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runHeadless, loadMacro };
@@ -0,0 +1,161 @@
+/*******************************************************************
+ *
+ *        Проверка отчетов макроса по сохраненному результату
+ *
+ ********************************************************************/
+
+'use strict';
+
+// Местное время журнала запусков зависит от часового пояса процесса
+process.env.TZ = 'UTC';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const { runHeadless, loadMacro } = require('./run-headless');
+
+const rootDir = path.join(__dirname, '..');
+const fixturesDir = path.join(__dirname, 'fixtures');
+const snapshotPath = path.join(fixturesDir, 'report-values.snapshot.json');
+// Две выгрузки, пересекающиеся на два дня (93 повтора); во второй 3 некорректные строки
+const fixtureNames = ['events-1.csv', 'events-2.csv'];
+
+/**
+ * Округляет дробные числа до сотых во всех значениях объекта
+ *
+ * @description
+ * Суммы цен зависят от порядка сложения в последних знаках, поэтому сравниваются с точностью до копейки.
+ *
+ * @param {*} value - Значение, переведенное в JSON
+ * @returns {*} Значение с округленными числами
+ */
+function roundValues(value) {
+  if (typeof value === 'number') {
+    return Math.round(value * 100) / 100;
+  }
+  if (Array.isArray(value)) {
+    return value.map(roundValues);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, roundValues(item)]));
+  }
+  return value;
+}
+
+/**
+ * Загружает тестовые файлы функциями макроса и возвращает показатели, на которых строятся отчеты
+ *
+ * @description
+ * В результат попадают итоги и разбивки, которые должны меняться только при изменении
+ * расчетов: сведения об источниках, счетчики качества данных, воронка, покупки по категориям
+ * и брендам, динамика продаж, показатели сессий, сегменты RFM и число товаров. Оформление
+ * и расположение отчетов на листах в него не входят.
+ *
+ * @returns {Promise<Object>} Показатели в JSON-совместимом виде
+ */
+async function getReportValues() {
+  const macro = await loadMacro({ baseDir: rootDir });
+  const sources = fixtureNames.map((name) => ({
+    type: 'file',
+    title: name,
+    path: `tools/fixtures/${name}`,
+    delimiter: '',
+  }));
+  const dataQuality = macro.createDataQualityChecker();
+  const analyzer = macro.createDataAnalyzer({}, { timezoneOffset: 0 });
+  const sourceStats = await macro.loadSources(sources, { dataQuality, timezoneOffset: 0 }, (entry) =>
+    analyzer.add(entry)
+  );
+  const quality = dataQuality.getResult();
+  const analitics = analyzer.getResult();
+  const { sessions } = analitics;
+
+  // Перевод в JSON заменяет объекты контекста макроса обычными объектами, а даты - строками ISO
+  return roundValues(
+    JSON.parse(
+      JSON.stringify({
+        sources: sourceStats,
+        quality: {
+          rows: quality.rows,
+          invalidRows: quality.invalidRows,
+          rules: Object.fromEntries(quality.rules.map((rule) => [rule.id, rule.count])),
+        },
+        events: analyzer.getCount(),
+        funnel: analitics.funnelTotal,
+        purchasePerCategories: analitics.purchasePerCategories,
+        purchasePerBrands: analitics.purchasePerBrands,
+        timeSeries: analitics.timeSeries.points.map(({ label, count, price, buyers }) => ({
+          label,
+          count,
+          price,
+          buyers,
+        })),
+        sessions: {
+          count: sessions.count,
+          withPurchase: sessions.withPurchase,
+          withCart: sessions.withCart,
+          abandoned: sessions.abandoned,
+          abandonedPrice: sessions.abandonedPrice,
+          avgEvents: sessions.avgEvents,
+          medianEvents: sessions.medianEvents,
+          avgDuration: sessions.avgDuration,
+          medianDuration: sessions.medianDuration,
+          lateEvents: sessions.lateEvents,
+        },
+        rfmSegments: analitics.rfm.segments.map(({ name, customers, price }) => ({ name, customers, price })),
+        products: analitics.products.length,
+      })
+    )
+  );
+}
+
+test('макрос строит отчеты по двум пересекающимся файлам', async () => {
+  const result = await runHeadless(
+    {
+      cells: {
+        C6: '2019-10-01',
+        C7: '2019-11-30',
+        'Источники данных!B4': `tools/fixtures/${fixtureNames[1]}`,
+      },
+    },
+    {
+      csvPath: path.join(fixturesDir, fixtureNames[0]),
+      baseDir: rootDir,
+      now: new Date('2019-12-01T09:00:00Z'),
+    }
+  );
+
+  assert.strictEqual(result.alerts.length, 1);
+  assert.strictEqual(result.alerts[0].title, 'Сообщение', result.alerts[0].msg);
+  assert.match(result.alerts[0].msg, /повторов 93/);
+  const sheetNames = result.sheets.map((sheet) => sheet.name);
+  ['Сводка', 'Воронка продаж', 'Сессии', 'Качество данных', 'Журнал запусков'].forEach((name) =>
+    assert.ok(sheetNames.includes(name), `нет листа "${name}"`)
+  );
+});
+
+/**
+ * Сравнивает показатели отчетов с сохраненными
+ *
+ * @description
+ * После намеренного изменения расчетов сохраненные показатели обновляются запуском
+ * с переменной окружения UPDATE_SNAPSHOTS=1:
+ *
+ * UPDATE_SNAPSHOTS=1 node --test tools/
+ */
+test('показатели отчетов по tools/fixtures совпадают с сохраненными', async () => {
+  const values = await getReportValues();
+
+  if (process.env.UPDATE_SNAPSHOTS === '1') {
+    fs.writeFileSync(snapshotPath, JSON.stringify(values, null, 2) + '\n', 'utf8');
+    return;
+  }
+  if (!fs.existsSync(snapshotPath)) {
+    assert.fail(
+      `Нет файла сохраненных показателей ${path.relative(rootDir, snapshotPath)}: ` +
+        'создайте его запуском UPDATE_SNAPSHOTS=1 node --test tools/'
+    );
+  }
+  assert.deepStrictEqual(values, JSON.parse(fs.readFileSync(snapshotPath, 'utf8')));
+});